@@ -0,0 +1,202 @@
+// Move media files, with their variants, from one storage backend to
+// another (see src/services/storage). Each file is copied to the target and
+// its Media document updated; then posts, pages, blocks, categories and
+// avatars linking to the old URLs, whole or inside rich text, are pointed at
+// the new ones and their live pages revalidated. Source files are kept unless
+// --delete-source is given, and even then only once every link is rewritten,
+// so a failed run loses nothing.
+//
+//   node scripts/migrate-media-storage.js --to <local|s3|cloudinary> [--from <backend>] [--delete-source] [--dry-run]
+
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Media = require('../src/models/Media');
+const Post = require('../src/models/Post');
+const ContentPage = require('../src/models/ContentPage');
+const ContentPageVersion = require('../src/models/ContentPageVersion');
+const GlobalBlock = require('../src/models/GlobalBlock');
+const Category = require('../src/models/Category');
+const User = require('../src/models/User');
+const { STORAGE_BACKENDS, getStorage, storageOf, variantKey, discardFile } = require('../src/services/storage');
+const { purgeTransforms } = require('../src/services/imageTransforms');
+const { replaceLinks } = require('../src/services/mediaUsage');
+const { findBlockUsage } = require('../src/services/globalBlocks');
+const { pathsForPost, pathsForCategory } = require('../src/services/revalidationPaths');
+const { triggerRevalidation } = require('../src/services/revalidation');
+
+const option = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const to = option('--to');
+const from = option('--from');
+const dryRun = process.argv.includes('--dry-run');
+const deleteSource = process.argv.includes('--delete-source');
+
+// Frontend paths showing a live global block
+const blockPaths = async (block) => {
+  if (block.status !== 'published') return [];
+
+  const usage = await findBlockUsage(block._id);
+  return [...usage.contentPages, ...usage.posts].filter(item => item.live).map(item => item.path);
+};
+
+// Fields that can hold media URLs, by model, with what `paths` needs to find
+// the frontend paths showing a document
+const REFERENCES = [
+  {
+    Model: Post,
+    fields: ['featuredImage', 'contentSections', 'draft'],
+    select: 'slug status tags categories isFeatured',
+    paths: post => pathsForPost(post, post)
+  },
+  {
+    Model: ContentPage,
+    fields: ['sections', 'published', 'previous'],
+    select: 'slug path status',
+    paths: page => (page.status === 'published' ? [ContentPage.hydrate(page).getPath()] : [])
+  },
+  { Model: ContentPageVersion, fields: ['sections'] },
+  { Model: GlobalBlock, fields: ['sections', 'published'], select: 'status', paths: blockPaths },
+  { Model: Category, fields: ['image'], select: 'slug', paths: category => pathsForCategory(category, category) },
+  { Model: User, fields: ['avatar'] }
+];
+
+const stats = { moved: 0, failed: 0, references: 0, revalidated: 0 };
+
+// Copy one stored file from `source` into `target`; resolves its new URL
+const copyFile = async (source, target, key, mimeType) => {
+  // Staged next to the uploads so the local backend can move it in
+  const stagingPath = path.join(process.cwd(), 'uploads', `${key}.${crypto.randomBytes(4).toString('hex')}.migrating`);
+  await fs.promises.mkdir(path.dirname(stagingPath), { recursive: true });
+
+  try {
+    await source.download(key, stagingPath, { mimeType });
+    return await target.store(key, stagingPath, { mimeType });
+  } finally {
+    await fs.promises.rm(stagingPath, { force: true });
+  }
+};
+
+// Move one media document's files; records old URL -> new URL in `moved`
+// and the files left to delete in `copied`
+const migrateMedia = async (media, target, moved, copied) => {
+  const source = storageOf(media);
+  const files = [
+    { key: media.filename, mimeType: media.mimeType, url: media.url },
+    ...media.variants.map(variant => ({ key: variantKey(variant), mimeType: variant.mimeType, url: variant.url }))
+  ];
+
+  if (dryRun) {
+    console.log(`Would move ${media.filename} (${files.length} file(s)) from ${source.name} to ${target.name}`);
+    return;
+  }
+
+  const urls = new Map();
+  for (const file of files) {
+    urls.set(file.url, await copyFile(source, target, file.key, file.mimeType));
+  }
+
+  media.set({
+    url: urls.get(media.url),
+    thumbnailUrl: urls.get(media.thumbnailUrl) || media.thumbnailUrl,
+    variants: media.variants.map(variant => ({
+      ...variant.toObject(),
+      key: variantKey(variant),
+      url: urls.get(variant.url)
+    })),
+    storage: target.name
+  });
+  await media.save();
+  purgeTransforms(media.filename);
+
+  for (const [oldUrl, newUrl] of urls) moved.set(oldUrl, newUrl);
+  copied.push({ source, files });
+};
+
+// Point links at moved files, keeping any query string or fragment.
+// Resolves the frontend paths showing the rewritten documents.
+const rewriteReferences = async (moved) => {
+  const movedUrl = (link) => {
+    const [, url, suffix] = link.match(/^([^?#]*)(.*)$/s);
+    return moved.has(url) ? moved.get(url) + suffix : undefined;
+  };
+  const paths = new Set();
+
+  for (const { Model, fields, select = '', paths: pathsOf } of REFERENCES) {
+    const cursor = Model.find().select(`${fields.join(' ')} ${select}`).lean().cursor();
+
+    for await (const doc of cursor) {
+      const changes = {};
+      for (const field of fields) {
+        if (doc[field] === undefined) continue;
+
+        const replaced = replaceLinks(doc[field], movedUrl);
+        if (JSON.stringify(replaced) !== JSON.stringify(doc[field])) changes[field] = replaced;
+      }
+
+      if (Object.keys(changes).length) {
+        stats.references++;
+        // Not an edit: leave the version key (ETag) alone
+        await Model.collection.updateOne({ _id: doc._id }, { $set: changes });
+        if (pathsOf) (await pathsOf(doc)).forEach(path => paths.add(path));
+      }
+    }
+  }
+
+  return [...paths];
+};
+
+const run = async () => {
+  if (!STORAGE_BACKENDS.includes(to) || (from && !STORAGE_BACKENDS.includes(from))) {
+    throw new Error(`--to (and --from) must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+  if (from === to) throw new Error('--from and --to must differ');
+  const target = getStorage(to);
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Documents without `storage` predate it and are on local disk
+  const sources = from ? [from] : STORAGE_BACKENDS.filter(name => name !== to);
+  const moved = new Map();
+  const copied = [];
+  const cursor = Media.find({ storage: { $in: sources.includes('local') ? [...sources, null] : sources } }).cursor();
+  for await (const media of cursor) {
+    try {
+      await migrateMedia(media, target, moved, copied);
+      if (!dryRun) stats.moved++;
+    } catch (error) {
+      stats.failed++;
+      console.warn(`Could not move ${media.filename}: ${error.message || error}`);
+    }
+  }
+
+  if (moved.size) {
+    const paths = await rewriteReferences(moved);
+    // Sent by the server's scheduler if this run exits first
+    stats.revalidated = paths.length;
+    await triggerRevalidation(paths);
+  }
+
+  // Only now that nothing links to them any more
+  if (deleteSource) {
+    for (const { source, files } of copied) {
+      for (const file of files) discardFile(source, file.key, { mimeType: file.mimeType });
+    }
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Moved ${stats.moved} media file(s) to ${to}, ` +
+    `${stats.failed} failed, updated ${stats.references} document(s) linking to them ` +
+    `and queued the revalidation of ${stats.revalidated} page(s)`);
+};
+
+run()
+  .catch(error => {
+    console.error('Media storage migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
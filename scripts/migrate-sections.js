@@ -0,0 +1,126 @@
+// Migrate the sections stored on posts and content pages to the current
+// section registry. Sections saved in the canonical shape before writes were
+// converted are turned into the shape of their document (post `data`,
+// content page `props`), older post sections get their data moved under
+// `data`, every section is upgraded to the latest version of its type and
+// missing defaults are filled in. Sections that still fail validation
+// afterwards are kept as they are and listed so editors can fix them.
+//
+//   node scripts/migrate-sections.js [--dry-run]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../src/models/Post');
+const ContentPage = require('../src/models/ContentPage');
+const ContentPageVersion = require('../src/models/ContentPageVersion');
+const { normalizeSections, upgradeSection } = require('../src/services/sectionRegistry');
+const { fromCanonical } = require('../src/services/sectionFormats');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const stats = { scanned: 0, updated: 0, invalid: 0 };
+
+// A section stored in the canonical shape, or null. Posts used to keep
+// sections they were sent whole, wrapped as their `data`; on content pages
+// only the canonical image and gallery types tell them apart.
+const canonicalOf = (format, section) => {
+  if (!section || typeof section !== 'object') return null;
+
+  if (format === 'page') return ['image', 'gallery'].includes(section.type) ? section : null;
+
+  const stored = section.data && section.data.type === section.type ? section.data : section;
+  return stored.props && typeof stored.props === 'object' && stored.data === undefined ? stored : null;
+};
+
+// The section in the shape of its document, at the latest version of its type
+const migrateSection = (format, section) => {
+  const canonical = canonicalOf(format, section);
+  return upgradeSection(format, canonical ? fromCanonical(format, canonical) : section);
+};
+
+// Migrated sections, or null when nothing changes
+const migrateSections = (format, sections, label) => {
+  if (!Array.isArray(sections) || sections.length === 0) return null;
+
+  // Post sections are subdocuments; keep their ids
+  const upgraded = sections.map(section => section && section._id
+    ? { _id: section._id, ...migrateSection(format, section) }
+    : migrateSection(format, section));
+  const { errors } = normalizeSections(format, upgraded);
+  for (const error of errors) {
+    stats.invalid++;
+    console.warn(`${label} ${error.path}: ${error.message}`);
+  }
+
+  return JSON.stringify(upgraded) === JSON.stringify(sections) ? null : upgraded;
+};
+
+// Apply `fields` (path -> sections) to one document
+const save = async (Model, doc, fields) => {
+  stats.scanned++;
+  if (Object.keys(fields).length === 0) return;
+
+  stats.updated++;
+  if (!dryRun) {
+    // Not an edit: leave the version key (ETag) alone
+    await Model.collection.updateOne({ _id: doc._id }, { $set: fields });
+  }
+};
+
+const migratePosts = async () => {
+  const cursor = Post.find().select('+draft contentSections slug').lean().cursor();
+
+  for await (const post of cursor) {
+    const label = `post ${post.slug}`;
+    const fields = {};
+
+    const live = migrateSections('post', post.contentSections, label);
+    if (live) fields.contentSections = live;
+
+    const draft = post.draft && migrateSections('post', post.draft.contentSections, `${label} (draft)`);
+    if (draft) fields['draft.contentSections'] = draft;
+
+    await save(Post, post, fields);
+  }
+};
+
+const migrateContentPages = async () => {
+  const cursor = ContentPage.find().select('slug sections published.sections').lean().cursor();
+
+  for await (const page of cursor) {
+    const label = `content page ${page.slug}`;
+    const fields = {};
+
+    const working = migrateSections('page', page.sections, label);
+    if (working) fields.sections = working;
+
+    const published = page.published && migrateSections('page', page.published.sections, `${label} (published)`);
+    if (published) fields['published.sections'] = published;
+
+    await save(ContentPage, page, fields);
+  }
+
+  const versions = ContentPageVersion.find().select('slug version sections').lean().cursor();
+
+  for await (const version of versions) {
+    const sections = migrateSections('page', version.sections, `content page ${version.slug} v${version.version}`);
+    await save(ContentPageVersion, version, sections ? { sections } : {});
+  }
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  await migratePosts();
+  await migrateContentPages();
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Scanned ${stats.scanned} documents, ` +
+    `updated ${stats.updated}, ${stats.invalid} section problem(s) left to fix`);
+};
+
+run()
+  .catch(error => {
+    console.error('Section migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,48 @@
+// Rebuild Media.usage from the posts, content pages, global blocks,
+// categories and users linking to each file (see src/services/mediaUsage).
+// Usage is kept in sync on every save; run this once for documents saved
+// before tracking existed, or after changing documents outside the app.
+// Files uploaded before tracking are marked synced once every document has
+// been scanned; until then their usage is also looked up directly.
+//
+//   node scripts/sync-media-usage.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../src/models/Post');
+const ContentPage = require('../src/models/ContentPage');
+const GlobalBlock = require('../src/models/GlobalBlock');
+const Category = require('../src/models/Category');
+const User = require('../src/models/User');
+const Media = require('../src/models/Media');
+
+const TRACKED = [Post, ContentPage, GlobalBlock, Category, User];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const startedAt = new Date();
+  let scanned = 0;
+  for (const Model of TRACKED) {
+    const cursor = Model.find().select('_id').lean().cursor();
+
+    for await (const doc of cursor) {
+      await Model.syncMediaUsage(doc._id);
+      scanned++;
+    }
+  }
+
+  const { modifiedCount } = await Media.updateMany(
+    { usageSyncedAt: { $exists: false } },
+    { usageSyncedAt: startedAt }
+  );
+
+  console.log(`Synced the media usage of ${scanned} documents, marked ${modifiedCount} older files synced`);
+};
+
+run()
+  .catch(error => {
+    console.error('Media usage sync failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,7 +1,20 @@
 const Post = require('../models/Post');
-const ContentPage = require('../models/ContentPage');
+const PostRevision = require('../models/PostRevision');
+const Redirect = require('../models/Redirect');
 const { validationResult } = require('express-validator');
-const crypto = require('crypto');
+const { isStale, requestedVersions, sendConflict, setETag } = require('../utils/concurrency');
+const { signPreview, getTtlMs } = require('../utils/previewToken');
+const { checkTransition, checkRequirements, transitionUpdates } = require('../services/postWorkflow');
+const { propagateToMain } = require('../services/mainSiteSync');
+const { emitPostTransition } = require('../services/webhooks');
+const { checkSections, sendSectionErrors } = require('../services/globalBlocks');
+const { formatSections, storedSections } = require('../services/sectionFormats');
+const { withImageVariants } = require('../services/imageVariants');
+
+const adminPostPopulate = [
+  { path: 'author', select: 'firstName lastName email' },
+  { path: 'categories', select: 'name slug' }
+];
 
 // @desc    Get all posts for admin with filtering and pagination
 // @route   GET /api/admin/posts
@@ -65,10 +78,16 @@ const getAdminPosts = async (req, res, next) => {
 // @access  Private (Admin+)
 const getAdminPost = async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id)
-      .populate('author', 'firstName lastName email')
-      .populate('categories', 'name slug')
-      .lean();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('+draft');
 
     if (!post) {
       return res.status(404).json({
@@ -77,9 +96,17 @@ const getAdminPost = async (req, res, next) => {
       });
     }
 
+    // Editors work on the pending draft unless they ask for the live copy
+    const data = req.query.version === 'live'
+      ? post.toObject({ depopulate: true })
+      : post.toWorkingCopy({ depopulate: true });
+
+    const formatted = formatSections(await Post.populate(data, adminPostPopulate), 'post', req.query.format);
+
+    setETag(res, post);
     res.json({
       success: true,
-      data: post
+      data: req.query.include === 'variants' ? await withImageVariants(formatted, 'post') : formatted
     });
   } catch (error) {
     next(error);
@@ -129,7 +156,26 @@ const createAdminPost = async (req, res, next) => {
       postData.status = 'draft';
     }
 
+    // Creating a post in any other status is a transition out of draft
+    const rejection = checkTransition('draft', postData.status, req.user, postData);
+    if (rejection) {
+      return res.status(rejection.statusCode).json({
+        success: false,
+        code: rejection.code,
+        message: rejection.message
+      });
+    }
+
+    // Validate content sections against the section registry and global blocks,
+    // converted first when they were sent in the canonical form
+    const sections = storedSections('post', postData.contentSections, req.query.format);
+    const normalized = await checkSections('post', sections, 'contentSections');
+    if (normalized.errors.length) return sendSectionErrors(res, normalized.errors);
+    if (normalized.sections) postData.contentSections = normalized.sections;
+
     const post = await Post.create(postData);
+    await PostRevision.record(post, req.user._id);
+    await emitPostTransition(post, 'draft');
 
     await post.populate([
       { path: 'author', select: 'firstName lastName email' },
@@ -146,7 +192,7 @@ const createAdminPost = async (req, res, next) => {
   }
 };
 
-// @desc    Update post status (draft→review/scheduled/published)
+// @desc    Update post status (draft→review→scheduled/published→archived)
 // @route   PATCH /api/admin/posts/:id
 // @access  Private (Contributor+)
 const updateAdminPost = async (req, res, next) => {
@@ -160,7 +206,7 @@ const updateAdminPost = async (req, res, next) => {
       });
     }
 
-    let post = await Post.findById(req.params.id);
+    const post = await Post.findById(req.params.id).select('+draft');
 
     if (!post) {
       return res.status(404).json({
@@ -177,71 +223,78 @@ const updateAdminPost = async (req, res, next) => {
       });
     }
 
-    // Validation for publishing
-    if (req.body.status && ['review', 'scheduled', 'published'].includes(req.body.status)) {
-      if (!req.body.body || req.body.body.trim().length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Body required for publishing'
-        });
-      }
+    // Validate content sections against the section registry and global blocks,
+    // converted first when they were sent in the canonical form
+    const sections = storedSections('post', req.body.contentSections, req.query.format);
+    const normalized = await checkSections('post', sections, 'contentSections');
+    if (normalized.errors.length) return sendSectionErrors(res, normalized.errors);
+    if (normalized.sections) req.body.contentSections = normalized.sections;
+
+    // Reject writes based on an outdated copy of the post
+    if (isStale(req, post)) {
+      const [version] = requestedVersions(req);
+      return sendConflict(res, post, await PostRevision.conflictsSince(post, version, req.body));
+    }
 
-      if (!req.body.tags || req.body.tags.length === 0) {
-        return res.status(400).json({
+    const previousStatus = post.status;
+    const previousSlug = post.slug;
+
+    // Status changes go through the editorial workflow
+    const statusChanged = req.body.status && req.body.status !== post.status;
+    if (statusChanged) {
+      const candidate = { ...post.toWorkingCopy(), ...req.body };
+      const rejection = checkTransition(post.status, req.body.status, req.user, candidate);
+      if (rejection) {
+        return res.status(rejection.statusCode).json({
           success: false,
-          message: 'Select at least one'
+          code: rejection.code,
+          message: rejection.message
         });
       }
 
-      // Validate scheduled date
-      if (req.body.status === 'scheduled') {
-        if (!req.body.scheduledAt) {
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid date'
-          });
-        }
-        const scheduledDate = new Date(req.body.scheduledAt);
-        if (scheduledDate.getTime() <= Date.now()) {
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid date'
-          });
-        }
-      }
+      Object.assign(req.body, transitionUpdates(post, req.body.status));
     }
 
-    post = await Post.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate([
-      { path: 'author', select: 'firstName lastName email' },
-      { path: 'categories', select: 'name slug' }
-    ]);
+    await PostRevision.recordBaseline(post);
+
+    // Edits to a live post are staged in its draft
+    post.applyChanges(req.body);
+    await post.save();
+
+    await PostRevision.record(post, req.user._id);
+    await propagateToMain(post, previousStatus);
+    await emitPostTransition(post, previousStatus);
+
+    // Links to a post that has been public keep working after a slug change
+    if (post.publishedAt) {
+      await Redirect.recordSlugChange('post', post, previousSlug, post.slug);
+    }
 
     // Set appropriate success message
     let message = 'Post updated successfully';
-    if (req.body.status === 'review') message = 'Sent for review';
-    else if (req.body.status === 'published') message = 'Published';
-    else if (req.body.status === 'scheduled') message = 'Scheduled';
+    if (statusChanged && req.body.status === 'review') message = 'Sent for review';
+    else if (statusChanged && req.body.status === 'published') message = 'Published';
+    else if (statusChanged && req.body.status === 'scheduled') message = 'Scheduled';
+    else if (statusChanged && req.body.status === 'archived') message = 'Archived';
+    else if (post.draft) message = 'Draft saved';
 
+    setETag(res, post);
     res.json({
       success: true,
       message,
-      data: post
+      data: await Post.populate(post.toWorkingCopy({ depopulate: true }), adminPostPopulate)
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Get post preview URL
-// @route   GET /api/admin/posts/:id/preview
-// @access  Private (Admin+)
-const getPostPreview = async (req, res, next) => {
+// @desc    Publish the pending draft of a post (or the post itself)
+// @route   POST /api/admin/posts/:id/publish
+// @access  Private (Editor+)
+const publishAdminPost = async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id);
+    const post = await Post.findById(req.params.id).select('+draft');
 
     if (!post) {
       return res.status(404).json({
@@ -250,146 +303,159 @@ const getPostPreview = async (req, res, next) => {
       });
     }
 
-    // Generate signed preview URL (simplified for testing)
-    const timestamp = Date.now();
-    const secret = process.env.PREVIEW_SECRET || 'preview-secret';
-    const hash = crypto
-      .createHmac('sha256', secret)
-      .update(`${req.params.id}-${timestamp}`)
-      .digest('hex');
+    const previousStatus = post.status;
+    const candidate = post.toWorkingCopy();
 
-    const previewUrl = `/preview/${req.params.id}?t=${timestamp}&h=${hash}`;
+    if (post.status === 'published') {
+      if (!post.draft) {
+        return res.status(400).json({
+          success: false,
+          code: 'NO_PENDING_DRAFT',
+          message: 'No pending changes to publish'
+        });
+      }
+
+      const rejection = checkRequirements('published', candidate);
+      if (rejection) {
+        return res.status(rejection.statusCode).json({
+          success: false,
+          code: rejection.code,
+          message: rejection.message
+        });
+      }
+    } else {
+      const rejection = checkTransition(post.status, 'published', req.user, candidate);
+      if (rejection) {
+        return res.status(rejection.statusCode).json({
+          success: false,
+          code: rejection.code,
+          message: rejection.message
+        });
+      }
+
+      post.set({ status: 'published', ...transitionUpdates(post, 'published') });
+    }
+
+    post.promoteDraft();
+    await post.save();
+
+    await propagateToMain(post, previousStatus, { liveChanged: true });
+    await emitPostTransition(post, previousStatus, { liveChanged: true });
 
     res.json({
       success: true,
-      previewUrl
+      message: 'Published',
+      data: await Post.populate(post.toWorkingCopy({ depopulate: true }), adminPostPopulate)
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Get content page
-// @route   GET /api/admin/content-page
-// @access  Private (Admin+)
-const getContentPage = async (req, res, next) => {
+// @desc    Discard the pending draft of a published post
+// @route   DELETE /api/admin/posts/:id/draft
+// @access  Private (Contributor+)
+const discardAdminPostDraft = async (req, res, next) => {
   try {
-    const contentPage = await ContentPage.findOne({ slug: 'content' });
+    const post = await Post.findById(req.params.id).select('+draft');
 
-    if (!contentPage) {
+    if (!post) {
       return res.status(404).json({
         success: false,
-        message: 'Content page not found'
+        message: 'Post not found'
+      });
+    }
+
+    // Check if user can edit this post
+    if (post.author.toString() !== req.user._id.toString() && !req.user.can('post:edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this post'
+      });
+    }
+
+    if (!post.discardDraft()) {
+      return res.status(400).json({
+        success: false,
+        code: 'NO_PENDING_DRAFT',
+        message: 'No pending changes to discard'
       });
     }
 
+    await post.save();
+    await PostRevision.record(post, req.user._id);
+
     res.json({
       success: true,
-      data: contentPage
+      message: 'Draft discarded',
+      data: await Post.populate(post.toWorkingCopy({ depopulate: true }), adminPostPopulate)
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Save content page sections (draft ok)
-// @route   POST /api/admin/content-page
-// @access  Private (Editor+)
-const saveContentPage = async (req, res, next) => {
+// @desc    Get post preview URL
+// @route   GET /api/admin/posts/:id/preview
+// @access  Private (Admin+)
+const getPostPreview = async (req, res, next) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      const firstError = errors.array()[0];
-      return res.status(400).json({
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
         success: false,
-        message: firstError.msg
+        message: 'Post not found'
       });
     }
 
-    const { sections, seo } = req.body;
-
-    // Validate sections
-    for (const section of sections) {
-      if (section.type === 'imageGallery' && (!section.props.images || section.props.images.length === 0)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Gallery must have at least one image'
-        });
-      }
-    }
-
-    const contentPageData = {
-      slug: 'content',
-      status: 'draft',
-      sections,
-      seo,
-      version: 1
-    };
+    // Generate signed preview URL, checked by GET /api/preview/:id
+    const timestamp = Date.now();
+    const hash = signPreview(req.params.id, timestamp);
 
-    let contentPage = await ContentPage.findOneAndUpdate(
-      { slug: 'content' },
-      contentPageData,
-      { upsert: true, new: true, runValidators: true }
-    );
+    const previewUrl = `/preview/${req.params.id}?t=${timestamp}&h=${hash}`;
 
     res.json({
       success: true,
-      message: 'Content page saved',
-      data: contentPage
+      previewUrl,
+      expiresAt: new Date(timestamp + getTtlMs())
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Publish content page sections
-// @route   PATCH /api/admin/content-page/publish
-// @access  Private (Editor+)
-const publishContentPage = async (req, res, next) => {
+// @desc    Revoke all preview links issued so far for a post
+// @route   DELETE /api/admin/posts/:id/preview
+// @access  Private (Contributor+)
+const revokePostPreview = async (req, res, next) => {
   try {
-    const contentPage = await ContentPage.findOne({ slug: 'content' });
-
-    if (!contentPage) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
         success: false,
-        message: 'Content page not found'
+        message: firstError.msg
       });
     }
 
-    // Create published snapshot
-    const publishedData = {
-      ...contentPage.toObject(),
-      status: 'published',
-      publishedAt: new Date().toISOString(),
-      version: (contentPage.version || 0) + 1
-    };
-
-    await ContentPage.findOneAndUpdate(
-      { slug: 'content' },
-      publishedData,
-      { new: true, runValidators: true }
+    const post = await Post.findByIdAndUpdate(
+      req.params.id,
+      { previewRevokedAt: new Date() },
+      { new: true }
     );
 
-    // Trigger revalidation webhook if configured
-    if (process.env.REVALIDATE_WEBHOOK_URL) {
-      try {
-        const response = await fetch(process.env.REVALIDATE_WEBHOOK_URL, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Revalidate-Secret': process.env.REVALIDATE_SECRET || 'revalidate-secret'
-          },
-          body: JSON.stringify({ path: '/content-page' })
-        });
-      } catch (webhookError) {
-        console.error('Revalidation webhook failed:', webhookError);
-      }
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
     }
 
     res.json({
       success: true,
-      message: 'Content page published',
-      data: publishedData
+      message: 'Preview links revoked',
+      data: { previewRevokedAt: post.previewRevokedAt }
     });
   } catch (error) {
     next(error);
@@ -401,8 +467,8 @@ module.exports = {
   getAdminPost,
   createAdminPost,
   updateAdminPost,
+  publishAdminPost,
+  discardAdminPostDraft,
   getPostPreview,
-  getContentPage,
-  saveContentPage,
-  publishContentPage
+  revokePostPreview
 };
@@ -1,5 +1,6 @@
 const Category = require('../models/Category');
 const Post = require('../models/Post');
+const Redirect = require('../models/Redirect');
 const { validationResult } = require('express-validator');
 
 // @desc    Get all categories
@@ -204,12 +205,16 @@ const updateCategory = async (req, res, next) => {
       }
     }
 
+    const previousSlug = category.slug;
+
     category = await Category.findByIdAndUpdate(
       req.params.id,
       req.body,
       { new: true, runValidators: true }
     ).populate('parent', 'name slug');
 
+    await Redirect.recordSlugChange('category', category, previousSlug, category.slug);
+
     res.json({
       success: true,
       data: category
@@ -0,0 +1,617 @@
+const ContentPage = require('../models/ContentPage');
+const ContentPageVersion = require('../models/ContentPageVersion');
+const { validationResult } = require('express-validator');
+const { isStale, conflictingFields, sendConflict, setETag } = require('../utils/concurrency');
+const { triggerRevalidation } = require('../services/revalidation');
+const { CLEAR_SCHEDULE, goLive, draftUpdates } = require('../services/contentPagePublishing');
+const { checkSections, sendSectionErrors } = require('../services/globalBlocks');
+const { formatSections, storedSections } = require('../services/sectionFormats');
+const { withImageVariants } = require('../services/imageVariants');
+
+// Content page fields an editor saves
+const CONTENT_PAGE_FIELDS = ['sections', 'seo', 'title', 'path'];
+
+// The legacy /content-page routes have no :slug and act on the default page
+const slugOf = (req) => req.params.slug || ContentPage.DEFAULT_SLUG;
+
+// @desc    List content pages
+// @route   GET /api/admin/content-pages
+// @access  Private (Admin+)
+const getContentPages = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const { page = 1, limit = 20, status, search } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (search) {
+      filter.$or = [
+        { slug: { $regex: search, $options: 'i' } },
+        { title: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const contentPages = await ContentPage.find(filter)
+      .select('-sections')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await ContentPage.countDocuments(filter);
+
+    res.json({
+      success: true,
+      rows: contentPages,
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get content page
+// @route   GET /api/admin/content-pages/:slug
+// @route   GET /api/admin/content-page
+// @access  Private (Admin+)
+const getContentPage = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const contentPage = await ContentPage.findOne({ slug: slugOf(req) });
+
+    if (!contentPage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content page not found'
+      });
+    }
+
+    const formatted = formatSections(contentPage, 'page', req.query.format);
+
+    setETag(res, contentPage);
+    res.json({
+      success: true,
+      data: req.query.include === 'variants' ? await withImageVariants(formatted, 'page') : formatted
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a content page
+// @route   POST /api/admin/content-pages
+// @access  Private (Editor+)
+const createContentPage = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const { slug, title, path, sections = [], seo } = req.body;
+
+    // Sections are checked against the section registry and stored normalized,
+    // converted first when they were sent in the canonical form; referenced
+    // global blocks must exist
+    const normalized = await checkSections('page', storedSections('page', sections, req.query.format));
+    if (normalized.errors.length) return sendSectionErrors(res, normalized.errors);
+
+    if (await ContentPage.exists({ slug })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A content page with this slug already exists'
+      });
+    }
+
+    const contentPage = await ContentPage.create({
+      slug,
+      title,
+      path,
+      sections: normalized.sections,
+      seo,
+      status: 'draft'
+    });
+
+    setETag(res, contentPage);
+    res.status(201).json({
+      success: true,
+      message: 'Content page created',
+      data: contentPage
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Save content page sections (draft ok)
+// @route   PUT /api/admin/content-pages/:slug
+// @route   POST /api/admin/content-page
+// @access  Private (Editor+)
+const saveContentPage = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const slug = slugOf(req);
+    const { seo, title, path } = req.body;
+
+    // Sections are checked against the section registry and stored normalized,
+    // converted first when they were sent in the canonical form; referenced
+    // global blocks must exist
+    const normalized = await checkSections('page', storedSections('page', req.body.sections, req.query.format));
+    if (normalized.errors.length) return sendSectionErrors(res, normalized.errors);
+    req.body.sections = normalized.sections;
+
+    const current = await ContentPage.findOne({ slug });
+
+    // Reject writes based on an outdated copy of the page
+    if (current && isStale(req, current)) {
+      return sendConflict(res, current, conflictingFields(current.toObject(), req.body, CONTENT_PAGE_FIELDS));
+    }
+
+    // Saving only touches the draft; the live page stays as published
+    const contentPageData = {
+      slug,
+      sections: normalized.sections,
+      seo,
+      hasUnpublishedChanges: true
+    };
+    if (title !== undefined) contentPageData.title = title;
+    if (path !== undefined) contentPageData.path = path;
+
+    // Keep serving a page published before drafts were split out
+    const legacySnapshot = current && current.legacySnapshot();
+    if (legacySnapshot) contentPageData.published = legacySnapshot;
+
+    // The version filter makes the write fail if someone saved in between
+    let contentPage = await ContentPage.findOneAndUpdate(
+      current ? { slug, __v: current.__v } : { slug },
+      { ...contentPageData, $inc: { __v: 1 } },
+      { upsert: !current, new: true, runValidators: true }
+    );
+
+    if (!contentPage) {
+      const latest = await ContentPage.findOne({ slug });
+      return sendConflict(res, latest, conflictingFields(latest.toObject(), req.body, CONTENT_PAGE_FIELDS));
+    }
+
+    setETag(res, contentPage);
+    res.json({
+      success: true,
+      message: 'Content page saved',
+      data: contentPage
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const sendPublishConflict = (res) => {
+  res.status(409).json({
+    success: false,
+    message: 'Content page was published by someone else. Reload it and try again.'
+  });
+};
+
+// @desc    Publish content page sections
+// @route   PATCH /api/admin/content-pages/:slug/publish
+// @route   PATCH /api/admin/content-page/publish
+// @access  Private (Editor+)
+const publishContentPage = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const contentPage = await ContentPage.findOne({ slug: slugOf(req) });
+
+    if (!contentPage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content page not found'
+      });
+    }
+
+    // Promote the draft to live
+    const published = await goLive(contentPage, contentPage.toObject(), req.user._id, {
+      updates: { hasUnpublishedChanges: false, ...CLEAR_SCHEDULE }
+    });
+
+    res.json({
+      success: true,
+      message: 'Content page published',
+      data: published
+    });
+  } catch (error) {
+    if (error.code === 11000) return sendPublishConflict(res);
+    next(error);
+  }
+};
+
+// @desc    Schedule the draft of a content page to go live, and optionally to come down again
+// @route   PATCH /api/admin/content-pages/:slug/schedule
+// @route   PATCH /api/admin/content-page/schedule
+// @access  Private (Editor+)
+const scheduleContentPage = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const scheduledAt = new Date(req.body.scheduledAt);
+    const unpublishAt = req.body.unpublishAt ? new Date(req.body.unpublishAt) : null;
+
+    if (scheduledAt.getTime() <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_SCHEDULE',
+        message: 'Scheduled date must be in the future'
+      });
+    }
+
+    if (unpublishAt && unpublishAt.getTime() <= scheduledAt.getTime()) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_SCHEDULE',
+        message: 'Unpublish date must be after the scheduled date'
+      });
+    }
+
+    const contentPage = await ContentPage.findOne({ slug: slugOf(req) });
+
+    if (!contentPage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content page not found'
+      });
+    }
+
+    // A live page stays published until the scheduled draft replaces it
+    const scheduled = await ContentPage.findByIdAndUpdate(
+      contentPage._id,
+      {
+        scheduledAt,
+        unpublishAt,
+        scheduledBy: req.user._id,
+        $unset: { previous: 1 },
+        ...(contentPage.status === 'published' ? {} : { status: 'scheduled' })
+      },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Content page scheduled',
+      data: scheduled
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a scheduled publish or unpublish of a content page
+// @route   DELETE /api/admin/content-pages/:slug/schedule
+// @route   DELETE /api/admin/content-page/schedule
+// @access  Private (Editor+)
+const cancelContentPageSchedule = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const contentPage = await ContentPage.findOne({ slug: slugOf(req) });
+
+    if (!contentPage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content page not found'
+      });
+    }
+
+    if (!contentPage.scheduledAt && !contentPage.unpublishAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content page is not scheduled'
+      });
+    }
+
+    // A page that went live on schedule stays live; only its unpublish is dropped
+    const updated = await ContentPage.findByIdAndUpdate(
+      contentPage._id,
+      {
+        ...CLEAR_SCHEDULE,
+        ...(contentPage.status === 'scheduled' ? { status: 'draft' } : {})
+      },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Content page schedule cancelled',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List published versions of a content page
+// @route   GET /api/admin/content-pages/:slug/versions
+// @access  Private (Admin+)
+const getContentPageVersions = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const contentPage = await ContentPage.findOne({ slug: req.params.slug }).select('_id version');
+
+    if (!contentPage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content page not found'
+      });
+    }
+
+    const versions = await ContentPageVersion.find({ page: contentPage._id })
+      .populate('publishedBy', 'firstName lastName email')
+      .select('-sections')
+      .sort({ version: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: versions.length,
+      currentVersion: contentPage.version,
+      data: versions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a published version of a content page
+// @route   GET /api/admin/content-pages/:slug/versions/:version
+// @access  Private (Admin+)
+const getContentPageVersion = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const version = await ContentPageVersion.findOne({
+      slug: req.params.slug,
+      version: parseInt(req.params.version)
+    })
+      .populate('publishedBy', 'firstName lastName email')
+      .lean();
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatSections(version, 'page', req.query.format)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Put an earlier published version of a content page back live
+// @route   POST /api/admin/content-pages/:slug/versions/:version/rollback
+// @access  Private (Editor+)
+const rollbackContentPage = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const contentPage = await ContentPage.findOne({ slug: req.params.slug });
+
+    if (!contentPage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content page not found'
+      });
+    }
+
+    const target = await ContentPageVersion.findOne({
+      page: contentPage._id,
+      version: parseInt(req.params.version)
+    });
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const content = target.toObject();
+
+    // Rolling back publishes the old content as a new version. The draft
+    // follows along unless it holds unpublished work.
+    const published = await goLive(contentPage, content, req.user._id, {
+      restoredFrom: target.version,
+      updates: { ...draftUpdates(contentPage, content), ...CLEAR_SCHEDULE }
+    });
+
+    res.json({
+      success: true,
+      message: `Rolled back to version ${target.version}`,
+      data: published
+    });
+  } catch (error) {
+    if (error.code === 11000) return sendPublishConflict(res);
+    next(error);
+  }
+};
+
+// @desc    Copy a content page to a new draft page
+// @route   POST /api/admin/content-pages/:slug/duplicate
+// @access  Private (Editor+)
+const duplicateContentPage = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const source = await ContentPage.findOne({ slug: req.params.slug });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content page not found'
+      });
+    }
+
+    if (await ContentPage.exists({ slug: req.body.slug })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A content page with this slug already exists'
+      });
+    }
+
+    const contentPage = await ContentPage.create({
+      slug: req.body.slug,
+      title: req.body.title || (source.title ? `${source.title} (copy)` : undefined),
+      path: req.body.path,
+      sections: source.sections,
+      seo: source.seo,
+      status: 'draft'
+    });
+
+    setETag(res, contentPage);
+    res.status(201).json({
+      success: true,
+      message: 'Content page duplicated',
+      data: contentPage
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a content page
+// @route   DELETE /api/admin/content-pages/:slug
+// @access  Private (Admin only)
+const deleteContentPage = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const contentPage = await ContentPage.findOneAndDelete({ slug: req.params.slug });
+
+    if (!contentPage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content page not found'
+      });
+    }
+
+    await ContentPageVersion.deleteMany({ page: contentPage._id });
+
+    // A live page has to disappear from the frontend too
+    if (contentPage.status === 'published') {
+      await triggerRevalidation(contentPage.getPath());
+    }
+
+    res.json({
+      success: true,
+      message: 'Content page deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getContentPages,
+  getContentPage,
+  createContentPage,
+  saveContentPage,
+  publishContentPage,
+  scheduleContentPage,
+  cancelContentPageSchedule,
+  getContentPageVersions,
+  getContentPageVersion,
+  rollbackContentPage,
+  duplicateContentPage,
+  deleteContentPage
+};
@@ -0,0 +1,328 @@
+const GlobalBlock = require('../models/GlobalBlock');
+const { validationResult } = require('express-validator');
+const { isStale, conflictingFields, sendConflict, setETag } = require('../utils/concurrency');
+const { normalizeSections } = require('../services/sectionRegistry');
+const { findBlockUsage, sendSectionErrors } = require('../services/globalBlocks');
+const { triggerRevalidation } = require('../services/revalidation');
+
+// Global block fields an editor saves
+const GLOBAL_BLOCK_FIELDS = ['name', 'description', 'sections'];
+
+// Blocks hold content page sections, but cannot embed other blocks
+const checkBlockSections = (sections) => {
+  const normalized = normalizeSections('page', sections);
+  if (normalized.errors.length || !normalized.sections) return normalized;
+
+  const errors = normalized.sections
+    .map((section, index) => section.type === 'ref'
+      ? { path: `sections.${index}.type`, message: 'A global block cannot contain another block' }
+      : null)
+    .filter(Boolean);
+
+  return errors.length ? { errors } : normalized;
+};
+
+// @desc    List global blocks
+// @route   GET /api/admin/global-blocks
+// @access  Private (Admin+)
+const getGlobalBlocks = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const { page = 1, limit = 20, status, search } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (search) filter.name = { $regex: search, $options: 'i' };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const blocks = await GlobalBlock.find(filter)
+      .select('-sections -published.sections')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await GlobalBlock.countDocuments(filter);
+
+    res.json({
+      success: true,
+      rows: blocks,
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a global block
+// @route   GET /api/admin/global-blocks/:id
+// @access  Private (Admin+)
+const getGlobalBlock = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const block = await GlobalBlock.findById(req.params.id);
+
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        message: 'Global block not found'
+      });
+    }
+
+    setETag(res, block);
+    res.json({
+      success: true,
+      data: block
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a global block
+// @route   POST /api/admin/global-blocks
+// @access  Private (Editor+)
+const createGlobalBlock = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const { name, description, sections = [] } = req.body;
+
+    const normalized = checkBlockSections(sections);
+    if (normalized.errors.length) return sendSectionErrors(res, normalized.errors);
+
+    const block = await GlobalBlock.create({
+      name,
+      description,
+      sections: normalized.sections,
+      hasUnpublishedChanges: true,
+      createdBy: req.user._id
+    });
+
+    setETag(res, block);
+    res.status(201).json({
+      success: true,
+      message: 'Global block created',
+      data: block
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Save a global block draft
+// @route   PUT /api/admin/global-blocks/:id
+// @access  Private (Editor+)
+const saveGlobalBlock = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const block = await GlobalBlock.findById(req.params.id);
+
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        message: 'Global block not found'
+      });
+    }
+
+    if (req.body.sections !== undefined) {
+      const normalized = checkBlockSections(req.body.sections);
+      if (normalized.errors.length) return sendSectionErrors(res, normalized.errors);
+      req.body.sections = normalized.sections;
+    }
+
+    // Reject writes based on an outdated copy of the block
+    if (isStale(req, block)) {
+      return sendConflict(res, block, conflictingFields(block.toObject(), req.body, GLOBAL_BLOCK_FIELDS));
+    }
+
+    // Saving only touches the draft; embedding pages keep the published sections
+    for (const field of GLOBAL_BLOCK_FIELDS) {
+      if (req.body[field] !== undefined) block[field] = req.body[field];
+    }
+    block.hasUnpublishedChanges = true;
+    await block.save();
+
+    setETag(res, block);
+    res.json({
+      success: true,
+      message: 'Global block saved',
+      data: block
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Publish a global block to every page and post embedding it
+// @route   PATCH /api/admin/global-blocks/:id/publish
+// @access  Private (Editor+)
+const publishGlobalBlock = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const block = await GlobalBlock.findById(req.params.id);
+
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        message: 'Global block not found'
+      });
+    }
+
+    const version = (block.version || 0) + 1;
+    block.published = {
+      sections: block.sections,
+      version,
+      publishedAt: new Date()
+    };
+    block.version = version;
+    block.status = 'published';
+    block.hasUnpublishedChanges = false;
+    block.publishedBy = req.user._id;
+    await block.save();
+
+    // Every live page showing the block changes with it
+    const usage = await findBlockUsage(block._id);
+    const paths = [...new Set([...usage.contentPages, ...usage.posts]
+      .filter(item => item.live)
+      .map(item => item.path))];
+    await triggerRevalidation(paths);
+
+    setETag(res, block);
+    res.json({
+      success: true,
+      message: 'Global block published',
+      data: block,
+      revalidated: paths
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Pages and posts that embed a global block
+// @route   GET /api/admin/global-blocks/:id/usage
+// @access  Private (Admin+)
+const getGlobalBlockUsage = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    if (!await GlobalBlock.exists({ _id: req.params.id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Global block not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await findBlockUsage(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a global block that nothing embeds
+// @route   DELETE /api/admin/global-blocks/:id
+// @access  Private (Admin only)
+const deleteGlobalBlock = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const block = await GlobalBlock.findById(req.params.id);
+
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        message: 'Global block not found'
+      });
+    }
+
+    const usage = await findBlockUsage(block._id);
+    const users = usage.contentPages.length + usage.posts.length;
+    if (users > 0) {
+      return res.status(409).json({
+        success: false,
+        code: 'BLOCK_IN_USE',
+        message: `Global block is used by ${users} page(s) or post(s)`,
+        data: usage
+      });
+    }
+
+    await block.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Global block deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getGlobalBlocks,
+  getGlobalBlock,
+  createGlobalBlock,
+  saveGlobalBlock,
+  publishGlobalBlock,
+  getGlobalBlockUsage,
+  deleteGlobalBlock
+};
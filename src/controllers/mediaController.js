@@ -1,9 +1,79 @@
 const Media = require('../models/Media');
-const Post = require('../models/Post');
+const { emitMediaUploaded, emitMediaDeleted } = require('../services/webhooks');
+const { canResize, generateVariants, pickThumbnail, removeVariants } = require('../services/imageVariants');
+const { resolveTransform, sourceCopy, transformImage, purgeTransforms } = require('../services/imageTransforms');
+const { getStorage, storageOf, variantKey, discardFile } = require('../services/storage');
+const { whereUsed } = require('../services/mediaUsage');
+const { getExifPolicy, readExif, applyExifPolicy } = require('../services/exif');
 const { validationResult } = require('express-validator');
 const path = require('path');
 const fs = require('fs');
 
+// Width and height of an image file; empty when they cannot be read
+const readDimensions = async (filePath) => {
+  try {
+    const sharp = require('sharp');
+    const metadata = await sharp(filePath).metadata();
+    return {
+      width: metadata.width,
+      height: metadata.height
+    };
+  } catch (error) {
+    console.warn('Could not get image dimensions:', error.message);
+    return {};
+  }
+};
+
+// Remove an upload staged on local disk
+const discardStaged = (file) => {
+  if (file && file.path && fs.existsSync(file.path)) {
+    fs.unlink(file.path, (err) => {
+      if (err) console.error('Error deleting uploaded file:', err);
+    });
+  }
+};
+
+// Read the EXIF of an uploaded image, then rewrite the file by the EXIF
+// policy asked for. Resolves the metadata read and the policy applied, or
+// `failed` when the file could not be rewritten: it may still carry the
+// EXIF the policy removes, so it must not be stored.
+const processExif = async (filePath, mimeType, requestedPolicy) => {
+  const metadata = await readExif(filePath);
+  const exifPolicy = getExifPolicy(requestedPolicy);
+
+  try {
+    await applyExifPolicy(filePath, mimeType, exifPolicy);
+  } catch (error) {
+    console.warn('Could not apply EXIF policy:', error.message);
+    return { failed: true, exifPolicy };
+  }
+
+  return { metadata, exifPolicy };
+};
+
+const sendExifFailed = (res, exifPolicy) => res.status(422).json({
+  success: false,
+  code: 'EXIF_POLICY_FAILED',
+  message: `Could not apply the ${exifPolicy} EXIF policy to the file`
+});
+
+// Resized copies in modern formats for responsive images, kept in
+// `storage`; none when the file cannot be resized
+const makeVariants = async (file, dimensions, storage) => {
+  if (!canResize(file.mimetype) || !dimensions.width) return [];
+
+  try {
+    return await generateVariants(file.path, {
+      filename: file.filename,
+      mimeType: file.mimetype,
+      width: dimensions.width
+    }, storage);
+  } catch (error) {
+    console.warn('Could not generate image variants:', error.message);
+    return [];
+  }
+};
+
 // @desc    Get all media files with advanced filtering
 // @route   GET /api/v1/media
 // @access  Private (Contributor+)
@@ -99,6 +169,10 @@ const getMediaById = async (req, res, next) => {
 // @route   POST /api/v1/media/upload
 // @access  Private (Contributor+)
 const uploadMedia = async (req, res, next) => {
+  let storage;
+  let stored = false;
+  let variants = [];
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -116,7 +190,7 @@ const uploadMedia = async (req, res, next) => {
       });
     }
 
-    const { alt, caption, tags = [], isPublic = true } = req.body;
+    const { alt, caption, tags = [], isPublic = true, exif } = req.body;
 
     // Determine file type
     let fileType = 'document';
@@ -128,30 +202,41 @@ const uploadMedia = async (req, res, next) => {
       fileType = 'audio';
     }
 
-    // Get image dimensions for images
-    let dimensions = {};
-    if (fileType === 'image') {
-      try {
-        const sharp = require('sharp');
-        const metadata = await sharp(req.file.path).metadata();
-        dimensions = {
-          width: metadata.width,
-          height: metadata.height
-        };
-      } catch (error) {
-        console.warn('Could not get image dimensions:', error.message);
-      }
+    // Record the EXIF, then strip what should not be served
+    const { metadata, exifPolicy, failed } = fileType === 'image'
+      ? await processExif(req.file.path, req.file.mimetype, exif)
+      : {};
+    if (failed) {
+      discardStaged(req.file);
+      return sendExifFailed(res, exifPolicy);
     }
 
+    // Get image dimensions for images
+    const dimensions = fileType === 'image' ? await readDimensions(req.file.path) : {};
+    const { size } = await fs.promises.stat(req.file.path);
+
+    // Keep the file and its variants where new uploads go
+    storage = getStorage();
+    variants = await makeVariants(req.file, dimensions, storage);
+    const thumbnail = pickThumbnail(variants);
+
+    const url = await storage.store(req.file.filename, req.file.path, { mimeType: req.file.mimetype });
+    stored = true;
+
     // Create media record
     const media = await Media.create({
       filename: req.file.filename,
       originalName: req.file.originalname,
-      url: `/uploads/${req.file.filename}`,
+      url,
+      thumbnailUrl: thumbnail && thumbnail.url,
+      variants,
+      storage: storage.name,
       type: fileType,
       mimeType: req.file.mimetype,
-      size: req.file.size,
+      size,
       dimensions,
+      metadata,
+      exifPolicy,
       alt,
       caption,
       tags,
@@ -159,6 +244,8 @@ const uploadMedia = async (req, res, next) => {
       isPublic
     });
 
+    await emitMediaUploaded(media);
+
     await media.populate('uploadedBy', 'firstName lastName email avatar');
 
     res.status(201).json({
@@ -168,11 +255,9 @@ const uploadMedia = async (req, res, next) => {
     });
   } catch (error) {
     // Clean up uploaded file if database operation fails
-    if (req.file && req.file.path) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Error deleting uploaded file:', err);
-      });
-    }
+    discardStaged(req.file);
+    if (stored) discardFile(storage, req.file.filename, { mimeType: req.file.mimetype });
+    if (storage) removeVariants({ storage: storage.name, variants });
     next(error);
   }
 };
@@ -225,51 +310,188 @@ const updateMedia = async (req, res, next) => {
   }
 };
 
-// @desc    Delete media file
-// @route   DELETE /api/v1/media/:id
-// @access  Private (Admin only)
-const deleteMedia = async (req, res, next) => {
+// @desc    Replace the file of a media item, keeping its URL
+// @route   PUT /api/v1/media/:id/file
+// @access  Private (Contributor+)
+const replaceMediaFile = async (req, res, next) => {
+  // Remove the upload unless it ends up replacing the file
+  const discardUpload = () => discardStaged(req.file);
+
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discardUpload();
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
     const media = await Media.findById(req.params.id);
 
     if (!media) {
+      discardUpload();
       return res.status(404).json({
         success: false,
         message: 'Media file not found'
       });
     }
 
-    // Check if media is being used in posts
-    const postsUsingMedia = await Post.find({
-      $or: [
-        { 'featuredImage.url': media.url },
-        { 'contentSections.data.imageUrl': media.url },
-        { 'contentSections.data.backgroundImage': media.url },
-        { 'contentSections.data.images.url': media.url }
-      ]
+    // Check if user can replace this media (own upload or admin)
+    if (media.uploadedBy.toString() !== req.user._id.toString() && !req.user.can('media:delete')) {
+      discardUpload();
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this media file'
+      });
+    }
+
+    // Pages link to the file by URL, so the replacement must keep its format
+    if (req.file.mimetype !== media.mimeType) {
+      discardUpload();
+      return res.status(400).json({
+        success: false,
+        message: `Replacement must have the same type as the original (${media.mimeType})`
+      });
+    }
+
+    // Strip the EXIF before the file goes live
+    const { metadata, exifPolicy, failed } = media.type === 'image'
+      ? await processExif(req.file.path, media.mimeType, req.body.exif || media.exifPolicy)
+      : {};
+    if (failed) {
+      discardUpload();
+      return sendExifFailed(res, exifPolicy);
+    }
+
+    const dimensions = media.type === 'image' ? await readDimensions(req.file.path) : {};
+    const { size } = await fs.promises.stat(req.file.path);
+
+    // Overwrite the file and its variants where they are kept
+    const storage = storageOf(media);
+    const variants = await makeVariants({ ...req.file, filename: media.filename }, dimensions, storage);
+    const thumbnail = pickThumbnail(variants);
+
+    const url = await storage.store(media.filename, req.file.path, { mimeType: media.mimeType });
+    purgeTransforms(media.filename);
+
+    // Variants are rewritten in place; drop the ones no longer made
+    const kept = new Set(variants.map(variantKey));
+    removeVariants({
+      storage: storage.name,
+      variants: media.variants.filter(old => !kept.has(variantKey(old)))
+    });
+
+    media.set({
+      url,
+      size,
+      dimensions,
+      metadata,
+      exifPolicy,
+      variants,
+      thumbnailUrl: thumbnail && thumbnail.url
+    });
+    await media.save();
+
+    await media.populate('uploadedBy', 'firstName lastName email avatar');
+
+    res.json({
+      success: true,
+      message: 'File replaced successfully',
+      data: media
     });
+  } catch (error) {
+    discardUpload();
+    next(error);
+  }
+};
 
-    if (postsUsingMedia.length > 0) {
+// @desc    List where a media file is used
+// @route   GET /api/v1/media/:id/usage
+// @access  Private (Contributor+)
+const getMediaUsage = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: `Cannot delete media file. It is being used in ${postsUsingMedia.length} post(s).`,
-        usedIn: postsUsingMedia.map(post => ({
-          id: post._id,
-          title: post.title
-        }))
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Delete physical file
-    const filePath = path.join(process.cwd(), media.url);
-    if (fs.existsSync(filePath)) {
-      fs.unlink(filePath, (err) => {
-        if (err) console.error('Error deleting file:', err);
+    const media = await Media.findById(req.params.id).select('filename url variants.url usage usageSyncedAt').lean();
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media file not found'
+      });
+    }
+
+    const usedIn = await whereUsed(media);
+
+    res.json({
+      success: true,
+      count: usedIn.length,
+      data: usedIn
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete media file
+// @route   DELETE /api/v1/media/:id?force=true
+// @access  Private (Admin only)
+const deleteMedia = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
+    const media = await Media.findById(req.params.id);
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media file not found'
+      });
+    }
+
+    // Files still in use are only deleted when forced
+    const usedIn = await whereUsed(media);
+
+    if (usedIn.length > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        success: false,
+        code: 'MEDIA_IN_USE',
+        message: `Cannot delete media file. It is being used in ${usedIn.length} place(s).`,
+        usedIn
+      });
+    }
+
+    // Delete physical file
+    discardFile(storageOf(media), media.filename, { mimeType: media.mimeType });
+    removeVariants(media);
+    purgeTransforms(media.filename);
+
     // Delete database record
     await Media.findByIdAndDelete(req.params.id);
+    await emitMediaDeleted(media);
 
     res.json({
       success: true,
@@ -285,7 +507,7 @@ const deleteMedia = async (req, res, next) => {
 // @access  Private (Admin only)
 const bulkDeleteMedia = async (req, res, next) => {
   try {
-    const { mediaIds } = req.body;
+    const { mediaIds, force = false } = req.body;
 
     if (!Array.isArray(mediaIds) || mediaIds.length === 0) {
       return res.status(400).json({
@@ -294,6 +516,24 @@ const bulkDeleteMedia = async (req, res, next) => {
       });
     }
 
+    // Unless forced, nothing is deleted while any of the files is in use
+    if (force !== true && force !== 'true') {
+      const inUse = [];
+      for (const media of await Media.find({ _id: { $in: mediaIds } })) {
+        const usedIn = await whereUsed(media);
+        if (usedIn.length > 0) inUse.push({ id: media._id.toString(), usedIn });
+      }
+
+      if (inUse.length > 0) {
+        return res.status(409).json({
+          success: false,
+          code: 'MEDIA_IN_USE',
+          message: `Cannot delete media files. ${inUse.length} of them are in use.`,
+          inUse
+        });
+      }
+    }
+
     let success = 0;
     let failed = 0;
     const errors = [];
@@ -307,32 +547,14 @@ const bulkDeleteMedia = async (req, res, next) => {
           continue;
         }
 
-        // Check if media is being used
-        const postsUsingMedia = await Post.find({
-          $or: [
-            { 'featuredImage.url': media.url },
-            { 'contentSections.data.imageUrl': media.url },
-            { 'contentSections.data.backgroundImage': media.url },
-            { 'contentSections.data.images.url': media.url }
-          ]
-        });
-
-        if (postsUsingMedia.length > 0) {
-          failed++;
-          errors.push(`Media ${mediaId} is being used in ${postsUsingMedia.length} post(s)`);
-          continue;
-        }
-
         // Delete physical file
-        const filePath = path.join(process.cwd(), media.url);
-        if (fs.existsSync(filePath)) {
-          fs.unlink(filePath, (err) => {
-            if (err) console.error('Error deleting file:', err);
-          });
-        }
+        discardFile(storageOf(media), media.filename, { mimeType: media.mimeType });
+        removeVariants(media);
+        purgeTransforms(media.filename);
 
         // Delete database record
         await Media.findByIdAndDelete(mediaId);
+        await emitMediaDeleted(media);
         success++;
       } catch (error) {
         failed++;
@@ -435,36 +657,86 @@ const searchMedia = async (req, res, next) => {
   }
 };
 
-// @desc    Serve media files
-// @route   GET /api/v1/media/serve/:filename
+// @desc    Serve media files, optionally resized or converted
+// @route   GET /api/v1/media/serve/:filename?preset=&width=&height=&fit=&quality=&format=
 // @access  Public
-const serveMedia = (req, res, next) => {
-  const filename = req.params.filename;
-  const filePath = path.join(process.cwd(), 'uploads', filename);
-
-  // Check if file exists
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({
-      success: false,
-      message: 'File not found'
-    });
-  }
+const serveMedia = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-  // Set appropriate headers
-  res.setHeader('Content-Type', 'application/octet-stream');
-  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+    const filename = req.params.filename;
+    const filePath = path.join(process.cwd(), 'uploads', filename);
+
+    if (filename !== path.basename(filename)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
 
-  // Stream the file
-  const fileStream = fs.createReadStream(filePath);
-  fileStream.pipe(res);
+    const media = await Media.findOne({ filename }).select('filename mimeType url storage').lean();
+    const storage = storageOf(media);
+    const isLocal = storage.name === 'local';
 
-  fileStream.on('error', (error) => {
-    console.error('Error streaming file:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error serving file'
-    });
-  });
+    // Check if file exists
+    if (isLocal && (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile())) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const { transform, rejection } = resolveTransform(req.query);
+    if (rejection) {
+      return res.status(rejection.statusCode).json({
+        success: false,
+        code: rejection.code,
+        message: rejection.message
+      });
+    }
+
+    if (!transform) {
+      // Files in remote storage are served by its CDN
+      if (!isLocal) return res.redirect(media.url);
+
+      return res.sendFile(filePath, {
+        headers: { 'Content-Disposition': `inline; filename="${filename}"` }
+      }, (error) => error && next(error));
+    }
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+    if (!canResize(media.mimeType)) {
+      return res.status(400).json({
+        success: false,
+        code: 'NOT_TRANSFORMABLE',
+        message: 'Only JPEG, PNG and WebP images can be transformed'
+      });
+    }
+
+    const sourcePath = isLocal ? filePath : await sourceCopy(media, storage);
+    const transformed = await transformImage(sourcePath, media, transform);
+
+    res.sendFile(transformed.path, {
+      headers: {
+        'Content-Type': transformed.mimeType,
+        'Cache-Control': 'public, max-age=86400'
+      }
+    }, (error) => error && next(error));
+  } catch (error) {
+    next(error);
+  }
 };
 
 module.exports = {
@@ -476,6 +748,8 @@ module.exports = {
   bulkDeleteMedia,
   getMediaStats,
   searchMedia,
-  serveMedia
+  serveMedia,
+  replaceMediaFile,
+  getMediaUsage
 };
 
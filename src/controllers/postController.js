@@ -1,6 +1,21 @@
 const Post = require('../models/Post');
 const Category = require('../models/Category');
 const Media = require('../models/Media');
+const PostRevision = require('../models/PostRevision');
+const Redirect = require('../models/Redirect');
+const { checkTransition, transitionUpdates } = require('../services/postWorkflow');
+const {
+  getMainSiteClient,
+  buildMainSitePayload,
+  pushPost,
+  removePost,
+  propagateToMain
+} = require('../services/mainSiteSync');
+const { checkSections, sendSectionErrors } = require('../services/globalBlocks');
+const { storedSections } = require('../services/sectionFormats');
+const { emitPostTransition, emitPostDeleted } = require('../services/webhooks');
+const { isStale, requestedVersions, sendConflict, setETag } = require('../utils/concurrency');
+const { sendSlugRedirect } = require('../utils/slugRedirect');
 const { validationResult } = require('express-validator');
 
 // @desc    Get all posts with advanced filtering
@@ -111,6 +126,7 @@ const getPost = async (req, res, next) => {
       post.stats.views += 1;
     }
 
+    setETag(res, post);
     res.json({
       success: true,
       data: post
@@ -134,6 +150,12 @@ const getPostBySlug = async (req, res, next) => {
       .lean();
 
     if (!post) {
+      // Old slugs answer with a permanent redirect to the current one
+      const resolved = await Redirect.resolve('post', req.params.slug);
+      if (resolved && await Post.exists({ slug: resolved.toSlug, status: 'published' })) {
+        return sendSlugRedirect(res, resolved.toSlug, `/api/v1/posts/slug/${resolved.toSlug}`);
+      }
+
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -188,14 +210,25 @@ const createPost = async (req, res, next) => {
       postData.slug = `${postData.slug}-${Date.now()}`;
     }
 
-    // Validate content sections if provided
-    if (postData.contentSections && Array.isArray(postData.contentSections)) {
-      postData.contentSections = postData.contentSections.map(section => ({
-        type: section.type,
-        data: section.data || section // Handle both formats
-      }));
+    // Creating a post in any other status is a transition out of draft
+    if (postData.status && postData.status !== 'draft') {
+      const rejection = checkTransition('draft', postData.status, req.user, postData);
+      if (rejection) {
+        return res.status(rejection.statusCode).json({
+          success: false,
+          code: rejection.code,
+          message: rejection.message
+        });
+      }
     }
 
+    // Validate content sections against the section registry and global blocks,
+    // converted first when they were sent in the canonical form
+    const sections = storedSections('post', postData.contentSections, req.query.format);
+    const normalized = await checkSections('post', sections, 'contentSections');
+    if (normalized.errors.length) return sendSectionErrors(res, normalized.errors);
+    if (normalized.sections) postData.contentSections = normalized.sections;
+
     // Set default breadcrumb if not provided
     if (!postData.breadcrumb) {
       postData.breadcrumb = {
@@ -208,6 +241,8 @@ const createPost = async (req, res, next) => {
     }
 
     const post = await Post.create(postData);
+    await PostRevision.record(post, req.user._id);
+    await emitPostTransition(post, 'draft');
 
     await post.populate([
       { path: 'author', select: 'firstName lastName email avatar' },
@@ -238,7 +273,7 @@ const updatePost = async (req, res, next) => {
       });
     }
 
-    let post = await Post.findById(req.params.id);
+    const post = await Post.findById(req.params.id).select('+draft');
 
     if (!post) {
       return res.status(404).json({
@@ -255,8 +290,34 @@ const updatePost = async (req, res, next) => {
       });
     }
 
-    // Update slug if title changed
-    if (req.body.title && req.body.title !== post.title) {
+    // Reject writes based on an outdated copy of the post
+    if (isStale(req, post)) {
+      const [version] = requestedVersions(req);
+      return sendConflict(res, post, await PostRevision.conflictsSince(post, version, req.body));
+    }
+
+    const previousStatus = post.status;
+    const previousSlug = post.slug;
+
+    // Status changes go through the editorial workflow
+    if (req.body.status && req.body.status !== post.status) {
+      const candidate = { ...post.toWorkingCopy(), ...req.body };
+      const rejection = checkTransition(post.status, req.body.status, req.user, candidate);
+      if (rejection) {
+        return res.status(rejection.statusCode).json({
+          success: false,
+          code: rejection.code,
+          message: rejection.message
+        });
+      }
+
+      Object.assign(req.body, transitionUpdates(post, req.body.status));
+    }
+
+    // Update slug if title changed. A live post keeps its slug: the new
+    // title is only staged in the draft.
+    const staysLive = post.status === 'published' && (req.body.status || post.status) === 'published';
+    if (!staysLive && req.body.title && req.body.title !== post.title) {
       const newSlug = req.body.title
         .toLowerCase()
         .replace(/[^a-z0-9 -]/g, '')
@@ -273,26 +334,37 @@ const updatePost = async (req, res, next) => {
       }
     }
 
-    // Validate content sections if provided
-    if (req.body.contentSections && Array.isArray(req.body.contentSections)) {
-      req.body.contentSections = req.body.contentSections.map(section => ({
-        type: section.type,
-        data: section.data || section
-      }));
+    // Validate content sections against the section registry and global blocks,
+    // converted first when they were sent in the canonical form
+    const sections = storedSections('post', req.body.contentSections, req.query.format);
+    const normalized = await checkSections('post', sections, 'contentSections');
+    if (normalized.errors.length) return sendSectionErrors(res, normalized.errors);
+    if (normalized.sections) req.body.contentSections = normalized.sections;
+
+    await PostRevision.recordBaseline(post);
+
+    // Edits to a live post are staged in its draft
+    post.applyChanges(req.body);
+    await post.save();
+
+    await PostRevision.record(post, req.user._id);
+    await propagateToMain(post, previousStatus);
+    await emitPostTransition(post, previousStatus);
+
+    // Links to a post that has been public keep working after a slug change
+    if (post.publishedAt) {
+      await Redirect.recordSlugChange('post', post, previousSlug, post.slug);
     }
 
-    post = await Post.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate([
+    const data = await Post.populate(post.toWorkingCopy({ depopulate: true }), [
       { path: 'author', select: 'firstName lastName email avatar' },
       { path: 'categories', select: 'name slug color' }
     ]);
 
+    setETag(res, post);
     res.json({
       success: true,
-      data: post
+      data
     });
   } catch (error) {
     next(error);
@@ -313,7 +385,21 @@ const deletePost = async (req, res, next) => {
       });
     }
 
+    // Take the post down from the main website first so a failed request
+    // leaves it here to retry rather than orphaned there
+    try {
+      await removePost(post);
+    } catch (error) {
+      if (error.name !== 'MainSiteSyncError') throw error;
+      return res.status(502).json({
+        success: false,
+        code: 'MAIN_SYNC_FAILED',
+        message: error.message
+      });
+    }
+
     await Post.findByIdAndDelete(req.params.id);
+    await emitPostDeleted(post);
 
     res.json({
       success: true,
@@ -341,24 +427,52 @@ const bulkUpdatePosts = async (req, res, next) => {
     const { postIds, action, status } = req.body;
     let success = 0;
     let failed = 0;
+    const failures = [];
 
     for (const postId of postIds) {
       try {
         if (action === 'delete') {
+          const post = await Post.findById(postId);
+          if (post) await removePost(post);
           await Post.findByIdAndDelete(postId);
+          if (post) await emitPostDeleted(post);
         } else if (action === 'changeStatus' && status) {
-          await Post.findByIdAndUpdate(postId, { status });
+          const post = await Post.findById(postId).select('+draft');
+          if (!post) {
+            failed++;
+            failures.push(`Post ${postId} not found`);
+            continue;
+          }
+
+          const rejection = checkTransition(post.status, status, req.user, post.toWorkingCopy());
+          if (rejection) {
+            failed++;
+            failures.push(`Post ${postId}: ${rejection.message} (${rejection.code})`);
+            continue;
+          }
+
+          const previousStatus = post.status;
+          await PostRevision.recordBaseline(post);
+
+          // Same draft handling as a single edit: leaving live promotes pending edits
+          post.applyChanges({ status, ...transitionUpdates(post, status) });
+          await post.save();
+
+          await PostRevision.record(post, req.user._id);
+          await propagateToMain(post, previousStatus);
+          await emitPostTransition(post, previousStatus);
         }
         success++;
       } catch (error) {
         failed++;
+        failures.push(`Error updating post ${postId}: ${error.message}`);
       }
     }
 
     res.json({
       success: true,
       message: `Bulk operation completed. ${success} successful, ${failed} failed.`,
-      results: { success, failed }
+      results: { success, failed, errors: failures }
     });
   } catch (error) {
     next(error);
@@ -412,9 +526,7 @@ const getPopularPosts = async (req, res, next) => {
   try {
     const { limit = 5 } = req.query;
 
-    const posts = await Post.find({ status: 'published' })
-      .sort({ 'stats.views': -1, 'stats.likes': -1 })
-      .limit(parseInt(limit))
+    const posts = await Post.findPopular(parseInt(limit))
       .populate('author', 'firstName lastName avatar')
       .populate('categories', 'name slug color')
       .select('title slug excerpt featuredImage stats readingTime publishedAt')
@@ -453,78 +565,52 @@ const uploadPostToMain = async (req, res, next) => {
       });
     }
 
-    // Prepare post data for main website
-    const mainWebsitePost = {
-      id: post._id,
-      title: post.title,
-      slug: post.slug,
-      body: post.body,
-      excerpt: post.excerpt,
-      contentSections: post.contentSections || [],
-      featuredImage: post.featuredImage,
-      tags: post.tags,
-      categories: post.categories,
-      author: post.author,
-      status: 'published', // Always publish when uploading to main website
-      publishedAt: new Date(),
-      seo: post.seo,
-      breadcrumb: post.breadcrumb,
-      readingTime: post.readingTime,
-      jsonLd: post.jsonLd,
-      uploadedToMainAt: new Date(),
-      uploadedBy: req.user._id
-    };
+    // Uploading publishes the post, so it must be allowed to go live
+    const rejection = checkTransition(post.status, 'published', req.user, post.toObject());
+    if (rejection) {
+      return res.status(rejection.statusCode).json({
+        success: false,
+        code: rejection.code,
+        message: rejection.message
+      });
+    }
 
-    // Here you would typically send this data to your main website
-    // For now, we'll simulate the upload and update the post status
-    const updatedPost = await Post.findByIdAndUpdate(
-      req.params.id,
-      { 
-        status: 'published',
-        publishedAt: new Date(),
-        uploadedToMainAt: new Date(),
-        uploadedBy: req.user._id
-      },
-      { new: true }
-    );
-
-    // In a real implementation, you would:
-    // 1. Send HTTP request to main website API
-    // 2. Handle the response
-    // 3. Update post status accordingly
-
-    // Example of what the main website API call might look like:
-    /*
-    try {
-      const mainWebsiteResponse = await fetch(process.env.MAIN_WEBSITE_API_URL + '/api/posts', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.MAIN_WEBSITE_API_KEY}`
-        },
-        body: JSON.stringify(mainWebsitePost)
+    if (!getMainSiteClient()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Main website sync is not configured'
       });
+    }
 
-      if (mainWebsiteResponse.ok) {
-        const result = await mainWebsiteResponse.json();
-        // Update post with main website ID if needed
-        await Post.findByIdAndUpdate(req.params.id, { 
-          mainWebsiteId: result.id,
-          uploadedToMainAt: new Date()
-        });
-      }
+    // Uploading publishes the post; it is only saved as published once the
+    // main website has accepted it
+    const previousStatus = post.status;
+    post.set({ status: 'published', ...transitionUpdates(post, 'published') });
+
+    let mainWebsiteId;
+    try {
+      mainWebsiteId = await pushPost(post, { uploadedBy: req.user._id });
     } catch (error) {
-      console.error('Error uploading to main website:', error);
-      throw error;
+      if (error.name !== 'MainSiteSyncError') throw error;
+      return res.status(502).json({
+        success: false,
+        code: 'MAIN_SYNC_FAILED',
+        message: error.message
+      });
     }
-    */
+
+    post.mainWebsiteId = mainWebsiteId;
+    await post.save();
+    await emitPostTransition(post, previousStatus);
+
+    const updatedPost = await Post.findById(post._id);
 
     res.json({
       success: true,
       message: 'Post uploaded to main website successfully',
       data: {
         post: updatedPost,
-        mainWebsiteData: mainWebsitePost
+        mainWebsiteData: buildMainSitePayload(post)
       }
     });
   } catch (error) {
@@ -1,8 +1,18 @@
 const Post = require('../models/Post');
 const ContentPage = require('../models/ContentPage');
+const Category = require('../models/Category');
+const Redirect = require('../models/Redirect');
 const { validationResult } = require('express-validator');
+const { verifyPreview } = require('../utils/previewToken');
+const { sendSlugRedirect } = require('../utils/slugRedirect');
+const { formatSections } = require('../services/sectionFormats');
+const { renderPost, renderContentPage } = require('../services/sectionRenderer');
+const { withPopularPosts } = require('../services/popularPosts');
+const { withGlobalBlocks } = require('../services/globalBlocks');
+const { withImageVariants } = require('../services/imageVariants');
 
 // @desc    Get published content page
+// @route   GET /api/content-pages/:slug
 // @route   GET /api/content-page
 // @access  Public
 const getPublicContentPage = async (req, res, next) => {
@@ -15,7 +25,7 @@ const getPublicContentPage = async (req, res, next) => {
       });
     }
 
-    const contentPage = await ContentPage.findPublished();
+    const contentPage = await ContentPage.findPublished(req.params.slug);
 
     if (!contentPage) {
       return res.status(404).json({
@@ -26,7 +36,7 @@ const getPublicContentPage = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: contentPage
+      data: await presentSections(contentPage, 'page', req.query)
     });
   } catch (error) {
     next(error);
@@ -42,7 +52,7 @@ const getPublicPostBySlug = async (req, res, next) => {
     if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid slug format'
+        message: errors.array()[0].msg
       });
     }
 
@@ -55,6 +65,12 @@ const getPublicPostBySlug = async (req, res, next) => {
       .lean();
 
     if (!post) {
+      // Old slugs answer with a permanent redirect to the current one
+      const resolved = await Redirect.resolve('post', req.params.slug);
+      if (resolved && await Post.exists({ slug: resolved.toSlug, status: 'published' })) {
+        return sendSlugRedirect(res, resolved.toSlug, `/api/posts/${resolved.toSlug}`);
+      }
+
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -67,14 +83,137 @@ const getPublicPostBySlug = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: post
+      data: await presentSections(post, 'post', req.query)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get public category by slug
+// @route   GET /api/categories/:slug
+// @access  Public
+const getPublicCategoryBySlug = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid slug format'
+      });
+    }
+
+    const category = await Category.findOne({
+      slug: req.params.slug,
+      isActive: true
+    }).populate('parent', 'name slug');
+
+    if (!category) {
+      const resolved = await Redirect.resolve('category', req.params.slug);
+      if (resolved && await Category.exists({ slug: resolved.toSlug, isActive: true })) {
+        return sendSlugRedirect(res, resolved.toSlug, `/api/categories/${resolved.toSlug}`);
+      }
+
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...category.toObject({ virtuals: false }),
+        breadcrumb: await category.getBreadcrumb()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the working copy of a post through a signed preview link
+// @route   GET /api/preview/:id?t=&h=
+// @access  Public (signed link)
+const getPostPreviewContent = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(401).json({
+        success: false,
+        code: 'PREVIEW_INVALID',
+        message: 'Invalid preview link'
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('+draft');
+
+    // Check the signature before revealing whether the post exists
+    const rejection = verifyPreview(req.params.id, req.query.t, req.query.h, {
+      revokedAt: post && post.previewRevokedAt
+    });
+    if (rejection) {
+      return res.status(401).json({
+        success: false,
+        code: rejection.code,
+        message: rejection.message
+      });
+    }
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const data = await Post.populate(post.toWorkingCopy({ depopulate: true }), [
+      { path: 'author', select: 'firstName lastName avatar bio' },
+      { path: 'categories', select: 'name slug color' }
+    ]);
+
+    // Unpublished content must not be cached or indexed
+    res.set({
+      'Cache-Control': 'private, no-store',
+      'X-Robots-Tag': 'noindex, nofollow'
+    });
+
+    res.json({
+      success: true,
+      data: await presentSections(data, 'post', req.query)
     });
   } catch (error) {
     next(error);
   }
 };
 
+// Sections in the format asked for with ?format=. `html` keeps the stored
+// sections and adds the rendered page as `html`, with responsive markup for
+// the uploaded `images`.
+const withFormat = (doc, type, format, images) => {
+  if (format !== 'html') return formatSections(doc, type, format);
+
+  return {
+    ...doc,
+    html: type === 'post' ? renderPost(doc, { images }) : renderContentPage(doc, { images })
+  };
+};
+
+// Sections as readers get them: global blocks and popular posts resolved,
+// then in the ?format= asked for. Image variants are looked up to render
+// html, and added as `images` when ?include=variants.
+const presentSections = async (doc, type, { format, include } = {}) => {
+  const expanded = await withPopularPosts(await withGlobalBlocks(doc, type), type);
+  if (format !== 'html' && include !== 'variants') return withFormat(expanded, type, format);
+
+  const { images, ...plain } = await withImageVariants(expanded, type);
+  const formatted = withFormat(plain, type, format, images);
+  return include === 'variants' ? { ...formatted, images } : formatted;
+};
+
 module.exports = {
   getPublicContentPage,
-  getPublicPostBySlug
+  getPublicPostBySlug,
+  getPublicCategoryBySlug,
+  getPostPreviewContent
 };
@@ -0,0 +1,177 @@
+const Redirect = require('../models/Redirect');
+const { validationResult } = require('express-validator');
+
+// @desc    List slug redirects
+// @route   GET /api/admin/redirects
+// @access  Private (Admin+)
+const getRedirects = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const { page = 1, limit = 20, type, search } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (search) {
+      filter.$or = [
+        { fromSlug: { $regex: search, $options: 'i' } },
+        { toSlug: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const redirects = await Redirect.find(filter)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Redirect.countDocuments(filter);
+
+    res.json({
+      success: true,
+      rows: redirects,
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a slug redirect
+// @route   POST /api/admin/redirects
+// @access  Private (Admin+)
+const createRedirect = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const { type, fromSlug, toSlug } = req.body;
+
+    const rejection = await Redirect.checkRedirect({ type, fromSlug, toSlug });
+    if (rejection) {
+      return res.status(rejection.statusCode).json({
+        success: false,
+        code: rejection.code,
+        message: rejection.message
+      });
+    }
+
+    const redirect = await Redirect.create({
+      type,
+      fromSlug,
+      toSlug,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: redirect
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change where a slug redirect points
+// @route   PATCH /api/admin/redirects/:id
+// @access  Private (Admin+)
+const updateRedirect = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const redirect = await Redirect.findById(req.params.id);
+
+    if (!redirect) {
+      return res.status(404).json({
+        success: false,
+        message: 'Redirect not found'
+      });
+    }
+
+    const rejection = await Redirect.checkLoop({
+      type: redirect.type,
+      fromSlug: redirect.fromSlug,
+      toSlug: req.body.toSlug
+    }, redirect._id);
+    if (rejection) {
+      return res.status(rejection.statusCode).json({
+        success: false,
+        code: rejection.code,
+        message: rejection.message
+      });
+    }
+
+    redirect.toSlug = req.body.toSlug;
+    await redirect.save();
+
+    res.json({
+      success: true,
+      data: redirect
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a slug redirect
+// @route   DELETE /api/admin/redirects/:id
+// @access  Private (Admin+)
+const deleteRedirect = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const redirect = await Redirect.findByIdAndDelete(req.params.id);
+
+    if (!redirect) {
+      return res.status(404).json({
+        success: false,
+        message: 'Redirect not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Redirect deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRedirects,
+  createRedirect,
+  updateRedirect,
+  deleteRedirect
+};
@@ -2,7 +2,7 @@ const { validationResult } = require('express-validator');
 
 // @desc    Revalidate cached content
 // @route   POST /api/revalidate
-// @access  Private (with secret header)
+// @access  Private (signed request)
 const revalidatePath = async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -13,27 +13,20 @@ const revalidatePath = async (req, res, next) => {
       });
     }
 
-    // Check for secret header
-    const secret = req.headers['x-revalidate-secret'];
-    const expectedSecret = process.env.REVALIDATE_SECRET || 'revalidate-secret';
-
-    if (secret !== expectedSecret) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid secret'
-      });
-    }
-
-    const { path = '/' } = req.body;
+    // `path` is the single-path form older senders use
+    const { path, paths = [], tags = [] } = req.body;
+    const requested = [...new Set(path ? [path, ...paths] : paths)];
+    if (!requested.length && !tags.length) requested.push('/');
 
     // In a real implementation, this would trigger cache invalidation
     // For now, we'll just log the revalidation request
-    console.log(`Revalidating path: ${path}`);
+    console.log(`Revalidating paths: ${requested.join(', ') || '-'}; tags: ${tags.join(', ') || '-'}`);
 
     res.json({
       success: true,
-      message: 'Path revalidated successfully',
-      path
+      message: 'Revalidated successfully',
+      paths: requested,
+      tags
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,131 @@
+const RevalidationDelivery = require('../models/RevalidationDelivery');
+const { validationResult } = require('express-validator');
+const { getTargets, replayDelivery } = require('../services/revalidation');
+
+// Outcome of a replay by the delivery's status afterwards
+const REPLAY_MESSAGES = {
+  delivered: 'Delivery replayed',
+  pending: 'Delivery replay failed; it will be retried',
+  failed: 'Delivery replay failed'
+};
+
+// @desc    List revalidation deliveries
+// @route   GET /api/admin/revalidations
+// @access  Private (Admin+)
+const getRevalidationDeliveries = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const { page = 1, limit = 20, status, target, path } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (target) filter.target = target;
+    if (path) filter.path = path;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const deliveries = await RevalidationDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await RevalidationDelivery.countDocuments(filter);
+
+    res.json({
+      success: true,
+      rows: deliveries,
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      targets: getTargets().map(({ name, url }) => ({ name, url }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a failed revalidation delivery again
+// @route   POST /api/admin/revalidations/:id/replay
+// @access  Private (Admin+)
+const replayRevalidationDelivery = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const delivery = await replayDelivery(req.params.id, req.user._id);
+
+    if (!delivery) {
+      const exists = await RevalidationDelivery.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Only failed deliveries can be replayed' : 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: REPLAY_MESSAGES[delivery.status],
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send every failed revalidation delivery again
+// @route   POST /api/admin/revalidations/replay
+// @access  Private (Admin+)
+const replayFailedRevalidations = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const filter = { status: 'failed' };
+    if (req.body.target) filter.target = req.body.target;
+
+    const failed = await RevalidationDelivery.find(filter).select('_id').lean();
+
+    const replayed = [];
+    for (const { _id } of failed) {
+      const delivery = await replayDelivery(_id, req.user._id);
+      if (delivery) replayed.push(delivery);
+    }
+
+    const delivered = replayed.filter(delivery => delivery.status === 'delivered').length;
+
+    res.json({
+      success: true,
+      message: `${delivered} of ${replayed.length} deliveries replayed`,
+      data: replayed
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRevalidationDeliveries,
+  replayRevalidationDelivery,
+  replayFailedRevalidations
+};
@@ -0,0 +1,208 @@
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const { validationResult } = require('express-validator');
+const { diffFields } = require('../utils/diff');
+
+// @desc    List revisions of a post
+// @route   GET /api/admin/posts/:id/revisions
+// @access  Private (Contributor+)
+const getPostRevisions = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('_id');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const revisions = await PostRevision.find({ post: post._id })
+      .populate('author', 'firstName lastName email')
+      .select('-snapshot')
+      .sort({ revision: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single revision of a post
+// @route   GET /api/admin/posts/:id/revisions/:rev
+// @access  Private (Contributor+)
+const getPostRevision = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const revision = await PostRevision.findOne({
+      post: req.params.id,
+      revision: parseInt(req.params.rev)
+    })
+      .populate('author', 'firstName lastName email')
+      .lean();
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Field-level diff between two revisions of a post
+// @route   GET /api/admin/posts/:id/revisions/diff?from=&to=
+// @access  Private (Contributor+)
+const diffPostRevisions = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const from = parseInt(req.query.from);
+    let to = req.query.to ? parseInt(req.query.to) : null;
+
+    // Default to comparing against the latest revision
+    if (!to) {
+      const latest = await PostRevision.findOne({ post: req.params.id })
+        .sort({ revision: -1 })
+        .select('revision');
+      to = latest ? latest.revision : null;
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      PostRevision.findOne({ post: req.params.id, revision: from }).lean(),
+      PostRevision.findOne({ post: req.params.id, revision: to }).lean()
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision.revision,
+        to: toRevision.revision,
+        changes: diffFields(fromRevision.snapshot, toRevision.snapshot, PostRevision.REVISION_FIELDS)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore a post to an earlier revision
+// @route   POST /api/admin/posts/:id/revisions/:rev/restore
+// @access  Private (Contributor+)
+const restorePostRevision = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('+draft');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    // Check if user can edit this post
+    if (post.author.toString() !== req.user._id.toString() && !req.user.can('post:edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this post'
+      });
+    }
+
+    const revision = await PostRevision.findOne({
+      post: post._id,
+      revision: parseInt(req.params.rev)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    await PostRevision.recordBaseline(post);
+
+    // The slug is left alone so restoring never breaks a live URL.
+    // On a published post the restored content lands in the draft.
+    const { slug, ...content } = revision.snapshot;
+    post.applyChanges(content);
+    await post.save();
+
+    const restored = await PostRevision.record(post, req.user._id, {
+      restoredFrom: revision.revision
+    });
+
+    const data = await Post.populate(post.toWorkingCopy({ depopulate: true }), [
+      { path: 'author', select: 'firstName lastName email' },
+      { path: 'categories', select: 'name slug' }
+    ]);
+
+    res.json({
+      success: true,
+      message: `Restored revision ${revision.revision}`,
+      data,
+      revision: restored.revision
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPostRevisions,
+  getPostRevision,
+  diffPostRevisions,
+  restorePostRevision
+};
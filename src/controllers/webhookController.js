@@ -0,0 +1,288 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { validationResult } = require('express-validator');
+const { replayWebhookDelivery } = require('../services/webhooks');
+
+// Fields an admin may set on a webhook
+const WEBHOOK_FIELDS = ['name', 'url', 'events', 'description', 'isActive', 'secret'];
+
+// Outcome of a replay by the delivery's status afterwards
+const REPLAY_MESSAGES = {
+  delivered: 'Delivery replayed',
+  pending: 'Delivery replay failed; it will be retried',
+  failed: 'Delivery replay failed'
+};
+
+const pickFields = (body) => {
+  const fields = {};
+  for (const field of WEBHOOK_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+// @desc    List webhooks
+// @route   GET /api/admin/webhooks
+// @access  Private (Admin+)
+const getWebhooks = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const { page = 1, limit = 20, event, isActive } = req.query;
+
+    const filter = {};
+    if (event) filter.events = { $in: [event, '*'] };
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const webhooks = await Webhook.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Webhook.countDocuments(filter);
+
+    res.json({
+      success: true,
+      rows: webhooks,
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      events: Webhook.WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a webhook
+// @route   GET /api/admin/webhooks/:id
+// @access  Private (Admin+)
+const getWebhook = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const webhook = await Webhook.findById(req.params.id).lean();
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a webhook; the response is the only time its secret is shown
+// @route   POST /api/admin/webhooks
+// @access  Private (Admin+)
+const createWebhook = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const webhook = await Webhook.create({
+      ...pickFields(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a webhook
+// @route   PATCH /api/admin/webhooks/:id
+// @access  Private (Admin+)
+const updateWebhook = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    webhook.set(pickFields(req.body));
+    await webhook.save();
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a webhook and its delivery history
+// @route   DELETE /api/admin/webhooks/:id
+// @access  Private (Admin+)
+const deleteWebhook = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List a webhook's deliveries, newest first
+// @route   GET /api/admin/webhooks/:id/deliveries
+// @access  Private (Admin+)
+const getWebhookDeliveries = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    if (!await Webhook.exists({ _id: req.params.id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const { page = 1, limit = 20, status, event } = req.query;
+
+    const filter = { webhook: req.params.id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await WebhookDelivery.countDocuments(filter);
+
+    res.json({
+      success: true,
+      rows: deliveries,
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a failed webhook delivery again
+// @route   POST /api/admin/webhooks/:id/deliveries/:deliveryId/replay
+// @access  Private (Admin+)
+const replayWebhookDeliveryById = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return res.status(400).json({
+        success: false,
+        message: firstError.msg
+      });
+    }
+
+    const filter = { _id: req.params.deliveryId, webhook: req.params.id };
+    const delivery = await replayWebhookDelivery(filter, req.user._id);
+
+    if (!delivery) {
+      const exists = await WebhookDelivery.exists(filter);
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Only failed deliveries can be replayed' : 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: REPLAY_MESSAGES[delivery.status],
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  replayWebhookDeliveryById
+};
@@ -23,6 +23,12 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Mongoose optimistic concurrency: the document changed since it was loaded
+  if (err.name === 'VersionError') {
+    const message = 'Document was changed by someone else. Reload it and try again.';
+    error = { message, statusCode: 409 };
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
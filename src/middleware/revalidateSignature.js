@@ -0,0 +1,42 @@
+const RevalidateNonce = require('../models/RevalidateNonce');
+const { verifyRevalidation, getMaxAgeMs } = require('../utils/revalidateSignature');
+
+// Accept only signed, fresh, first-time revalidation requests
+const requireSignature = async (req, res, next) => {
+  try {
+    const timestamp = req.get('x-revalidate-timestamp');
+    const nonce = req.get('x-revalidate-nonce');
+
+    const rejection = verifyRevalidation({
+      timestamp,
+      nonce,
+      signature: req.get('x-revalidate-signature'),
+      rawBody: req.rawBody ? req.rawBody.toString('utf8') : ''
+    });
+    if (rejection) {
+      return res.status(401).json({
+        success: false,
+        code: rejection.code,
+        message: rejection.message
+      });
+    }
+
+    // Keep the nonce until the timestamp check alone would refuse the request
+    const expiresAt = new Date(Number(timestamp) + getMaxAgeMs());
+    if (!await RevalidateNonce.claim(nonce, expiresAt)) {
+      return res.status(401).json({
+        success: false,
+        code: 'SIGNATURE_REPLAYED',
+        message: 'Request has already been used'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireSignature
+};
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const revalidateOnChange = require('../utils/revalidateOnChange');
+const trackMediaUsage = require('../utils/trackMediaUsage');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -185,5 +187,18 @@ categorySchema.methods.updatePostCount = async function() {
   return this.save();
 };
 
+// Revalidate the category page and its posts when the category changes
+categorySchema.plugin(revalidateOnChange, {
+  resolver: 'pathsForCategory',
+  fields: ['name', 'slug', 'description', 'color', 'icon', 'image', 'parent', 'isActive', 'seo'],
+  select: 'slug'
+});
+
+// Record the media used as the category image
+categorySchema.plugin(trackMediaUsage, {
+  type: 'category',
+  fields: ['image']
+});
+
 module.exports = mongoose.model('Category', categorySchema);
 
@@ -1,87 +1,81 @@
 const mongoose = require('mongoose');
+const trackMediaUsage = require('../utils/trackMediaUsage');
 
-// Content section schemas for the content builder
-const heroSectionSchema = new mongoose.Schema({
-  type: { type: String, default: 'hero' },
-  props: {
-    imageUrl: { type: String, required: true },
-    title: { type: String, required: true },
-    subtitle: { type: String },
-    overlay: { type: Boolean, default: false },
-    cta: {
-      label: { type: String },
-      href: { type: String }
-    }
-  }
-}, { _id: false });
-
-const breadcrumbSectionSchema = new mongoose.Schema({
-  type: { type: String, default: 'breadcrumb' },
-  props: {
-    items: [{
-      label: { type: String, required: true },
-      href: { type: String }
-    }]
-  }
-}, { _id: false });
-
-const textSectionSchema = new mongoose.Schema({
-  type: { type: String, default: 'text' },
-  props: {
-    html: { type: String },
-    markdown: { type: String }
-  }
-}, { _id: false });
-
-const singleImageSectionSchema = new mongoose.Schema({
-  type: { type: String, default: 'singleImage' },
-  props: {
-    url: { type: String, required: true },
-    caption: { type: String },
-    alt: { type: String }
-  }
-}, { _id: false });
-
-const imageGallerySectionSchema = new mongoose.Schema({
-  type: { type: String, default: 'imageGallery' },
-  props: {
-    images: [{
-      url: { type: String, required: true },
-      alt: { type: String },
-      caption: { type: String }
-    }],
-    layout: { type: String, enum: ['grid', 'masonry'], default: 'grid' }
-  }
-}, { _id: false });
-
-const popularPostsSectionSchema = new mongoose.Schema({
-  type: { type: String, default: 'popularPosts' },
-  props: {
-    postIds: [{ type: String }],
-    layout: { type: String, enum: ['grid', 'list'], default: 'grid' }
-  }
-}, { _id: false });
+// Slug of the original single content page, still served at /api/content-page
+const DEFAULT_SLUG = 'content';
 
 const contentPageSchema = new mongoose.Schema({
   slug: {
     type: String,
     required: true,
     unique: true,
-    default: 'content'
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]+$/, 'Slug must be URL-safe'],
+    default: DEFAULT_SLUG
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // Frontend path the page is served at; revalidated on publish
+  path: {
+    type: String,
+    trim: true
   },
   status: {
     type: String,
     enum: ['draft', 'review', 'scheduled', 'published'],
     default: 'draft'
   },
-  sections: [mongoose.Schema.Types.Mixed], // Store any section type
+  // The working draft: what editors save and see in the admin
+  sections: [mongoose.Schema.Types.Mixed], // Validated by the section registry
   seo: {
     title: { type: String },
     description: { type: String }
   },
+  hasUnpublishedChanges: {
+    type: Boolean,
+    default: false
+  },
+  // The live page readers get. Only publish and rollback write it.
+  published: {
+    title: { type: String },
+    sections: [mongoose.Schema.Types.Mixed],
+    seo: {
+      title: { type: String },
+      description: { type: String }
+    },
+    version: { type: Number },
+    publishedAt: { type: Date }
+  },
   version: {
     type: Number,
-    default: 1
+    default: 0 // latest published version; only ever goes up
+  },
+  // When the draft goes live on its own, and optionally when it comes down again
+  scheduledAt: {
+    type: Date
+  },
+  unpublishAt: {
+    type: Date
+  },
+  scheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The live page a scheduled publish replaced; put back at unpublishAt.
+  // Absent when the page was not live, in which case it is taken down.
+  previous: {
+    title: { type: String },
+    sections: [mongoose.Schema.Types.Mixed],
+    seo: {
+      title: { type: String },
+      description: { type: String }
+    },
+    version: { type: Number },
+    publishedAt: { type: Date }
   },
   publishedAt: {
     type: String
@@ -95,10 +89,72 @@ const contentPageSchema = new mongoose.Schema({
 // Indexes
 contentPageSchema.index({ slug: 1 });
 contentPageSchema.index({ status: 1 });
+contentPageSchema.index({ scheduledAt: 1 });
+contentPageSchema.index({ unpublishAt: 1 });
+
+// Instance method to check for a live snapshot. Pages published before
+// drafts were split out keep their live content in the top-level fields.
+contentPageSchema.methods.hasSnapshot = function() {
+  return Boolean(this.published && this.published.version);
+};
+
+// Instance method to get the live content of a page published before drafts
+// were split out, in snapshot form. Null for every other page.
+contentPageSchema.methods.legacySnapshot = function() {
+  if (this.status !== 'published' || this.hasSnapshot()) return null;
+
+  const page = this.toObject({ virtuals: false });
+  return {
+    title: page.title,
+    sections: page.sections,
+    seo: page.seo,
+    version: page.version || 1,
+    publishedAt: page.publishedAt ? new Date(page.publishedAt) : page.updatedAt
+  };
+};
+
+// Instance method to get what readers currently see, in snapshot form.
+// Null when the page is not live.
+contentPageSchema.methods.liveSnapshot = function() {
+  if (this.status !== 'published') return null;
+  if (!this.hasSnapshot()) return this.legacySnapshot();
 
-// Static method to find published content page
-contentPageSchema.statics.findPublished = function() {
-  return this.findOne({ status: 'published', slug: 'content' });
+  const { title, sections, seo, version, publishedAt } = this.toObject({ virtuals: false }).published;
+  return { title, sections, seo, version, publishedAt };
 };
 
+// Static method to find the live version of a published content page
+contentPageSchema.statics.findPublished = async function(slug = DEFAULT_SLUG) {
+  const page = await this.findOne({ status: 'published', slug });
+  if (!page) return null;
+
+  if (!page.hasSnapshot()) return page.toObject({ virtuals: false });
+
+  return {
+    _id: page._id,
+    slug: page.slug,
+    path: page.path,
+    status: 'published',
+    title: page.published.title,
+    sections: page.published.sections,
+    seo: page.published.seo,
+    version: page.published.version,
+    publishedAt: page.published.publishedAt
+  };
+};
+
+// Instance method to get the frontend path of the page
+contentPageSchema.methods.getPath = function() {
+  if (this.path) return this.path;
+  return this.slug === DEFAULT_SLUG ? '/content-page' : `/${this.slug}`;
+};
+
+contentPageSchema.statics.DEFAULT_SLUG = DEFAULT_SLUG;
+
+// Record the media in the working, live and scheduled-to-return sections
+contentPageSchema.plugin(trackMediaUsage, {
+  type: 'page',
+  fields: ['sections', 'published', 'previous']
+});
+
 module.exports = mongoose.model('ContentPage', contentPageSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Every published version of a content page, kept for rollback
+const contentPageVersionSchema = new mongoose.Schema({
+  page: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ContentPage',
+    required: true
+  },
+  slug: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String
+  },
+  sections: [mongoose.Schema.Types.Mixed],
+  seo: {
+    title: { type: String },
+    description: { type: String }
+  },
+  publishedAt: {
+    type: Date,
+    required: true
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  restoredFrom: {
+    type: Number // version this one was rolled back to
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Indexes
+contentPageVersionSchema.index({ page: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ContentPageVersion', contentPageVersionSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const trackMediaUsage = require('../utils/trackMediaUsage');
+
+// Sections shared between posts and content pages. Pages and posts embed a
+// block with a `ref` section; public reads get the block's published sections.
+const globalBlockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Block name is required'],
+    trim: true,
+    maxlength: [100, 'Block name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  // The working draft, in content page section form
+  sections: [mongoose.Schema.Types.Mixed], // Validated by the section registry
+  hasUnpublishedChanges: {
+    type: Boolean,
+    default: false
+  },
+  // What pages and posts embedding the block show. Only publish writes it.
+  published: {
+    sections: [mongoose.Schema.Types.Mixed],
+    version: { type: Number },
+    publishedAt: { type: Date }
+  },
+  version: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  optimisticConcurrency: true
+});
+
+// Indexes
+globalBlockSchema.index({ name: 1 });
+globalBlockSchema.index({ status: 1 });
+
+// Static method to find the published sections of several blocks at once,
+// as a Map of block id -> { _id, name, version, sections }
+globalBlockSchema.statics.findPublishedByIds = async function(ids) {
+  const blocks = await this.find({ _id: { $in: ids }, status: 'published' })
+    .select('name published')
+    .lean();
+
+  return new Map(blocks.map(block => [String(block._id), {
+    _id: block._id,
+    name: block.name,
+    version: block.published.version,
+    sections: block.published.sections || []
+  }]));
+};
+
+// Record the media in the draft and published sections
+globalBlockSchema.plugin(trackMediaUsage, {
+  type: 'block',
+  fields: ['sections', 'published']
+});
+
+module.exports = mongoose.model('GlobalBlock', globalBlockSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A named lock stored in Mongo so only one API instance runs background jobs
+const leaseSchema = new mongoose.Schema({
+  _id: {
+    type: String // lease name
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to acquire or renew a lease; resolves true when the caller holds it
+leaseSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lease = await this.findOneAndUpdate(
+      { _id: name, $or: [{ owner }, { expiresAt: { $lte: now } }] },
+      { owner, expiresAt: new Date(now.getTime() + ttlMs) },
+      { upsert: true, new: true }
+    );
+    return lease.owner === owner;
+  } catch (error) {
+    // The upsert collides with a live lease held by another instance
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to release a lease held by the caller
+leaseSchema.statics.release = function(name, owner) {
+  return this.deleteOne({ _id: name, owner });
+};
+
+module.exports = mongoose.model('Lease', leaseSchema);
@@ -1,4 +1,28 @@
 const mongoose = require('mongoose');
+const revalidateOnChange = require('../utils/revalidateOnChange');
+
+const EXIF_POLICIES = ['keep', 'strip-gps', 'strip-all'];
+
+// A resized copy of an image in one format (see services/imageVariants)
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true // size name, e.g. thumbnail or hero
+  },
+  format: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  size: Number, // in bytes
+  key: String, // file name in the media's storage
+  url: {
+    type: String,
+    required: true
+  },
+  mimeType: String
+}, { _id: false });
 
 const mediaSchema = new mongoose.Schema({
   filename: {
@@ -18,6 +42,13 @@ const mediaSchema = new mongoose.Schema({
   thumbnailUrl: {
     type: String
   },
+  variants: [variantSchema],
+  // Backend holding the file and its variants (see services/storage)
+  storage: {
+    type: String,
+    enum: ['local', 's3', 'cloudinary'],
+    default: 'local'
+  },
   type: {
     type: String,
     enum: ['image', 'video', 'document', 'audio'],
@@ -62,23 +93,38 @@ const mediaSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Where the file is used, kept in sync by the referencing models (see services/mediaUsage)
   usage: [{
     type: {
       type: String,
-      enum: ['post', 'avatar', 'banner', 'gallery']
+      enum: ['post', 'page', 'block', 'category', 'avatar', 'banner', 'gallery']
     },
     referenceId: {
       type: mongoose.Schema.Types.ObjectId
     },
     referenceType: {
-      type: String
+      type: String // model name
+    },
+    field: {
+      type: String // path holding the URL, e.g. featuredImage
     }
   }],
+  // When `usage` became complete: on upload, or for older files once
+  // npm run sync:media-usage has run
+  usageSyncedAt: {
+    type: Date
+  },
   metadata: {
     camera: String,
     location: String,
+    latitude: Number,
+    longitude: Number,
     dateTaken: Date,
     software: String
+  },
+  exifPolicy: {
+    type: String,
+    enum: EXIF_POLICIES // how the served file's EXIF was treated (see services/exif)
   }
 }, {
   timestamps: true,
@@ -89,6 +135,7 @@ const mediaSchema = new mongoose.Schema({
 // Indexes
 mediaSchema.index({ type: 1, uploadedBy: 1, createdAt: -1 });
 mediaSchema.index({ tags: 1 });
+mediaSchema.index({ 'usage.referenceId': 1 });
 mediaSchema.index({ filename: 'text', originalName: 'text', alt: 'text' });
 
 // Virtual for formatted file size
@@ -108,6 +155,14 @@ mediaSchema.virtual('aspectRatio').get(function() {
   return null;
 });
 
+// Pre-save middleware: usage of new files is tracked from the start
+mediaSchema.pre('save', function(next) {
+  if (this.isNew && !this.usageSyncedAt) {
+    this.usageSyncedAt = new Date();
+  }
+  next();
+});
+
 // Static method to find images
 mediaSchema.statics.findImages = function() {
   return this.find({ type: 'image' }).sort({ createdAt: -1 });
@@ -136,4 +191,13 @@ mediaSchema.methods.removeUsage = function(referenceId) {
   return this.save();
 };
 
+mediaSchema.statics.EXIF_POLICIES = EXIF_POLICIES;
+
+// Revalidate the pages showing a file when it is replaced or its details change
+mediaSchema.plugin(revalidateOnChange, {
+  resolver: 'pathsForMedia',
+  fields: ['url', 'thumbnailUrl', 'variants', 'alt', 'caption', 'dimensions'],
+  select: 'url'
+});
+
 module.exports = mongoose.model('Media', mediaSchema);
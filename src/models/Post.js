@@ -1,154 +1,13 @@
 const mongoose = require('mongoose');
+const revalidateOnChange = require('../utils/revalidateOnChange');
+const trackMediaUsage = require('../utils/trackMediaUsage');
 
-// Content section schemas for the content builder
-const heroSectionSchema = new mongoose.Schema({
-  type: { type: String, default: 'hero' },
-  backgroundImage: { type: String, required: true },
-  title: { type: String, required: true, maxlength: 200 },
-  subtitle: { type: String },
-  author: { type: String },
-  publishDate: { type: String },
-  readTime: { type: String },
-  overlayOpacity: { type: Number, default: 0.3, min: 0, max: 1 },
-  height: {
-    mobile: { type: String, default: '70vh' },
-    tablet: { type: String, default: '80vh' },
-    desktop: { type: String, default: '90vh' }
-  },
-  titleSize: {
-    mobile: { type: String, default: 'text-3xl' },
-    tablet: { type: String, default: 'text-5xl' },
-    desktop: { type: String, default: 'text-6xl' }
-  },
-  parallaxEnabled: { type: Boolean, default: true },
-  parallaxSpeed: { type: Number, default: 0.5, min: 0, max: 2 },
-  backgroundPosition: { type: String, enum: ['center', 'top', 'bottom', 'left', 'right'], default: 'center' },
-  backgroundSize: { type: String, enum: ['cover', 'contain', 'auto'], default: 'cover' },
-  animation: {
-    enabled: { type: Boolean, default: true },
-    type: { type: String, enum: ['fadeIn', 'slideUp', 'scaleIn', 'none'], default: 'fadeIn' },
-    duration: { type: Number, default: 0.8, min: 0.1, max: 3 },
-    delay: { type: Number, default: 0, min: 0, max: 2 }
-  },
-  socialSharing: {
-    enabled: { type: Boolean, default: true },
-    platforms: [{ type: String, enum: ['facebook', 'twitter', 'linkedin', 'copy', 'share'] }],
-    position: { type: String, enum: ['bottom-right', 'bottom-left', 'top-right', 'top-left'], default: 'bottom-right' },
-    style: { type: String, enum: ['glass', 'solid', 'outline'], default: 'glass' }
-  }
-}, { _id: false });
-
-const textSectionSchema = new mongoose.Schema({
-  type: { type: String, default: 'text' },
-  content: { type: String, required: true },
-  hasDropCap: { type: Boolean, default: false },
-  alignment: { type: String, enum: ['left', 'center', 'right', 'justify'], default: 'left' },
-  fontSize: { type: String, enum: ['sm', 'base', 'lg', 'xl'], default: 'base' },
-  fontFamily: { type: String, enum: ['inter', 'serif', 'sans', 'mono'], default: 'inter' },
-  lineHeight: { type: String, enum: ['tight', 'snug', 'normal', 'relaxed', 'loose'], default: 'relaxed' },
-  dropCap: {
-    enabled: { type: Boolean, default: false },
-    size: { type: String, enum: ['text-4xl', 'text-5xl', 'text-6xl'], default: 'text-4xl' },
-    color: { type: String, default: 'text-gray-900' },
-    fontWeight: { type: String, enum: ['normal', 'medium', 'semibold', 'bold'], default: 'semibold' },
-    float: { type: Boolean, default: true }
-  },
-  animation: {
-    enabled: { type: Boolean, default: true },
-    type: { type: String, enum: ['fadeIn', 'slideUp', 'slideInLeft', 'slideInRight', 'none'], default: 'fadeIn' },
-    duration: { type: Number, default: 0.3, min: 0.1, max: 3 },
-    delay: { type: Number, default: 0.1, min: 0, max: 2 }
-  }
-}, { _id: false });
-
-const imageSectionSchema = new mongoose.Schema({
-  type: { type: String, default: 'image' },
-  imageUrl: { type: String, required: true },
-  altText: { type: String },
-  caption: { type: String },
-  width: { type: Number },
-  height: { type: Number },
-  alignment: { type: String, enum: ['left', 'center', 'right'], default: 'center' },
-  rounded: { type: Boolean, default: true },
-  shadow: { type: Boolean, default: true }
-}, { _id: false });
-
-const galleryImageSchema = new mongoose.Schema({
-  url: { type: String, required: true },
-  altText: { type: String },
-  caption: { type: String },
-  width: { type: Number },
-  height: { type: Number }
-}, { _id: false });
-
-const gallerySectionSchema = new mongoose.Schema({
-  type: { type: String, default: 'gallery' },
-  images: [galleryImageSchema],
-  layout: { type: String, enum: ['grid', 'masonry', 'carousel', 'postcard', 'complex'], default: 'grid' },
-  columns: { type: Number, min: 1, max: 6, default: 3 },
-  spacing: { type: String, enum: ['sm', 'md', 'lg'], default: 'md' },
-  responsive: {
-    mobile: {
-      layout: { type: String, enum: ['grid', 'carousel'], default: 'grid' },
-      columns: { type: Number, min: 1, max: 2, default: 2 }
-    },
-    desktop: {
-      layout: { type: String, enum: ['grid', 'masonry', 'postcard', 'complex'], default: 'grid' },
-      columns: { type: Number, min: 1, max: 6, default: 3 }
-    }
-  },
-  hoverEffects: {
-    enabled: { type: Boolean, default: true },
-    scale: { type: Number, default: 1.03, min: 1, max: 1.2 },
-    shadow: { type: Boolean, default: true },
-    overlay: { type: Boolean, default: true }
-  },
-  animation: {
-    enabled: { type: Boolean, default: true },
-    type: { type: String, enum: ['fadeIn', 'slideUp', 'stagger', 'none'], default: 'fadeIn' },
-    duration: { type: Number, default: 0.5, min: 0.1, max: 3 },
-    stagger: { type: Number, default: 0.1, min: 0, max: 1 }
-  }
-}, { _id: false });
-
-const popularPostsSectionSchema = new mongoose.Schema({
-  type: { type: String, default: 'popular-posts' },
-  title: { type: String, default: 'Popular Posts' },
-  description: { type: String },
-  featuredPost: {
-    title: { type: String },
-    excerpt: { type: String },
-    imageUrl: { type: String },
-    readTime: { type: String },
-    publishDate: { type: String },
-    category: { type: String }
-  },
-  sidePosts: [{
-    title: { type: String },
-    excerpt: { type: String },
-    imageUrl: { type: String },
-    readTime: { type: String },
-    publishDate: { type: String }
-  }]
-}, { _id: false });
-
+// Breadcrumb trail item
 const breadcrumbItemSchema = new mongoose.Schema({
   label: { type: String, required: true },
   href: { type: String }
 }, { _id: false });
 
-const breadcrumbSectionSchema = new mongoose.Schema({
-  type: { type: String, default: 'breadcrumb' },
-  enabled: { type: Boolean, default: true },
-  items: [breadcrumbItemSchema],
-  style: {
-    separator: { type: String, enum: ['>', '→', '|', '/'], default: '>' },
-    textSize: { type: String, enum: ['sm', 'base', 'lg'], default: 'sm' },
-    showHomeIcon: { type: Boolean, default: false },
-    color: { type: String, enum: ['gray', 'blue', 'black'], default: 'gray' }
-  }
-}, { _id: false });
-
 const postSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -168,9 +27,10 @@ const postSchema = new mongoose.Schema({
     required: [true, 'Post content is required'],
     minlength: [50, 'Content must be at least 50 characters']
   },
-  // New content sections for the content builder
+  // Content builder sections; their data is validated by the section registry
   contentSections: [{
-    type: { type: String, enum: ['hero', 'text', 'image', 'gallery', 'popular-posts', 'breadcrumb'] },
+    type: { type: String, enum: ['hero', 'text', 'image', 'gallery', 'popular-posts', 'breadcrumb', 'ref'] },
+    version: { type: Number, default: 1 }, // version of the section type the data follows
     data: mongoose.Schema.Types.Mixed // Store the section data based on type
   }],
   excerpt: {
@@ -207,6 +67,19 @@ const postSchema = new mongoose.Schema({
   scheduledAt: {
     type: Date
   },
+  // Pending edits to a published post. The live fields above keep serving
+  // readers until the draft is explicitly published.
+  draft: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
+  draftUpdatedAt: {
+    type: Date
+  },
+  // Preview links issued at or before this time are rejected
+  previewRevokedAt: {
+    type: Date
+  },
   // Main website upload tracking
   uploadedToMainAt: {
     type: Date
@@ -218,6 +91,22 @@ const postSchema = new mongoose.Schema({
   mainWebsiteId: {
     type: String // ID of the post on the main website
   },
+  // Outcome of the last attempt to push this post to the main website
+  mainSync: {
+    status: {
+      type: String,
+      enum: ['synced', 'unpublished', 'failed']
+    },
+    action: {
+      type: String,
+      enum: ['create', 'update', 'unpublish', 'delete']
+    },
+    attempts: Number,
+    error: String,
+    idempotencyKey: String,
+    lastAttemptAt: Date,
+    lastSyncedAt: Date
+  },
   seo: {
     metaTitle: String,
     metaDescription: String,
@@ -255,6 +144,8 @@ const postSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
+  // Every save checks and bumps __v, which doubles as the post's ETag
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
@@ -288,11 +179,34 @@ postSchema.pre('save', function(next) {
   next();
 });
 
+// Fields that are staged in the draft while a post is live
+const DRAFT_FIELDS = [
+  'title',
+  'body',
+  'excerpt',
+  'contentSections',
+  'featuredImage',
+  'tags',
+  'categories',
+  'seo',
+  'breadcrumb'
+];
+
 // Static method to find published posts
 postSchema.statics.findPublished = function() {
   return this.find({ status: 'published' }).sort({ publishedAt: -1 });
 };
 
+// Static method to find the most viewed published posts
+postSchema.statics.findPopular = function(limit = 5, { exclude = [] } = {}) {
+  const filter = { status: 'published' };
+  if (exclude.length) filter._id = { $nin: exclude };
+
+  return this.find(filter)
+    .sort({ 'stats.views': -1, 'stats.likes': -1 })
+    .limit(limit);
+};
+
 // Static method to find posts by status
 postSchema.statics.findByStatus = function(status) {
   return this.find({ status }).sort({ updatedAt: -1 });
@@ -304,4 +218,78 @@ postSchema.methods.generateExcerpt = function(length = 150) {
   return this.body.replace(/<[^>]*>/g, '').substring(0, length) + '...';
 };
 
+// Instance method to apply an edit. Content edits to a published post are
+// staged in the draft; otherwise (including the publish itself) they are
+// written straight to the post.
+postSchema.methods.applyChanges = function(changes) {
+  const fields = { ...changes };
+  const nextStatus = fields.status || this.status;
+
+  if (this.status === 'published' && nextStatus === 'published') {
+    const staged = {};
+    for (const field of DRAFT_FIELDS) {
+      if (fields[field] !== undefined) {
+        staged[field] = fields[field];
+        delete fields[field];
+      }
+    }
+
+    if (Object.keys(staged).length > 0) {
+      this.draft = { ...(this.draft || {}), ...staged };
+      this.markModified('draft');
+      this.draftUpdatedAt = new Date();
+    }
+  } else if (this.draft) {
+    // The post is not live (or is leaving live), so pending edits become the content
+    this.promoteDraft();
+  }
+
+  this.set(fields);
+};
+
+// Instance method to replace the live fields with the pending draft
+postSchema.methods.promoteDraft = function() {
+  if (!this.draft) return false;
+
+  this.set(this.draft);
+  this.draft = undefined;
+  this.draftUpdatedAt = undefined;
+  return true;
+};
+
+// Instance method to drop the pending draft
+postSchema.methods.discardDraft = function() {
+  if (!this.draft) return false;
+
+  this.draft = undefined;
+  this.draftUpdatedAt = undefined;
+  return true;
+};
+
+// Instance method to get the post as editors see it: live fields overlaid
+// with the pending draft. Requires the post to be loaded with '+draft'.
+postSchema.methods.toWorkingCopy = function(options = {}) {
+  const { draft, ...live } = this.toObject(options);
+  return {
+    ...live,
+    ...(draft || {}),
+    hasPendingDraft: !!draft
+  };
+};
+
+postSchema.statics.DRAFT_FIELDS = DRAFT_FIELDS;
+
+// Revalidate the frontend pages showing a live post when readers would see a change
+postSchema.plugin(revalidateOnChange, {
+  resolver: 'pathsForPost',
+  fields: [...DRAFT_FIELDS, 'slug', 'status', 'publishedAt', 'isFeatured'],
+  select: 'slug status tags categories isFeatured'
+});
+
+// Record the media the post shows, live or in its pending draft
+postSchema.plugin(trackMediaUsage, {
+  type: 'post',
+  fields: ['featuredImage', 'contentSections', 'draft']
+});
+
 module.exports = mongoose.model('Post', postSchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { conflictingFields } = require('../utils/concurrency');
+
+// Post fields captured in every revision snapshot
+const REVISION_FIELDS = [
+  'title',
+  'slug',
+  'body',
+  'excerpt',
+  'contentSections',
+  'featuredImage',
+  'tags',
+  'categories',
+  'seo',
+  'breadcrumb'
+];
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  restoredFrom: {
+    type: Number // revision number this one was restored from
+  },
+  version: {
+    type: Number // post __v once this revision was saved
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Indexes
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+// Static method to build a snapshot from a post document (including any pending draft)
+postRevisionSchema.statics.snapshotOf = function(post) {
+  const source = typeof post.toWorkingCopy === 'function'
+    ? post.toWorkingCopy({ depopulate: true, virtuals: false })
+    : post;
+
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    if (source[field] !== undefined) {
+      snapshot[field] = JSON.parse(JSON.stringify(source[field]));
+    }
+  }
+  return snapshot;
+};
+
+// Static method to record a new revision for a post
+postRevisionSchema.statics.record = async function(post, authorId, options = {}) {
+  const snapshot = this.snapshotOf(post);
+
+  // Retry on the rare race where two saves pick the same revision number
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.findOne({ post: post._id }).sort({ revision: -1 }).select('revision');
+
+    try {
+      return await this.create({
+        post: post._id,
+        revision: latest ? latest.revision + 1 : 1,
+        snapshot,
+        author: authorId,
+        restoredFrom: options.restoredFrom,
+        version: post.__v
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not record post revision');
+};
+
+// Static method to snapshot a post that predates revision history,
+// so its first edit does not lose the original content
+postRevisionSchema.statics.recordBaseline = async function(post) {
+  const exists = await this.exists({ post: post._id });
+  if (!exists) {
+    await this.record(post, post.author);
+  }
+};
+
+// Static method to list the fields of `changes` that someone else changed
+// after the client loaded `version` of the post
+postRevisionSchema.statics.conflictsSince = async function(post, version, changes) {
+  const base = await this.findOne({ post: post._id, version }).lean();
+  return conflictingFields(this.snapshotOf(post), changes, REVISION_FIELDS, base && base.snapshot);
+};
+
+postRevisionSchema.statics.REVISION_FIELDS = REVISION_FIELDS;
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
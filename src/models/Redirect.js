@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+// Longest redirect chain followed when resolving a slug
+const MAX_HOPS = 10;
+
+// A previous slug of a post or category and the slug it now lives at
+const redirectSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['post', 'category'],
+    required: true
+  },
+  fromSlug: {
+    type: String,
+    required: [true, 'From slug is required'],
+    lowercase: true,
+    trim: true
+  },
+  toSlug: {
+    type: String,
+    required: [true, 'To slug is required'],
+    lowercase: true,
+    trim: true
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId // post or category the slug belonged to
+  },
+  isAuto: {
+    type: Boolean,
+    default: false // true when recorded from a slug change
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+redirectSchema.index({ type: 1, fromSlug: 1 }, { unique: true });
+redirectSchema.index({ type: 1, toSlug: 1 });
+
+const modelFor = (type) => mongoose.model(type === 'category' ? 'Category' : 'Post');
+
+// Static method to follow redirects from a slug to its current slug.
+// Resolves null when there is no redirect, or when the chain loops.
+redirectSchema.statics.resolve = async function(type, slug) {
+  const seen = new Set([slug]);
+  let redirect = await this.findOne({ type, fromSlug: slug });
+  if (!redirect) return null;
+
+  let toSlug = redirect.toSlug;
+  for (let hop = 1; hop < MAX_HOPS; hop++) {
+    if (seen.has(toSlug)) return null;
+    seen.add(toSlug);
+
+    const next = await this.findOne({ type, fromSlug: toSlug }).select('toSlug');
+    if (!next) break;
+    toSlug = next.toSlug;
+  }
+
+  await this.updateOne({ _id: redirect._id }, { $inc: { hits: 1 }, lastHitAt: new Date() });
+
+  return { redirect, toSlug };
+};
+
+// Static method to record a slug change. Redirects that pointed at the old
+// slug are moved to the new one so chains never build up, and any redirect
+// away from the new slug is dropped since the slug is live again.
+redirectSchema.statics.recordSlugChange = async function(type, resource, oldSlug, newSlug) {
+  if (!oldSlug || !newSlug || oldSlug === newSlug) return null;
+
+  await this.deleteMany({ type, fromSlug: newSlug });
+  await this.updateMany({ type, toSlug: oldSlug }, { toSlug: newSlug });
+
+  return this.findOneAndUpdate(
+    { type, fromSlug: oldSlug },
+    { toSlug: newSlug, resource: resource._id || resource, isAuto: true },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to check that `fromSlug` -> `toSlug` would not create a loop.
+// Returns null when allowed, otherwise { statusCode, code, message }.
+redirectSchema.statics.checkLoop = async function({ type, fromSlug, toSlug }, excludeId = null) {
+  if (fromSlug === toSlug) {
+    return { statusCode: 400, code: 'REDIRECT_LOOP', message: 'A slug cannot redirect to itself' };
+  }
+
+  const idFilter = excludeId ? { _id: { $ne: excludeId } } : {};
+
+  // Following the chain from the target must not lead back to the source
+  let slug = toSlug;
+  for (let hop = 0; hop < MAX_HOPS; hop++) {
+    const next = await this.findOne({ type, fromSlug: slug, ...idFilter }).select('toSlug');
+    if (!next) return null;
+    if (next.toSlug === fromSlug) {
+      return { statusCode: 409, code: 'REDIRECT_LOOP', message: `Redirect would create a loop through "${slug}"` };
+    }
+    slug = next.toSlug;
+  }
+
+  return { statusCode: 409, code: 'REDIRECT_LOOP', message: 'Redirect chain is too long' };
+};
+
+// Static method to check a new manual redirect for conflicts and loops.
+// Returns null when allowed, otherwise { statusCode, code, message }.
+redirectSchema.statics.checkRedirect = async function({ type, fromSlug, toSlug }) {
+  const duplicate = await this.exists({ type, fromSlug });
+  if (duplicate) {
+    return { statusCode: 409, code: 'REDIRECT_EXISTS', message: `A redirect from "${fromSlug}" already exists` };
+  }
+
+  // A live slug always wins over a redirect, so this one could never be used
+  const live = await modelFor(type).exists({ slug: fromSlug });
+  if (live) {
+    return { statusCode: 409, code: 'SLUG_IN_USE', message: `"${fromSlug}" is the current slug of a ${type}` };
+  }
+
+  return this.checkLoop({ type, fromSlug, toSlug });
+};
+
+module.exports = mongoose.model('Redirect', redirectSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Nonces of signed revalidation requests already accepted. Kept until the
+// request could no longer pass the timestamp check, then expired by MongoDB.
+const revalidateNonceSchema = new mongoose.Schema({
+  _id: {
+    type: String // the nonce
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Indexes
+revalidateNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to record a nonce; resolves false when it was used before
+revalidateNonceSchema.statics.claim = async function(nonce, expiresAt) {
+  try {
+    await this.create({ _id: nonce, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('RevalidateNonce', revalidateNonceSchema);
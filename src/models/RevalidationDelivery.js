@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { deliveryQueue } = require('../utils/deliveryQueue');
+
+// A path invalidation queued for one configured frontend. Status, attempts
+// and retry scheduling come from the delivery queue (see utils/deliveryQueue).
+const revalidationDeliverySchema = new mongoose.Schema({
+  target: {
+    type: String,
+    required: true // name of the frontend in REVALIDATE_TARGETS
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+revalidationDeliverySchema.plugin(deliveryQueue);
+
+// Indexes
+revalidationDeliverySchema.index({ target: 1, createdAt: -1 });
+revalidationDeliverySchema.index({ path: 1 });
+
+module.exports = mongoose.model('RevalidationDelivery', revalidationDeliverySchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const trackMediaUsage = require('../utils/trackMediaUsage');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -123,4 +124,10 @@ userSchema.statics.findActive = function() {
   return this.find({ isActive: true });
 };
 
+// Record the media used as the avatar
+userSchema.plugin(trackMediaUsage, {
+  type: 'avatar',
+  fields: ['avatar']
+});
+
 module.exports = mongoose.model('User', userSchema);
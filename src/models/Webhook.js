@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Events a webhook can subscribe to; '*' subscribes to all of them
+const WEBHOOK_EVENTS = [
+  'post.published',
+  'post.unpublished',
+  'post.deleted',
+  'comment.created',
+  'media.uploaded',
+  'media.deleted'
+];
+
+// An outside endpoint notified when content changes. Each matching event is
+// queued as a WebhookDelivery and signed with the webhook's secret.
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Webhook name is required'],
+    trim: true,
+    maxlength: [100, 'Webhook name cannot exceed 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true
+  },
+  secret: {
+    type: String,
+    select: false, // only shown when the webhook is created
+    default: () => `whsec_${crypto.randomBytes(24).toString('hex')}`
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: [...WEBHOOK_EVENTS, '*']
+    }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookSchema.index({ isActive: 1, events: 1 });
+
+// Static method to find the active webhooks subscribed to an event
+webhookSchema.statics.subscribedTo = function(event) {
+  return this.find({
+    isActive: true,
+    events: { $in: [event, '*'] }
+  }).select('+secret');
+};
+
+webhookSchema.statics.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
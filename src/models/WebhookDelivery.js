@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { deliveryQueue } = require('../utils/deliveryQueue');
+
+// An event queued for one webhook. The payload is stored as sent so retries
+// and replays deliver exactly the same body.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+webhookDeliverySchema.plugin(deliveryQueue);
+
+// Indexes
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
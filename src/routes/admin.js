@@ -5,15 +5,69 @@ const {
   getAdminPost,
   createAdminPost,
   updateAdminPost,
+  publishAdminPost,
+  discardAdminPostDraft,
   getPostPreview,
+  revokePostPreview
+} = require('../controllers/adminController');
+const {
+  getContentPages,
   getContentPage,
+  createContentPage,
   saveContentPage,
-  publishContentPage
-} = require('../controllers/adminController');
+  publishContentPage,
+  scheduleContentPage,
+  cancelContentPageSchedule,
+  getContentPageVersions,
+  getContentPageVersion,
+  rollbackContentPage,
+  duplicateContentPage,
+  deleteContentPage
+} = require('../controllers/contentPageController');
+const {
+  getPostRevisions,
+  getPostRevision,
+  diffPostRevisions,
+  restorePostRevision
+} = require('../controllers/revisionController');
+const {
+  getRedirects,
+  createRedirect,
+  updateRedirect,
+  deleteRedirect
+} = require('../controllers/redirectController');
+const {
+  getGlobalBlocks,
+  getGlobalBlock,
+  createGlobalBlock,
+  saveGlobalBlock,
+  publishGlobalBlock,
+  getGlobalBlockUsage,
+  deleteGlobalBlock
+} = require('../controllers/globalBlockController');
+const {
+  getRevalidationDeliveries,
+  replayRevalidationDelivery,
+  replayFailedRevalidations
+} = require('../controllers/revalidationDeliveryController');
+const {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  replayWebhookDeliveryById
+} = require('../controllers/webhookController');
+const Webhook = require('../models/Webhook');
 const { protect, can } = require('../middleware/auth');
+const { SECTION_FORMATS } = require('../services/sectionFormats');
 
 const router = express.Router();
 
+const formatQuery = query('format').optional().isIn(SECTION_FORMATS).withMessage('Invalid section format');
+const includeQuery = query('include').optional().isIn(['variants']).withMessage('Invalid include');
+
 // @desc    Get all posts for admin with filtering and pagination
 // @route   GET /api/admin/posts
 // @access  Private (Admin+)
@@ -28,7 +82,10 @@ router.get('/posts', [
 router.get('/posts/:id', [
   protect,
   can('post:view'),
-  param('id').isMongoId().withMessage('Invalid post ID')
+  param('id').isMongoId().withMessage('Invalid post ID'),
+  query('version').optional().isIn(['live']).withMessage('Invalid version'),
+  formatQuery,
+  includeQuery
 ], getAdminPost);
 
 // @desc    Create new post
@@ -44,10 +101,11 @@ router.post('/posts', [
   body('categories').optional().isArray(),
   body('featuredImage').optional().isURL().withMessage('Featured image must be a valid URL'),
   body('status').optional().isIn(['draft', 'review', 'scheduled', 'published']).withMessage('Invalid status'),
-  body('scheduledAt').optional().isISO8601().withMessage('Invalid scheduled date')
+  body('scheduledAt').optional().isISO8601().withMessage('Invalid scheduled date'),
+  formatQuery
 ], createAdminPost);
 
-// @desc    Update post status (draft→review/scheduled/published)
+// @desc    Update post status (draft→review→scheduled/published→archived)
 // @route   PATCH /api/admin/posts/:id
 // @access  Private (Contributor+)
 router.patch('/posts/:id', [
@@ -58,10 +116,29 @@ router.patch('/posts/:id', [
   body('body').optional().isString(),
   body('tags').optional().isArray(),
   body('categories').optional().isArray(),
-  body('status').optional().isIn(['draft', 'review', 'scheduled', 'published']).withMessage('Invalid status'),
-  body('scheduledAt').optional().isISO8601().withMessage('Invalid scheduled date')
+  body('status').optional().isIn(['draft', 'review', 'scheduled', 'published', 'archived']).withMessage('Invalid status'),
+  body('scheduledAt').optional().isISO8601().withMessage('Invalid scheduled date'),
+  formatQuery
 ], updateAdminPost);
 
+// @desc    Publish the pending draft of a post (or the post itself)
+// @route   POST /api/admin/posts/:id/publish
+// @access  Private (Editor+)
+router.post('/posts/:id/publish', [
+  protect,
+  can('post:publish'),
+  param('id').isMongoId().withMessage('Invalid post ID')
+], publishAdminPost);
+
+// @desc    Discard the pending draft of a published post
+// @route   DELETE /api/admin/posts/:id/draft
+// @access  Private (Contributor+)
+router.delete('/posts/:id/draft', [
+  protect,
+  can('post:edit'),
+  param('id').isMongoId().withMessage('Invalid post ID')
+], discardAdminPostDraft);
+
 // @desc    Get post preview URL
 // @route   GET /api/admin/posts/:id/preview
 // @access  Private (Admin+)
@@ -71,12 +148,200 @@ router.get('/posts/:id/preview', [
   param('id').isMongoId().withMessage('Invalid post ID')
 ], getPostPreview);
 
+// @desc    Revoke all preview links issued so far for a post
+// @route   DELETE /api/admin/posts/:id/preview
+// @access  Private (Contributor+)
+router.delete('/posts/:id/preview', [
+  protect,
+  can('post:edit'),
+  param('id').isMongoId().withMessage('Invalid post ID')
+], revokePostPreview);
+
+// @desc    List revisions of a post
+// @route   GET /api/admin/posts/:id/revisions
+// @access  Private (Contributor+)
+router.get('/posts/:id/revisions', [
+  protect,
+  can('post:view'),
+  param('id').isMongoId().withMessage('Invalid post ID')
+], getPostRevisions);
+
+// @desc    Field-level diff between two revisions of a post
+// @route   GET /api/admin/posts/:id/revisions/diff?from=&to=
+// @access  Private (Contributor+)
+router.get('/posts/:id/revisions/diff', [
+  protect,
+  can('post:view'),
+  param('id').isMongoId().withMessage('Invalid post ID'),
+  query('from').isInt({ min: 1 }).withMessage('Invalid revision'),
+  query('to').optional().isInt({ min: 1 }).withMessage('Invalid revision')
+], diffPostRevisions);
+
+// @desc    Get a single revision of a post
+// @route   GET /api/admin/posts/:id/revisions/:rev
+// @access  Private (Contributor+)
+router.get('/posts/:id/revisions/:rev', [
+  protect,
+  can('post:view'),
+  param('id').isMongoId().withMessage('Invalid post ID'),
+  param('rev').isInt({ min: 1 }).withMessage('Invalid revision')
+], getPostRevision);
+
+// @desc    Restore a post to an earlier revision
+// @route   POST /api/admin/posts/:id/revisions/:rev/restore
+// @access  Private (Contributor+)
+router.post('/posts/:id/revisions/:rev/restore', [
+  protect,
+  can('post:edit'),
+  param('id').isMongoId().withMessage('Invalid post ID'),
+  param('rev').isInt({ min: 1 }).withMessage('Invalid revision')
+], restorePostRevision);
+
+const slugParam = param('slug').matches(/^[a-z0-9-]+$/).withMessage('Invalid slug format');
+const scheduleValidation = [
+  body('scheduledAt').isISO8601().withMessage('Invalid scheduled date'),
+  body('unpublishAt').optional({ values: 'null' }).isISO8601().withMessage('Invalid unpublish date')
+];
+
+// @desc    List content pages
+// @route   GET /api/admin/content-pages
+// @access  Private (Admin+)
+router.get('/content-pages', [
+  protect,
+  can('post:view'),
+  query('status').optional().isIn(['draft', 'review', 'scheduled', 'published']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Invalid page'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Invalid limit')
+], getContentPages);
+
+// @desc    Create a content page
+// @route   POST /api/admin/content-pages
+// @access  Private (Editor+)
+router.post('/content-pages', [
+  protect,
+  can('post:edit'),
+  body('slug').matches(/^[a-z0-9-]+$/).withMessage('Slug must be URL-safe'),
+  body('title').optional().isString().isLength({ max: 200 }).withMessage('Title must be less than 200 characters'),
+  body('path').optional().matches(/^\//).withMessage('Path must start with /'),
+  body('sections').optional().isArray().withMessage('Sections must be an array'),
+  body('seo').optional().isObject().withMessage('SEO must be an object'),
+  formatQuery
+], createContentPage);
+
+// @desc    Get content page
+// @route   GET /api/admin/content-pages/:slug
+// @access  Private (Admin+)
+router.get('/content-pages/:slug', [
+  protect,
+  can('post:view'),
+  slugParam,
+  formatQuery,
+  includeQuery
+], getContentPage);
+
+// @desc    Save content page sections (draft ok)
+// @route   PUT /api/admin/content-pages/:slug
+// @access  Private (Editor+)
+router.put('/content-pages/:slug', [
+  protect,
+  can('post:edit'),
+  slugParam,
+  body('sections').isArray().withMessage('Sections must be an array'),
+  body('seo').optional().isObject().withMessage('SEO must be an object'),
+  body('title').optional().isString().isLength({ max: 200 }).withMessage('Title must be less than 200 characters'),
+  body('path').optional().matches(/^\//).withMessage('Path must start with /'),
+  formatQuery
+], saveContentPage);
+
+// @desc    Publish content page sections
+// @route   PATCH /api/admin/content-pages/:slug/publish
+// @access  Private (Editor+)
+router.patch('/content-pages/:slug/publish', [
+  protect,
+  can('post:publish'),
+  slugParam
+], publishContentPage);
+
+// @desc    Schedule content page publish / unpublish
+// @route   PATCH /api/admin/content-pages/:slug/schedule
+// @access  Private (Editor+)
+router.patch('/content-pages/:slug/schedule', [
+  protect,
+  can('post:schedule'),
+  slugParam,
+  scheduleValidation
+], scheduleContentPage);
+
+// @desc    Cancel a content page schedule
+// @route   DELETE /api/admin/content-pages/:slug/schedule
+// @access  Private (Editor+)
+router.delete('/content-pages/:slug/schedule', [
+  protect,
+  can('post:schedule'),
+  slugParam
+], cancelContentPageSchedule);
+
+// @desc    List published versions of a content page
+// @route   GET /api/admin/content-pages/:slug/versions
+// @access  Private (Admin+)
+router.get('/content-pages/:slug/versions', [
+  protect,
+  can('post:view'),
+  slugParam
+], getContentPageVersions);
+
+// @desc    Get a published version of a content page
+// @route   GET /api/admin/content-pages/:slug/versions/:version
+// @access  Private (Admin+)
+router.get('/content-pages/:slug/versions/:version', [
+  protect,
+  can('post:view'),
+  slugParam,
+  param('version').isInt({ min: 1 }).withMessage('Invalid version'),
+  formatQuery
+], getContentPageVersion);
+
+// @desc    Put an earlier published version of a content page back live
+// @route   POST /api/admin/content-pages/:slug/versions/:version/rollback
+// @access  Private (Editor+)
+router.post('/content-pages/:slug/versions/:version/rollback', [
+  protect,
+  can('post:publish'),
+  slugParam,
+  param('version').isInt({ min: 1 }).withMessage('Invalid version')
+], rollbackContentPage);
+
+// @desc    Copy a content page to a new draft page
+// @route   POST /api/admin/content-pages/:slug/duplicate
+// @access  Private (Editor+)
+router.post('/content-pages/:slug/duplicate', [
+  protect,
+  can('post:edit'),
+  slugParam,
+  body('slug').matches(/^[a-z0-9-]+$/).withMessage('Slug must be URL-safe'),
+  body('title').optional().isString().isLength({ max: 200 }).withMessage('Title must be less than 200 characters'),
+  body('path').optional().matches(/^\//).withMessage('Path must start with /')
+], duplicateContentPage);
+
+// @desc    Delete a content page
+// @route   DELETE /api/admin/content-pages/:slug
+// @access  Private (Admin only)
+router.delete('/content-pages/:slug', [
+  protect,
+  can('post:delete'),
+  slugParam
+], deleteContentPage);
+
+// Legacy single-page routes; they act on the `content` page
+
 // @desc    Get content page
 // @route   GET /api/admin/content-page
 // @access  Private (Admin+)
 router.get('/content-page', [
   protect,
-  can('post:view')
+  can('post:view'),
+  formatQuery,
+  includeQuery
 ], getContentPage);
 
 // @desc    Save content page sections (draft ok)
@@ -86,7 +351,8 @@ router.post('/content-page', [
   protect,
   can('post:edit'),
   body('sections').isArray().withMessage('Sections must be an array'),
-  body('seo').optional().isObject().withMessage('SEO must be an object')
+  body('seo').optional().isObject().withMessage('SEO must be an object'),
+  formatQuery
 ], saveContentPage);
 
 // @desc    Publish content page sections
@@ -97,4 +363,251 @@ router.patch('/content-page/publish', [
   can('post:publish')
 ], publishContentPage);
 
+// @desc    Schedule content page publish / unpublish
+// @route   PATCH /api/admin/content-page/schedule
+// @access  Private (Editor+)
+router.patch('/content-page/schedule', [
+  protect,
+  can('post:schedule'),
+  scheduleValidation
+], scheduleContentPage);
+
+// @desc    Cancel a content page schedule
+// @route   DELETE /api/admin/content-page/schedule
+// @access  Private (Editor+)
+router.delete('/content-page/schedule', [
+  protect,
+  can('post:schedule')
+], cancelContentPageSchedule);
+
+const blockIdParam = param('id').isMongoId().withMessage('Invalid global block ID');
+
+// @desc    List global blocks
+// @route   GET /api/admin/global-blocks
+// @access  Private (Admin+)
+router.get('/global-blocks', [
+  protect,
+  can('post:view'),
+  query('status').optional().isIn(['draft', 'published']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Invalid page'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Invalid limit')
+], getGlobalBlocks);
+
+// @desc    Create a global block
+// @route   POST /api/admin/global-blocks
+// @access  Private (Editor+)
+router.post('/global-blocks', [
+  protect,
+  can('post:edit'),
+  body('name').isString().trim().notEmpty().withMessage('Block name is required'),
+  body('description').optional().isString().isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
+  body('sections').optional().isArray().withMessage('Sections must be an array')
+], createGlobalBlock);
+
+// @desc    Get a global block
+// @route   GET /api/admin/global-blocks/:id
+// @access  Private (Admin+)
+router.get('/global-blocks/:id', [
+  protect,
+  can('post:view'),
+  blockIdParam
+], getGlobalBlock);
+
+// @desc    Save a global block draft
+// @route   PUT /api/admin/global-blocks/:id
+// @access  Private (Editor+)
+router.put('/global-blocks/:id', [
+  protect,
+  can('post:edit'),
+  blockIdParam,
+  body('name').optional().isString().trim().notEmpty().withMessage('Block name is required'),
+  body('description').optional().isString().isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
+  body('sections').optional().isArray().withMessage('Sections must be an array')
+], saveGlobalBlock);
+
+// @desc    Publish a global block
+// @route   PATCH /api/admin/global-blocks/:id/publish
+// @access  Private (Editor+)
+router.patch('/global-blocks/:id/publish', [
+  protect,
+  can('post:publish'),
+  blockIdParam
+], publishGlobalBlock);
+
+// @desc    Pages and posts that embed a global block
+// @route   GET /api/admin/global-blocks/:id/usage
+// @access  Private (Admin+)
+router.get('/global-blocks/:id/usage', [
+  protect,
+  can('post:view'),
+  blockIdParam
+], getGlobalBlockUsage);
+
+// @desc    Delete a global block
+// @route   DELETE /api/admin/global-blocks/:id
+// @access  Private (Admin only)
+router.delete('/global-blocks/:id', [
+  protect,
+  can('post:delete'),
+  blockIdParam
+], deleteGlobalBlock);
+
+// @desc    List slug redirects
+// @route   GET /api/admin/redirects
+// @access  Private (Admin+)
+router.get('/redirects', [
+  protect,
+  can('settings:edit'),
+  query('type').optional().isIn(['post', 'category']).withMessage('Invalid redirect type'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Invalid page'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Invalid limit')
+], getRedirects);
+
+// @desc    Create a slug redirect
+// @route   POST /api/admin/redirects
+// @access  Private (Admin+)
+router.post('/redirects', [
+  protect,
+  can('settings:edit'),
+  body('type').isIn(['post', 'category']).withMessage('Invalid redirect type'),
+  body('fromSlug').matches(/^[a-z0-9-]+$/).withMessage('Slug must be URL-safe'),
+  body('toSlug').matches(/^[a-z0-9-]+$/).withMessage('Slug must be URL-safe')
+], createRedirect);
+
+// @desc    Change where a slug redirect points
+// @route   PATCH /api/admin/redirects/:id
+// @access  Private (Admin+)
+router.patch('/redirects/:id', [
+  protect,
+  can('settings:edit'),
+  param('id').isMongoId().withMessage('Invalid redirect ID'),
+  body('toSlug').matches(/^[a-z0-9-]+$/).withMessage('Slug must be URL-safe')
+], updateRedirect);
+
+// @desc    Delete a slug redirect
+// @route   DELETE /api/admin/redirects/:id
+// @access  Private (Admin+)
+router.delete('/redirects/:id', [
+  protect,
+  can('settings:edit'),
+  param('id').isMongoId().withMessage('Invalid redirect ID')
+], deleteRedirect);
+
+// @desc    List revalidation deliveries
+// @route   GET /api/admin/revalidations
+// @access  Private (Admin+)
+router.get('/revalidations', [
+  protect,
+  can('settings:edit'),
+  query('status').optional().isIn(['pending', 'delivered', 'failed']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Invalid page'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Invalid limit')
+], getRevalidationDeliveries);
+
+// @desc    Send every failed revalidation delivery again
+// @route   POST /api/admin/revalidations/replay
+// @access  Private (Admin+)
+router.post('/revalidations/replay', [
+  protect,
+  can('settings:edit'),
+  body('target').optional().isString().withMessage('Target must be a string')
+], replayFailedRevalidations);
+
+// @desc    Send a failed revalidation delivery again
+// @route   POST /api/admin/revalidations/:id/replay
+// @access  Private (Admin+)
+router.post('/revalidations/:id/replay', [
+  protect,
+  can('settings:edit'),
+  param('id').isMongoId().withMessage('Invalid delivery ID')
+], replayRevalidationDelivery);
+
+const webhookIdParam = param('id').isMongoId().withMessage('Invalid webhook ID');
+
+// Creating a webhook needs name, url and events; an update checks what is sent
+const webhookValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Webhook name is required and must be less than 100 characters'),
+    field('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('Webhook URL must be a valid http(s) URL'),
+    field('events').isArray({ min: 1 }).withMessage('Subscribe to at least one event'),
+    body('events.*').isIn([...Webhook.WEBHOOK_EVENTS, '*']).withMessage('Unknown webhook event'),
+    body('description').optional().isString().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    body('secret').optional().isString().isLength({ min: 16 }).withMessage('Secret must be at least 16 characters')
+  ];
+};
+
+// @desc    List webhooks
+// @route   GET /api/admin/webhooks
+// @access  Private (Admin+)
+router.get('/webhooks', [
+  protect,
+  can('settings:edit'),
+  query('event').optional().isIn(Webhook.WEBHOOK_EVENTS).withMessage('Unknown webhook event'),
+  query('isActive').optional().isIn(['true', 'false']).withMessage('isActive must be true or false'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Invalid page'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Invalid limit')
+], getWebhooks);
+
+// @desc    Create a webhook
+// @route   POST /api/admin/webhooks
+// @access  Private (Admin+)
+router.post('/webhooks', [
+  protect,
+  can('settings:edit'),
+  ...webhookValidation(false)
+], createWebhook);
+
+// @desc    Get a webhook
+// @route   GET /api/admin/webhooks/:id
+// @access  Private (Admin+)
+router.get('/webhooks/:id', [
+  protect,
+  can('settings:edit'),
+  webhookIdParam
+], getWebhook);
+
+// @desc    Update a webhook
+// @route   PATCH /api/admin/webhooks/:id
+// @access  Private (Admin+)
+router.patch('/webhooks/:id', [
+  protect,
+  can('settings:edit'),
+  webhookIdParam,
+  ...webhookValidation(true)
+], updateWebhook);
+
+// @desc    Delete a webhook and its delivery history
+// @route   DELETE /api/admin/webhooks/:id
+// @access  Private (Admin+)
+router.delete('/webhooks/:id', [
+  protect,
+  can('settings:edit'),
+  webhookIdParam
+], deleteWebhook);
+
+// @desc    List a webhook's deliveries
+// @route   GET /api/admin/webhooks/:id/deliveries
+// @access  Private (Admin+)
+router.get('/webhooks/:id/deliveries', [
+  protect,
+  can('settings:edit'),
+  webhookIdParam,
+  query('status').optional().isIn(['pending', 'delivered', 'failed']).withMessage('Invalid status'),
+  query('event').optional().isIn(Webhook.WEBHOOK_EVENTS).withMessage('Unknown webhook event'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Invalid page'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Invalid limit')
+], getWebhookDeliveries);
+
+// @desc    Send a failed webhook delivery again
+// @route   POST /api/admin/webhooks/:id/deliveries/:deliveryId/replay
+// @access  Private (Admin+)
+router.post('/webhooks/:id/deliveries/:deliveryId/replay', [
+  protect,
+  can('settings:edit'),
+  webhookIdParam,
+  param('deliveryId').isMongoId().withMessage('Invalid delivery ID')
+], replayWebhookDeliveryById);
+
 module.exports = router;
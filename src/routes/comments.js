@@ -3,6 +3,7 @@ const { body, param, query, validationResult } = require('express-validator');
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
 const { protect, authorize, can } = require('../middleware/auth');
+const { emitCommentCreated } = require('../services/webhooks');
 
 const router = express.Router();
 
@@ -189,6 +190,8 @@ router.post('/', [
       userAgent: req.get('User-Agent')
     });
 
+    await emitCommentCreated(comment);
+
     await comment.populate('post', 'title slug');
 
     res.status(201).json({
@@ -12,13 +12,18 @@ const {
   bulkDeleteMedia,
   getMediaStats,
   searchMedia,
-  serveMedia
+  serveMedia,
+  replaceMediaFile,
+  getMediaUsage
 } = require('../controllers/mediaController');
 const { protect, can } = require('../middleware/auth');
+const { FITS, FORMATS } = require('../services/imageTransforms');
+const { EXIF_POLICIES } = require('../services/exif');
 
 const router = express.Router();
 
-// Configure multer for file uploads
+// Configure multer for file uploads. Uploads are staged and processed in
+// uploads/, then kept in the configured media storage (see services/storage).
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     const uploadPath = 'uploads/';
@@ -99,6 +104,15 @@ router.get('/:id', [
   param('id').isMongoId().withMessage('Invalid media ID')
 ], getMediaById);
 
+// @desc    List where a media file is used
+// @route   GET /api/v1/media/:id/usage
+// @access  Private (Contributor+)
+router.get('/:id/usage', [
+  protect,
+  can('media:view'),
+  param('id').isMongoId().withMessage('Invalid media ID')
+], getMediaUsage);
+
 // @desc    Upload media file
 // @route   POST /api/v1/media/upload
 // @access  Private (Contributor+)
@@ -109,7 +123,8 @@ router.post('/upload', [
   body('alt').optional().trim().isLength({ max: 200 }).withMessage('Alt text must be less than 200 characters'),
   body('caption').optional().trim().isLength({ max: 500 }).withMessage('Caption must be less than 500 characters'),
   body('tags').optional().isArray().withMessage('Tags must be an array'),
-  body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean')
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean'),
+  body('exif').optional().isIn(EXIF_POLICIES).withMessage(`EXIF policy must be one of: ${EXIF_POLICIES.join(', ')}`)
 ], uploadMedia);
 
 // @desc    Update media file metadata
@@ -136,14 +151,16 @@ router.patch('/:id', [
   body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean')
 ], updateMedia);
 
-// @desc    Delete media file
-// @route   DELETE /api/v1/media/:id
-// @access  Private (Admin only)
-router.delete('/:id', [
+// @desc    Replace the file of a media item, keeping its URL
+// @route   PUT /api/v1/media/:id/file
+// @access  Private (Contributor+)
+router.put('/:id/file', [
   protect,
-  can('media:delete'),
-  param('id').isMongoId().withMessage('Invalid media ID')
-], deleteMedia);
+  can('media:upload'),
+  param('id').isMongoId().withMessage('Invalid media ID'),
+  upload.single('file'),
+  body('exif').optional().isIn(EXIF_POLICIES).withMessage(`EXIF policy must be one of: ${EXIF_POLICIES.join(', ')}`)
+], replaceMediaFile);
 
 // @desc    Bulk delete media files
 // @route   DELETE /api/v1/media/bulk
@@ -154,9 +171,26 @@ router.delete('/bulk', [
   body('mediaIds').isArray({ min: 1 }).withMessage('Media IDs must be an array')
 ], bulkDeleteMedia);
 
-// @desc    Serve media files
+// @desc    Delete media file
+// @route   DELETE /api/v1/media/:id?force=true
+// @access  Private (Admin only)
+router.delete('/:id', [
+  protect,
+  can('media:delete'),
+  param('id').isMongoId().withMessage('Invalid media ID'),
+  query('force').optional().isBoolean().withMessage('force must be a boolean')
+], deleteMedia);
+
+// @desc    Serve media files, optionally resized or converted
 // @route   GET /api/v1/media/serve/:filename
 // @access  Public
-router.get('/serve/:filename', serveMedia);
+router.get('/serve/:filename', [
+  query('preset').optional().matches(/^[a-zA-Z0-9_-]+$/).withMessage('Invalid preset'),
+  query('width').optional().isInt({ min: 1, max: 4000 }).withMessage('Width must be between 1 and 4000'),
+  query('height').optional().isInt({ min: 1, max: 4000 }).withMessage('Height must be between 1 and 4000'),
+  query('fit').optional().isIn(FITS).withMessage(`Fit must be one of: ${FITS.join(', ')}`),
+  query('quality').optional().isInt({ min: 1, max: 100 }).withMessage('Quality must be between 1 and 100'),
+  query('format').optional().isIn(FORMATS).withMessage(`Format must be one of: ${FORMATS.join(', ')}`)
+], serveMedia);
 
 module.exports = router;
\ No newline at end of file
@@ -13,9 +13,13 @@ const {
   uploadPostToMain
 } = require('../controllers/postController');
 const { protect, can } = require('../middleware/auth');
+const { SECTION_FORMATS } = require('../services/sectionFormats');
 
 const router = express.Router();
 
+// Shape of the sections sent with a write
+const formatQuery = query('format').optional().isIn(SECTION_FORMATS).withMessage('Invalid section format');
+
 // @desc    Get all posts with filtering and pagination
 // @route   GET /api/v1/posts
 // @access  Public
@@ -56,7 +60,8 @@ router.post('/', [
   body('seo.metaTitle').optional().isLength({ max: 60 }).withMessage('Meta title must be less than 60 characters'),
   body('seo.metaDescription').optional().isLength({ max: 160 }).withMessage('Meta description must be less than 160 characters'),
   body('contentSections').optional().isArray().withMessage('Content sections must be an array'),
-  body('breadcrumb').optional().isObject().withMessage('Breadcrumb must be an object')
+  body('breadcrumb').optional().isObject().withMessage('Breadcrumb must be an object'),
+  formatQuery
 ], createPost);
 
 // @desc    Update post
@@ -74,7 +79,8 @@ router.put('/:id', [
   body('status').optional().isIn(['draft', 'review', 'scheduled', 'published', 'archived']).withMessage('Invalid status'),
   body('scheduledAt').optional().isISO8601().withMessage('Invalid scheduled date'),
   body('contentSections').optional().isArray().withMessage('Content sections must be an array'),
-  body('breadcrumb').optional().isObject().withMessage('Breadcrumb must be an object')
+  body('breadcrumb').optional().isObject().withMessage('Breadcrumb must be an object'),
+  formatQuery
 ], updatePost);
 
 router.patch('/:id', [
@@ -88,7 +94,8 @@ router.patch('/:id', [
   body('status').optional().isIn(['draft', 'review', 'scheduled', 'published', 'archived']).withMessage('Invalid status'),
   body('scheduledAt').optional().isISO8601().withMessage('Invalid scheduled date'),
   body('contentSections').optional().isArray().withMessage('Content sections must be an array'),
-  body('breadcrumb').optional().isObject().withMessage('Breadcrumb must be an object')
+  body('breadcrumb').optional().isObject().withMessage('Breadcrumb must be an object'),
+  formatQuery
 ], updatePost);
 
 // @desc    Delete post
@@ -2,23 +2,62 @@ const express = require('express');
 const { param, query } = require('express-validator');
 const {
   getPublicContentPage,
-  getPublicPostBySlug
+  getPublicPostBySlug,
+  getPublicCategoryBySlug,
+  getPostPreviewContent
 } = require('../controllers/publicController');
+const { SECTION_FORMATS } = require('../services/sectionFormats');
 
 const router = express.Router();
 
+// Public reads can also come with the sections rendered to HTML
+const formatQuery = query('format').optional().isIn([...SECTION_FORMATS, 'html']).withMessage('Invalid section format');
+
+// ?include=variants adds srcset-ready variants of the images shown
+const includeQuery = query('include').optional().isIn(['variants']).withMessage('Invalid include');
+
 // @desc    Get published content page
 // @route   GET /api/content-page
 // @access  Public
 router.get('/content-page', [
-  query('version').optional().isIn(['published']).withMessage('Invalid version')
+  query('version').optional().isIn(['published']).withMessage('Invalid version'),
+  formatQuery,
+  includeQuery
+], getPublicContentPage);
+
+// @desc    Get published content page by slug
+// @route   GET /api/content-pages/:slug
+// @access  Public
+router.get('/content-pages/:slug', [
+  param('slug').matches(/^[a-z0-9-]+$/).withMessage('Invalid slug format'),
+  query('version').optional().isIn(['published']).withMessage('Invalid version'),
+  formatQuery,
+  includeQuery
 ], getPublicContentPage);
 
 // @desc    Get public post by slug
 // @route   GET /api/posts/:slug
 // @access  Public
 router.get('/posts/:slug', [
-  param('slug').matches(/^[a-z0-9-]+$/).withMessage('Invalid slug format')
+  param('slug').matches(/^[a-z0-9-]+$/).withMessage('Invalid slug format'),
+  formatQuery,
+  includeQuery
 ], getPublicPostBySlug);
 
+// @desc    Get public category by slug
+// @route   GET /api/categories/:slug
+// @access  Public
+router.get('/categories/:slug', [
+  param('slug').matches(/^[a-z0-9-]+$/).withMessage('Invalid slug format')
+], getPublicCategoryBySlug);
+
+// @desc    Get the working copy of a post through a signed preview link
+// @route   GET /api/preview/:id?t=&h=
+// @access  Public (signed link)
+router.get('/preview/:id', [
+  param('id').isMongoId().withMessage('Invalid post ID'),
+  query('t').isInt({ min: 0 }).withMessage('Invalid preview link'),
+  query('h').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid preview link')
+], getPostPreviewContent);
+
 module.exports = router;
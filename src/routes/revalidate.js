@@ -1,14 +1,23 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { revalidatePath } = require('../controllers/revalidateController');
+const { requireSignature } = require('../middleware/revalidateSignature');
 
 const router = express.Router();
 
+// Paths and tags one request may revalidate
+const MAX_BATCH = 100;
+
 // @desc    Revalidate cached content
 // @route   POST /api/revalidate
-// @access  Private (with secret header)
+// @access  Private (signed request)
 router.post('/', [
-  body('path').optional().isString().withMessage('Path must be a string')
+  requireSignature,
+  body('path').optional().isString().matches(/^\//).withMessage('Path must be a string starting with /'),
+  body('paths').optional().isArray({ max: MAX_BATCH }).withMessage(`Paths must be an array of at most ${MAX_BATCH}`),
+  body('paths.*').isString().matches(/^\//).withMessage('Paths must start with /'),
+  body('tags').optional().isArray({ max: MAX_BATCH }).withMessage(`Tags must be an array of at most ${MAX_BATCH}`),
+  body('tags.*').isString().notEmpty().withMessage('Tags must be non-empty strings')
 ], revalidatePath);
 
 module.exports = router;
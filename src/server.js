@@ -9,6 +9,9 @@ const rateLimit = require('express-rate-limit');
 // Import database connection
 const connectDB = require('./config/database');
 
+// Import background scheduler
+const scheduler = require('./services/scheduler');
+
 // Import routes
 const postRoutes = require('./routes/posts');
 const userRoutes = require('./routes/users');
@@ -23,6 +26,10 @@ const revalidateRoutes = require('./routes/revalidate');
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
+const { assertSecretConfigured } = require('./utils/revalidateSignature');
+
+// Signed revalidation requests need a real secret in production
+assertSecretConfigured();
 
 const app = express();
 
@@ -37,7 +44,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+  exposedHeaders: ['ETag']
 }));
 
 // Rate limiting
@@ -64,7 +72,13 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for signature checks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Health check endpoint
@@ -125,6 +139,11 @@ const server = app.listen(PORT, () => {
   console.log(`🏥 Health Check: http://localhost:${PORT}/health`);
 });
 
+// Start background jobs (scheduled publishing)
+if (process.env.NODE_ENV !== 'test' && process.env.SCHEDULER_ENABLED !== 'false') {
+  scheduler.start();
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
@@ -0,0 +1,143 @@
+const ContentPage = require('../models/ContentPage');
+const ContentPageVersion = require('../models/ContentPageVersion');
+const { triggerRevalidation } = require('./revalidation');
+
+// Updates that drop a pending schedule. Publishing or rolling back by hand
+// replaces whatever was scheduled.
+const CLEAR_SCHEDULE = {
+  scheduledAt: null,
+  unpublishAt: null,
+  scheduledBy: null,
+  $unset: { previous: 1 }
+};
+
+// Make `content` the live version of `page` under the next version number
+const goLive = async (page, content, userId, extra = {}) => {
+  const version = (page.version || 0) + 1;
+  const snapshot = {
+    title: content.title,
+    sections: content.sections,
+    seo: content.seo,
+    version,
+    publishedAt: new Date()
+  };
+
+  // The unique (page, version) index stops two publishes claiming one version
+  await ContentPageVersion.create({
+    page: page._id,
+    slug: page.slug,
+    ...snapshot,
+    publishedBy: userId,
+    restoredFrom: extra.restoredFrom
+  });
+
+  const contentPage = await ContentPage.findByIdAndUpdate(
+    page._id,
+    {
+      status: 'published',
+      published: snapshot,
+      version,
+      publishedAt: snapshot.publishedAt.toISOString(),
+      ...extra.updates
+    },
+    { new: true, runValidators: true }
+  );
+
+  await triggerRevalidation(contentPage.getPath());
+
+  return contentPage;
+};
+
+// Draft fields that follow a version put back live, unless the draft holds
+// unpublished work
+const draftUpdates = (page, content) => {
+  if (page.hasUnpublishedChanges) return {};
+  return { title: content.title, sections: content.sections, seo: content.seo, $inc: { __v: 1 } };
+};
+
+// Publish the draft of every page whose scheduledAt has passed. A page with
+// an unpublishAt remembers the live page it replaced so it can be restored.
+const publishDueContentPages = async (now = new Date()) => {
+  const duePages = await ContentPage.find({ scheduledAt: { $lte: now } });
+
+  const published = [];
+
+  for (const page of duePages) {
+    const updates = { hasUnpublishedChanges: false, scheduledAt: null };
+    const previous = page.liveSnapshot();
+    if (page.unpublishAt && previous) updates.previous = previous;
+
+    try {
+      published.push(await goLive(page, page.toObject(), page.scheduledBy, { updates }));
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      await settleClaimedVersion(page, (page.version || 0) + 1);
+    }
+  }
+
+  return published;
+};
+
+// Another publish took the version a scheduled publish was going to claim.
+// The schedule is cleared either way so the page is not retried every run;
+// when the page has not reached that version the scheduled draft was never
+// published, which is logged.
+const settleClaimedVersion = async (page, version) => {
+  const current = await ContentPage.findById(page._id).select('version');
+  if (!current) return;
+
+  if ((current.version || 0) < version) {
+    console.error(`Scheduled publish of content page ${page.slug} lost version ${version}; schedule cleared`);
+  }
+
+  // Only clear the schedule that was claimed, not one set since
+  await ContentPage.updateOne(
+    { _id: page._id, scheduledAt: page.scheduledAt },
+    { scheduledAt: null }
+  );
+};
+
+// Bring scheduled pages down once their unpublishAt has passed: the page they
+// replaced goes back live as a new version, or the page is taken down if it
+// was not live before. Each page is claimed with a conditional update first,
+// so it is only ever reverted once.
+const unpublishExpiredContentPages = async (now = new Date()) => {
+  const expiredPages = await ContentPage.find({
+    scheduledAt: null,
+    unpublishAt: { $lte: now }
+  }).select('_id unpublishAt');
+
+  const reverted = [];
+
+  for (const expired of expiredPages) {
+    const page = await ContentPage.findOneAndUpdate(
+      { _id: expired._id, unpublishAt: expired.unpublishAt },
+      { unpublishAt: null, scheduledBy: null, $unset: { previous: 1 } }
+    );
+    if (!page) continue;
+
+    const previous = page.toObject().previous;
+
+    if (previous && previous.version) {
+      reverted.push(await goLive(page, previous, page.scheduledBy, {
+        restoredFrom: previous.version,
+        updates: draftUpdates(page, previous)
+      }));
+      continue;
+    }
+
+    const contentPage = await ContentPage.findByIdAndUpdate(page._id, { status: 'draft' }, { new: true });
+    await triggerRevalidation(contentPage.getPath());
+    reverted.push(contentPage);
+  }
+
+  return reverted;
+};
+
+module.exports = {
+  CLEAR_SCHEDULE,
+  goLive,
+  draftUpdates,
+  publishDueContentPages,
+  unpublishExpiredContentPages
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const Media = require('../models/Media');
+const { canResize, originalFormat } = require('./imageVariants');
+
+// EXIF of uploaded photos. The camera, capture date and GPS position are read
+// into Media.metadata on upload; then the uploaded file is rewritten by the
+// upload's EXIF policy, or MEDIA_EXIF_POLICY when none is given:
+//
+//   keep       serve the file as uploaded
+//   strip-gps  drop the GPS position, keep camera, software and capture date (default)
+//   strip-all  drop all EXIF
+//
+// Resized variants and transforms never carry EXIF, so only the original
+// needs rewriting.
+
+const { EXIF_POLICIES } = Media;
+const DEFAULT_POLICY = 'strip-gps';
+
+// Tags kept by strip-gps, by the IFD sharp writes them to
+const KEPT_TAGS = {
+  IFD0: ['Make', 'Model', 'Software', 'Artist', 'Copyright'],
+  IFD2: ['DateTimeOriginal']
+};
+
+const getExifPolicy = (requested) => {
+  if (EXIF_POLICIES.includes(requested)) return requested;
+  if (EXIF_POLICIES.includes(process.env.MEDIA_EXIF_POLICY)) return process.env.MEDIA_EXIF_POLICY;
+  return DEFAULT_POLICY;
+};
+
+// Degrees, minutes and seconds to signed decimal degrees
+const toDecimal = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length !== 3 || dms.some(part => !Number.isFinite(part))) return undefined;
+
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  const signed = ref === 'S' || ref === 'W' ? -degrees : degrees;
+  return Math.round(signed * 1e6) / 1e6;
+};
+
+const validDate = (value) => (value instanceof Date && !isNaN(value) ? value : undefined);
+
+// EXIF dates are local times without a zone; exif-reader reads them as UTC
+const exifDateString = (date) => date.toISOString().slice(0, 19).replace(/-/g, ':').replace('T', ' ');
+
+const parseExif = async (filePath) => {
+  const { exif } = await sharp(filePath).metadata();
+  return exif ? exifReader(exif) : {};
+};
+
+// Media.metadata fields from the EXIF of an image; empty when it has none
+const readExif = async (filePath) => {
+  try {
+    const { Image: image = {}, Photo: photo = {}, GPSInfo: gps = {} } = await parseExif(filePath);
+    const metadata = {};
+
+    const make = image.Make && image.Make.trim();
+    const model = image.Model && image.Model.trim();
+    if (make || model) {
+      // Most models already start with the make, e.g. "Canon EOS R5"
+      metadata.camera = make && model && !model.startsWith(make) ? `${make} ${model}` : model || make;
+    }
+    if (image.Software) metadata.software = image.Software.trim();
+
+    const dateTaken = validDate(photo.DateTimeOriginal) || validDate(image.DateTime);
+    if (dateTaken) metadata.dateTaken = dateTaken;
+
+    const latitude = toDecimal(gps.GPSLatitude, gps.GPSLatitudeRef);
+    const longitude = toDecimal(gps.GPSLongitude, gps.GPSLongitudeRef);
+    if (latitude !== undefined && longitude !== undefined) {
+      metadata.latitude = latitude;
+      metadata.longitude = longitude;
+      metadata.location = `${latitude}, ${longitude}`;
+    }
+
+    return metadata;
+  } catch (error) {
+    console.warn('Could not read EXIF:', error.message);
+    return {};
+  }
+};
+
+// The EXIF strip-gps keeps, in the shape sharp's withExif takes
+const keptExif = async (filePath) => {
+  const { Image: image = {}, Photo: photo = {} } = await parseExif(filePath);
+  const parsed = { IFD0: image, IFD2: photo };
+  const kept = {};
+
+  for (const [ifd, tags] of Object.entries(KEPT_TAGS)) {
+    for (const tag of tags) {
+      const value = parsed[ifd][tag];
+      if (value === undefined) continue;
+
+      kept[ifd] = kept[ifd] || {};
+      kept[ifd][tag] = value instanceof Date ? exifDateString(value) : String(value);
+    }
+  }
+  return kept;
+};
+
+// Rewrite an uploaded image in place by an EXIF policy. Resolves true when
+// the file was rewritten; files that cannot be re-encoded are left alone.
+const applyExifPolicy = async (filePath, mimeType, policy) => {
+  if (policy === 'keep' || !canResize(mimeType)) return false;
+
+  const format = originalFormat(mimeType);
+  const { exif } = await sharp(filePath).metadata();
+  if (!exif) return false;
+
+  // The orientation tag goes with the rest, so turn the pixels instead
+  let image = sharp(filePath).rotate().keepIccProfile();
+  if (policy === 'strip-gps') image = image.withExif(await keptExif(filePath));
+
+  // Write under a temporary name so the file is never served half written
+  const partialPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await image.toFormat(format, format === 'png' ? {} : { quality: 90 }).toFile(partialPath);
+    await fs.promises.rename(partialPath, filePath);
+  } catch (error) {
+    fs.rm(partialPath, { force: true }, () => {});
+    throw error;
+  }
+  return true;
+};
+
+module.exports = {
+  EXIF_POLICIES,
+  getExifPolicy,
+  readExif,
+  applyExifPolicy
+};
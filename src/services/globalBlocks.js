@@ -0,0 +1,135 @@
+const GlobalBlock = require('../models/GlobalBlock');
+const Post = require('../models/Post');
+const ContentPage = require('../models/ContentPage');
+const { normalizeSections } = require('./sectionRegistry');
+
+// `ref` sections embed a global block by id:
+//
+//   post  { type: 'ref', data: { blockId } }
+//   page  { type: 'ref', props: { blockId } }
+//
+// Public reads attach the block's published sections (content page form) as
+// `block`; references to blocks that are not published are left out.
+
+const SECTION_KINDS = {
+  post: { key: 'data', field: 'contentSections' },
+  page: { key: 'props', field: 'sections' }
+};
+
+const refsOf = (format, sections) => {
+  const { key } = SECTION_KINDS[format];
+  return (sections || [])
+    .map((section, index) => ({ section, index }))
+    .filter(({ section }) => section && section.type === 'ref' && section[key] && section[key].blockId);
+};
+
+// Registry validation plus a check that every referenced block exists.
+// Resolves { sections, errors } like normalizeSections.
+const checkSections = async (format, sections, path = 'sections') => {
+  const normalized = normalizeSections(format, sections, path);
+  if (normalized.errors.length || !normalized.sections) return normalized;
+
+  const { key } = SECTION_KINDS[format];
+  const refs = refsOf(format, normalized.sections);
+  if (!refs.length) return normalized;
+
+  const ids = refs.map(({ section }) => section[key].blockId);
+  const existing = new Set((await GlobalBlock.find({ _id: { $in: ids } }).select('_id').lean())
+    .map(block => String(block._id)));
+
+  const errors = refs
+    .filter(({ section }) => !existing.has(section[key].blockId))
+    .map(({ index }) => ({ path: `${path}.${index}.${key}.blockId`, message: 'Global block not found' }));
+
+  return errors.length ? { errors } : normalized;
+};
+
+// 400 body for sections that failed checkSections
+const sendSectionErrors = (res, errors) => {
+  res.status(400).json({
+    success: false,
+    message: errors[0].message,
+    errors
+  });
+};
+
+// Copy of `doc` (a plain post or content page) with its `ref` sections
+// carrying the published block. `format` is 'post' or 'page'.
+const withGlobalBlocks = async (doc, format) => {
+  const { key, field } = SECTION_KINDS[format];
+  const sections = doc && doc[field];
+  const refs = refsOf(format, sections);
+  if (!refs.length) return doc;
+
+  const blocks = await GlobalBlock.findPublishedByIds(refs.map(({ section }) => section[key].blockId));
+
+  const expanded = sections
+    .map(section => {
+      if (!section || section.type !== 'ref') return section;
+      const block = section[key] && blocks.get(String(section[key].blockId));
+      return block ? { ...section, [key]: { ...section[key], block } } : null;
+    })
+    .filter(Boolean);
+
+  return { ...doc, [field]: expanded };
+};
+
+const refersTo = (blockId, key) => ({
+  $elemMatch: { type: 'ref', [`${key}.blockId`]: String(blockId) }
+});
+
+const mentions = (sections, blockId, key) => (sections || [])
+  .some(section => section && section.type === 'ref' && section[key] && section[key].blockId === String(blockId));
+
+// Content pages and posts that embed a block, and whether their live copy,
+// their working draft, or both do
+const findBlockUsage = async (blockId) => {
+  const pages = await ContentPage.find({
+    $or: [
+      { sections: refersTo(blockId, 'props') },
+      { 'published.sections': refersTo(blockId, 'props') }
+    ]
+  }).select('slug title path status sections published.sections');
+
+  const posts = await Post.find({
+    $or: [
+      { contentSections: refersTo(blockId, 'data') },
+      { 'draft.contentSections': refersTo(blockId, 'data') }
+    ]
+  }).select('+draft title slug status contentSections');
+
+  return {
+    contentPages: pages.map(page => {
+      const liveSections = page.hasSnapshot() ? page.published.sections : (page.status === 'published' ? page.sections : []);
+      return {
+        _id: page._id,
+        slug: page.slug,
+        title: page.title,
+        path: page.getPath(),
+        status: page.status,
+        live: mentions(liveSections, blockId, 'props'),
+        draft: mentions(page.sections, blockId, 'props')
+      };
+    }),
+    posts: posts.map(post => {
+      const draftSections = post.draft && post.draft.contentSections;
+      const liveSections = post.contentSections.map(section => section.toObject());
+      return {
+        _id: post._id,
+        slug: post.slug,
+        title: post.title,
+        path: `/posts/${post.slug}`,
+        status: post.status,
+        live: post.status === 'published' && mentions(liveSections, blockId, 'data'),
+        draft: mentions(draftSections || liveSections, blockId, 'data')
+      };
+    })
+  };
+};
+
+module.exports = {
+  checkSections,
+  sendSectionErrors,
+  withGlobalBlocks,
+  findBlockUsage
+};
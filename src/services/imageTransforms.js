@@ -0,0 +1,170 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { OUTPUT, originalFormat } = require('./imageVariants');
+
+// Images resized on request by GET /api/v1/media/serve/:filename.
+//
+// Only the presets in MEDIA_TRANSFORM_PRESETS can be made, so clients cannot
+// ask for arbitrary sizes: either name one with ?preset=, or pass its exact
+// width, height, fit and quality. The output format is free. Each result is
+// cached on disk under uploads/cache/<filename>/ and purged with the source;
+// files in remote storage are copied there once to be transformed.
+
+const DEFAULT_PRESETS = {
+  thumbnail: { width: 320, height: 320, fit: 'cover' },
+  card: { width: 640, height: 427, fit: 'cover' },
+  hero: { width: 1600, height: 900, fit: 'cover' },
+  full: { width: 1920, fit: 'inside' }
+};
+
+const FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const FORMATS = ['original', ...Object.keys(OUTPUT)];
+const DEFAULT_FIT = 'cover';
+const DEFAULT_QUALITY = 80;
+
+const CACHE_DIR = path.join('uploads', 'cache');
+
+// Query parameters that ask for a transform
+const TRANSFORM_PARAMS = ['preset', 'width', 'height', 'fit', 'quality', 'format'];
+
+const normalize = ({ width, height, fit, quality }) => ({
+  width: width ? parseInt(width) : undefined,
+  height: height ? parseInt(height) : undefined,
+  fit: fit || DEFAULT_FIT,
+  quality: quality ? parseInt(quality) : DEFAULT_QUALITY
+});
+
+// Configured presets; an invalid MEDIA_TRANSFORM_PRESETS falls back to the defaults
+const getPresets = () => {
+  let presets = DEFAULT_PRESETS;
+
+  if (process.env.MEDIA_TRANSFORM_PRESETS) {
+    try {
+      presets = JSON.parse(process.env.MEDIA_TRANSFORM_PRESETS);
+    } catch (parseError) {
+      console.error('MEDIA_TRANSFORM_PRESETS is not valid JSON:', parseError.message);
+    }
+  }
+
+  const normalized = {};
+  for (const [name, preset] of Object.entries(presets)) {
+    if (preset && (preset.width || preset.height)) normalized[name] = normalize(preset);
+  }
+  return normalized;
+};
+
+const sameTransform = (a, b) =>
+  a.width === b.width && a.height === b.height && a.fit === b.fit && a.quality === b.quality;
+
+const wantsTransform = (query) => TRANSFORM_PARAMS.some(param => query[param] !== undefined);
+
+// The transform asked for by the query, as { transform } or { rejection }.
+// Resolves neither when the original file is wanted.
+const resolveTransform = (query) => {
+  if (!wantsTransform(query)) return {};
+
+  const presets = getPresets();
+  const format = query.format || 'original';
+  const sizing = query.width || query.height || query.fit || query.quality;
+
+  let preset;
+  if (query.preset) {
+    preset = presets[query.preset];
+    if (!preset) {
+      return { rejection: { statusCode: 400, code: 'UNKNOWN_PRESET', message: `Unknown preset: ${query.preset}` } };
+    }
+  } else if (sizing) {
+    const requested = normalize(query);
+    preset = Object.values(presets).find(candidate => sameTransform(candidate, requested));
+    if (!preset) {
+      return {
+        rejection: {
+          statusCode: 400,
+          code: 'TRANSFORM_NOT_ALLOWED',
+          message: `Size must match a preset: ${Object.keys(presets).join(', ')}`
+        }
+      };
+    }
+  }
+
+  return { transform: { ...(preset || {}), format } };
+};
+
+const cacheDirOf = (filename) => path.join(process.cwd(), CACHE_DIR, filename);
+
+// Local copy of a media file kept in remote storage, fetched on first request
+const sourceCopy = async (media, storage) => {
+  const copyPath = path.join(cacheDirOf(media.filename), `source${path.extname(media.filename)}`);
+
+  if (!fs.existsSync(copyPath)) {
+    await fs.promises.mkdir(cacheDirOf(media.filename), { recursive: true });
+
+    const partialPath = `${copyPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await storage.download(media.filename, partialPath, { mimeType: media.mimeType });
+      await fs.promises.rename(partialPath, copyPath);
+    } catch (error) {
+      fs.rm(partialPath, { force: true }, () => {});
+      throw error;
+    }
+  }
+
+  return copyPath;
+};
+
+// Path of the transformed file, made on first request
+const transformImage = async (sourcePath, { filename, mimeType }, transform) => {
+  const format = transform.format === 'original' ? originalFormat(mimeType) : transform.format;
+  const output = OUTPUT[format];
+
+  const key = crypto
+    .createHash('sha1')
+    .update(JSON.stringify([transform.width, transform.height, transform.fit, transform.quality, format]))
+    .digest('hex')
+    .slice(0, 16);
+  const cachedPath = path.join(cacheDirOf(filename), `${key}.${output.extension}`);
+
+  if (!fs.existsSync(cachedPath)) {
+    await fs.promises.mkdir(cacheDirOf(filename), { recursive: true });
+
+    let image = sharp(sourcePath).rotate();
+    if (transform.width || transform.height) {
+      image = image.resize({
+        width: transform.width,
+        height: transform.height,
+        fit: transform.fit,
+        withoutEnlargement: true
+      });
+    }
+
+    // Write under a temporary name so a parallel request never serves half a file
+    const partialPath = `${cachedPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const options = format === 'png'
+      ? output.options // quality would turn PNGs into palette images
+      : { ...output.options, quality: transform.quality || DEFAULT_QUALITY };
+    await image.toFormat(format, options).toFile(partialPath);
+    await fs.promises.rename(partialPath, cachedPath);
+  }
+
+  return { path: cachedPath, mimeType: output.mimeType };
+};
+
+// Drop every cached transform of a file
+const purgeTransforms = (filename) => {
+  if (!filename) return;
+  fs.rm(cacheDirOf(filename), { recursive: true, force: true }, (err) => {
+    if (err) console.error('Error purging transform cache:', err);
+  });
+};
+
+module.exports = {
+  FITS,
+  FORMATS,
+  getPresets,
+  resolveTransform,
+  sourceCopy,
+  transformImage,
+  purgeTransforms
+};
@@ -0,0 +1,215 @@
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+const Media = require('../models/Media');
+const { getStorage, storageOf, variantKey, discardFile } = require('./storage');
+
+// Responsive variants of uploaded images. Every upload of a raster image is
+// resized to each configured size and saved next to the original in each
+// configured format:
+//
+//   MEDIA_VARIANT_SIZES    JSON { name: width }, default
+//                          { "thumbnail": 320, "card": 640, "hero": 1280, "full": 1920 }
+//   MEDIA_VARIANT_FORMATS  comma-separated, default "avif,webp,original"
+//
+// Images are never enlarged: sizes wider than the original are made at the
+// original width, once. Variants are made on local disk, then kept in the
+// media's storage, and recorded on the Media document.
+
+const DEFAULT_SIZES = { thumbnail: 320, card: 640, hero: 1280, full: 1920 };
+const DEFAULT_FORMATS = ['avif', 'webp', 'original'];
+
+// Formats we can resize; animated GIFs and SVGs are kept as uploaded
+const RESIZABLE_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const OUTPUT = {
+  avif: { extension: 'avif', mimeType: 'image/avif', options: { quality: 50 } },
+  webp: { extension: 'webp', mimeType: 'image/webp', options: { quality: 80 } },
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg', options: { quality: 82, mozjpeg: true } },
+  png: { extension: 'png', mimeType: 'image/png', options: { compressionLevel: 9 } }
+};
+
+// Preferred formats for thumbnailUrl, most widely supported first
+const THUMBNAIL_FORMATS = ['jpeg', 'png', 'webp', 'avif'];
+
+const UPLOAD_DIR = 'uploads';
+
+// Configured sizes, narrowest first; an invalid MEDIA_VARIANT_SIZES falls back to the defaults
+const getVariantSizes = () => {
+  let sizes = DEFAULT_SIZES;
+
+  if (process.env.MEDIA_VARIANT_SIZES) {
+    try {
+      sizes = JSON.parse(process.env.MEDIA_VARIANT_SIZES);
+    } catch (parseError) {
+      console.error('MEDIA_VARIANT_SIZES is not valid JSON:', parseError.message);
+    }
+  }
+
+  return Object.entries(sizes)
+    .map(([name, width]) => ({ name, width: parseInt(width) }))
+    .filter(size => size.width > 0)
+    .sort((a, b) => a.width - b.width);
+};
+
+const getVariantFormats = () => (process.env.MEDIA_VARIANT_FORMATS || DEFAULT_FORMATS.join(','))
+  .split(',')
+  .map(format => format.trim().toLowerCase())
+  .filter(format => format === 'original' || OUTPUT[format]);
+
+const canResize = (mimeType) => Boolean(RESIZABLE_TYPES[mimeType]);
+
+// sharp format name of a resizable upload
+const originalFormat = (mimeType) => RESIZABLE_TYPES[mimeType];
+
+// Resize `filePath` into every configured size and format and keep them in
+// `storage`. Resolves the variants stored, narrowest first, each
+// { name, format, width, height, size, key, url, mimeType }.
+const generateVariants = async (filePath, { filename, mimeType, width: originalWidth }, storage = getStorage('local')) => {
+  if (!canResize(mimeType) || !originalWidth) return [];
+
+  const base = path.basename(filename, path.extname(filename));
+  const formats = [...new Set(getVariantFormats()
+    .map(format => (format === 'original' ? originalFormat(mimeType) : format)))];
+
+  const variants = [];
+  const madeWidths = new Set();
+
+  try {
+    for (const size of getVariantSizes()) {
+      const width = Math.min(size.width, originalWidth);
+      if (madeWidths.has(width)) continue;
+      madeWidths.add(width);
+
+      for (const format of formats) {
+        const output = OUTPUT[format];
+        const variantName = `${base}-${size.name}.${output.extension}`;
+        const variantPath = path.join(process.cwd(), UPLOAD_DIR, variantName);
+
+        const info = await sharp(filePath)
+          .rotate()
+          .resize({ width, withoutEnlargement: true })
+          .toFormat(format, output.options)
+          .toFile(variantPath);
+
+        let url;
+        try {
+          url = await storage.store(variantName, variantPath, { mimeType: output.mimeType });
+        } catch (storeError) {
+          fs.rm(variantPath, { force: true }, () => {});
+          throw storeError;
+        }
+
+        variants.push({
+          name: size.name,
+          format,
+          width: info.width,
+          height: info.height,
+          size: info.size,
+          key: variantName,
+          url,
+          mimeType: output.mimeType
+        });
+      }
+    }
+  } catch (error) {
+    // Leave no half-made set behind
+    removeVariants({ storage: storage.name, variants });
+    throw error;
+  }
+
+  return variants;
+};
+
+// The narrowest variant, in the format most browsers can show
+const pickThumbnail = (variants) => {
+  if (!variants.length) return undefined;
+
+  const narrowest = variants.filter(variant => variant.width === variants[0].width);
+  return THUMBNAIL_FORMATS
+    .map(format => narrowest.find(variant => variant.format === format))
+    .find(Boolean);
+};
+
+// Delete the variant files of a media document
+const removeVariants = (media) => {
+  if (!media.variants || !media.variants.length) return;
+
+  const storage = storageOf(media);
+  for (const variant of media.variants) {
+    discardFile(storage, variantKey(variant), { mimeType: variant.mimeType });
+  }
+};
+
+// <picture> sources for a media document: one { type, srcset } per format,
+// modern formats first
+const variantSources = (media) => {
+  const byType = new Map();
+
+  for (const variant of media.variants || []) {
+    if (!byType.has(variant.mimeType)) byType.set(variant.mimeType, []);
+    byType.get(variant.mimeType).push(`${variant.url} ${variant.width}w`);
+  }
+
+  const order = Object.values(OUTPUT).map(output => output.mimeType);
+  return [...byType.entries()]
+    .sort(([a], [b]) => order.indexOf(a) - order.indexOf(b))
+    .map(([type, candidates]) => ({ type, srcset: candidates.join(', ') }));
+};
+
+// Strings that could be the URL of an uploaded file
+const collectUrls = (value, urls) => {
+  if (typeof value === 'string') {
+    if (value.length < 2048 && !/\s/.test(value)) urls.add(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectUrls(item, urls));
+  } else if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    Object.values(value).forEach(item => collectUrls(item, urls));
+  }
+  return urls;
+};
+
+// Add `images`, keyed by URL, with the width, height and srcset-ready
+// sources of every uploaded image the post or page shows
+const withImageVariants = async (doc, type) => {
+  if (!doc) return doc;
+
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  const shown = type === 'post' ? [plain.featuredImage, plain.contentSections] : [plain.sections];
+  const urls = [...collectUrls(shown, new Set())];
+  if (!urls.length) return { ...plain, images: {} };
+
+  const media = await Media.find({ url: { $in: urls }, type: 'image' })
+    .select('url alt dimensions variants')
+    .lean();
+
+  const images = {};
+  for (const item of media) {
+    images[item.url] = {
+      width: item.dimensions && item.dimensions.width,
+      height: item.dimensions && item.dimensions.height,
+      alt: item.alt,
+      sources: variantSources(item)
+    };
+  }
+
+  return { ...plain, images };
+};
+
+module.exports = {
+  OUTPUT,
+  getVariantSizes,
+  getVariantFormats,
+  canResize,
+  originalFormat,
+  generateVariants,
+  pickThumbnail,
+  removeVariants,
+  variantSources,
+  withImageVariants
+};
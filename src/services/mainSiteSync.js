@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const { backoffDelay, sleep, isRetryableStatus } = require('../utils/backoff');
+const { renderPost } = require('./sectionRenderer');
+
+// Client for the main website's post API.
+//
+//   create    POST   /api/posts
+//   update    PUT    /api/posts/:mainWebsiteId
+//   unpublish POST   /api/posts/:mainWebsiteId/unpublish
+//   delete    DELETE /api/posts/:mainWebsiteId
+//
+// Every request carries an Idempotency-Key so a retried request is applied at
+// most once. Network errors, 429 and 5xx responses are retried with
+// exponential backoff; other responses fail straight away.
+const createMainSiteClient = ({
+  baseUrl,
+  apiKey,
+  retries = 3,
+  backoffMs = 500,
+  timeoutMs = 10 * 1000,
+  fetch: fetchImpl = fetch
+}) => {
+  const request = async (method, path, body, idempotencyKey) => {
+    let lastError;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        await sleep(backoffDelay(attempt - 1, backoffMs));
+      }
+
+      let response;
+      try {
+        response = await fetchImpl(baseUrl.replace(/\/+$/, '') + path, {
+          method,
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${apiKey}`,
+            'Idempotency-Key': idempotencyKey
+          },
+          body: body ? JSON.stringify(body) : undefined,
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+      } catch (networkError) {
+        lastError = syncError(`Main website unreachable: ${networkError.message}`, null, attempt + 1);
+        continue;
+      }
+
+      const text = await response.text();
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch (parseError) {
+        data = null;
+      }
+
+      if (response.ok) {
+        return { status: response.status, data, attempts: attempt + 1 };
+      }
+
+      const message = (data && (data.message || data.error)) || response.statusText;
+      lastError = syncError(`Main website responded ${response.status}: ${message}`, response.status, attempt + 1);
+
+      if (!isRetryableStatus(response.status)) break;
+    }
+
+    throw lastError;
+  };
+
+  return {
+    createPost: (payload, idempotencyKey) =>
+      request('POST', '/api/posts', payload, idempotencyKey),
+    updatePost: (id, payload, idempotencyKey) =>
+      request('PUT', `/api/posts/${encodeURIComponent(id)}`, payload, idempotencyKey),
+    unpublishPost: (id, idempotencyKey) =>
+      request('POST', `/api/posts/${encodeURIComponent(id)}/unpublish`, null, idempotencyKey),
+    deletePost: (id, idempotencyKey) =>
+      request('DELETE', `/api/posts/${encodeURIComponent(id)}`, null, idempotencyKey)
+  };
+};
+
+const syncError = (message, status, attempts) => {
+  const error = new Error(message);
+  error.name = 'MainSiteSyncError';
+  error.status = status;
+  error.attempts = attempts;
+  return error;
+};
+
+// Numeric setting from the environment; unset, empty or invalid values use the default
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Client configured from the environment, or null when sync is not set up
+const getMainSiteClient = () => {
+  if (!process.env.MAIN_WEBSITE_API_URL) return null;
+
+  return createMainSiteClient({
+    baseUrl: process.env.MAIN_WEBSITE_API_URL,
+    apiKey: process.env.MAIN_WEBSITE_API_KEY,
+    retries: envNumber('MAIN_SYNC_RETRIES', 3),
+    backoffMs: envNumber('MAIN_SYNC_BACKOFF_MS', 500),
+    timeoutMs: envNumber('MAIN_SYNC_TIMEOUT_MS', 10000)
+  });
+};
+
+// Same post, same action and same content always produce the same key
+const idempotencyKeyFor = (post, action, payload = null) => {
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify(payload))
+    .digest('hex')
+    .slice(0, 16);
+  return `${post._id}:${action}:${hash}`;
+};
+
+// The live copy of a post as the main website receives it
+const buildMainSitePayload = (post) => {
+  const live = post.toObject({ depopulate: false });
+
+  return {
+    id: live._id,
+    title: live.title,
+    slug: live.slug,
+    body: live.body,
+    excerpt: live.excerpt,
+    contentSections: live.contentSections || [],
+    html: renderPost(live),
+    featuredImage: live.featuredImage,
+    tags: live.tags,
+    categories: live.categories,
+    author: live.author,
+    status: 'published',
+    publishedAt: live.publishedAt,
+    seo: live.seo,
+    breadcrumb: live.breadcrumb,
+    readingTime: live.readingTime,
+    jsonLd: live.jsonLd
+  };
+};
+
+const recordAttempt = (post, action, idempotencyKey, outcome) => {
+  const now = new Date();
+
+  return Post.updateOne({ _id: post._id }, {
+    mainSync: {
+      status: outcome.status,
+      action,
+      attempts: outcome.attempts,
+      error: outcome.error,
+      idempotencyKey,
+      lastAttemptAt: now,
+      lastSyncedAt: outcome.status === 'failed'
+        ? post.mainSync && post.mainSync.lastSyncedAt
+        : now
+    },
+    ...outcome.updates
+  });
+};
+
+// Create or update the post on the main website. Resolves with the main
+// website ID; rejects with a MainSiteSyncError once retries are exhausted.
+const pushPost = async (post, { client = getMainSiteClient(), uploadedBy } = {}) => {
+  if (!client) throw syncError('Main website sync is not configured', null, 0);
+
+  await post.populate([
+    { path: 'author', select: 'firstName lastName email' },
+    { path: 'categories', select: 'name slug color' }
+  ]);
+
+  const payload = buildMainSitePayload(post);
+  let action = post.mainWebsiteId ? 'update' : 'create';
+  let idempotencyKey = idempotencyKeyFor(post, action, payload);
+
+  try {
+    let result;
+    if (action === 'update') {
+      try {
+        result = await client.updatePost(post.mainWebsiteId, payload, idempotencyKey);
+      } catch (error) {
+        // The main website lost the post; create it again
+        if (error.status !== 404) throw error;
+        action = 'create';
+        idempotencyKey = idempotencyKeyFor(post, action, payload);
+        result = await client.createPost(payload, idempotencyKey);
+      }
+    } else {
+      result = await client.createPost(payload, idempotencyKey);
+    }
+
+    const returnedId = (result.data && (result.data.id || result.data._id)) || post.mainWebsiteId;
+    if (!returnedId) {
+      throw syncError('Main website returned no id', result.status, result.attempts);
+    }
+
+    const mainWebsiteId = String(returnedId);
+    const updates = { mainWebsiteId, uploadedToMainAt: new Date() };
+    if (uploadedBy) updates.uploadedBy = uploadedBy;
+
+    await recordAttempt(post, action, idempotencyKey, {
+      status: 'synced',
+      attempts: result.attempts,
+      updates
+    });
+
+    return mainWebsiteId;
+  } catch (error) {
+    await recordAttempt(post, action, idempotencyKey, {
+      status: 'failed',
+      attempts: error.attempts,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+// Take the post down from the main website. No-op for posts never uploaded.
+const unpublishPost = async (post, { client = getMainSiteClient() } = {}) => {
+  if (!client || !post.mainWebsiteId) return false;
+
+  const idempotencyKey = idempotencyKeyFor(post, 'unpublish', post.updatedAt);
+
+  try {
+    const result = await client.unpublishPost(post.mainWebsiteId, idempotencyKey);
+    await recordAttempt(post, 'unpublish', idempotencyKey, {
+      status: 'unpublished',
+      attempts: result.attempts
+    });
+    return true;
+  } catch (error) {
+    await recordAttempt(post, 'unpublish', idempotencyKey, {
+      status: 'failed',
+      attempts: error.attempts,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+// Remove the post from the main website before it is deleted here.
+// A post already gone from the main website counts as deleted.
+const removePost = async (post, { client = getMainSiteClient() } = {}) => {
+  if (!client || !post.mainWebsiteId) return false;
+
+  const idempotencyKey = idempotencyKeyFor(post, 'delete');
+
+  try {
+    await client.deletePost(post.mainWebsiteId, idempotencyKey);
+    return true;
+  } catch (error) {
+    if (error.status === 404) return true;
+
+    await recordAttempt(post, 'delete', idempotencyKey, {
+      status: 'failed',
+      attempts: error.attempts,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+// Call after a post is saved. A post that left `published` is taken down
+// from the main website; one that went (back) live, or whose live content
+// changed, is pushed again. Only posts already uploaded are propagated.
+// Failures are recorded on the post and logged rather than failing the
+// local change.
+const propagateToMain = async (post, previousStatus, { liveChanged = false } = {}) => {
+  if (!post.mainWebsiteId || !getMainSiteClient()) return;
+
+  const wasLive = previousStatus === 'published';
+  const isLive = post.status === 'published';
+
+  try {
+    if (wasLive && !isLive) {
+      await unpublishPost(post);
+    } else if (isLive && (!wasLive || liveChanged)) {
+      await pushPost(post);
+    }
+  } catch (error) {
+    console.error(`Main website sync failed for post ${post._id}:`, error.message);
+  }
+};
+
+module.exports = {
+  createMainSiteClient,
+  getMainSiteClient,
+  buildMainSitePayload,
+  pushPost,
+  unpublishPost,
+  removePost,
+  propagateToMain
+};
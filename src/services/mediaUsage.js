@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+
+// Where media files are used. Posts, content pages, global blocks,
+// categories and users record the media they link to in Media.usage whenever
+// they are saved (see utils/trackMediaUsage), one entry per field:
+//
+//   { type: 'post', referenceType: 'Post', referenceId, field: 'featuredImage' }
+//
+// A field uses a media file when it holds the file's URL or one of its
+// variants' anywhere, including inside rich text, or links to it through
+// /api/v1/media/serve/:filename.
+//
+// Files uploaded before tracking have no `usageSyncedAt` until
+// `npm run sync:media-usage` has run; their usage is also looked up directly
+// in the paths that hold file URLs, so they stay protected meanwhile.
+
+const SERVE_PATH = /\/api\/v1\/media\/serve\/([^/?#\s"'<>()]+)/;
+const LINK = /(?:https?:\/\/|\/uploads\/|\/api\/v1\/media\/serve\/)[^\s"'<>()]+/g;
+
+// What to show of each kind of referencing document
+const DESCRIBE = {
+  Post: { type: 'post', select: 'title slug status', title: doc => doc.title },
+  ContentPage: { type: 'page', select: 'title slug status', title: doc => doc.title },
+  GlobalBlock: { type: 'block', select: 'name status', title: doc => doc.name },
+  Category: { type: 'category', select: 'name slug', title: doc => doc.name },
+  User: { type: 'avatar', select: 'firstName lastName', title: doc => `${doc.firstName} ${doc.lastName}` }
+};
+
+// Paths holding a file URL as a whole value, for the direct lookup
+const prefixed = (prefixes, paths) => prefixes.flatMap(prefix => paths.map(path => `${prefix}${path}`));
+const PAGE_SECTION_PATHS = prefixed(['sections.props.', 'published.sections.props.'], ['imageUrl', 'url', 'images.url']);
+const DIRECT_PATHS = {
+  Post: prefixed(['', 'draft.'], [
+    'featuredImage.url',
+    'contentSections.data.imageUrl',
+    'contentSections.data.backgroundImage',
+    'contentSections.data.images.url'
+  ]),
+  ContentPage: PAGE_SECTION_PATHS,
+  GlobalBlock: PAGE_SECTION_PATHS,
+  Category: ['image.url'],
+  User: ['avatar.url']
+};
+
+// Strings in a value that could link to a media file
+const linksIn = (value, links = new Set()) => {
+  if (typeof value === 'string') {
+    if (value.length < 2048 && /^(?:https?:\/\/|\/)\S+$/.test(value)) links.add(value);
+    for (const link of value.match(LINK) || []) links.add(link);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => linksIn(item, links));
+  } else if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    Object.values(value).forEach(item => linksIn(item, links));
+  }
+  return links;
+};
+
+const servedFilename = (link) => {
+  const match = link.match(SERVE_PATH);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// Whether a link points at a media file
+const linksTo = (media) => {
+  const urls = new Set([media.url, ...(media.variants || []).map(variant => variant.url)]);
+  return link => urls.has(link) || servedFilename(link) === media.filename;
+};
+
+// `value` with each link that `replace` maps to a new URL swapped for it:
+// whole strings, and links inside rich text
+const replaceLinks = (value, replace) => {
+  if (typeof value === 'string') {
+    return replace(value) || value.replace(LINK, link => replace(link) || link);
+  }
+  if (Array.isArray(value)) return value.map(item => replaceLinks(item, replace));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceLinks(item, replace)]));
+  }
+  return value;
+};
+
+// Media used by each of `fields` of a plain document, as a Map of media id -> fields
+const mediaUsedBy = async (doc, fields) => {
+  const linksByField = fields.map(field => [field, [...linksIn(doc[field])]]);
+  const links = [...new Set(linksByField.flatMap(([, fieldLinks]) => fieldLinks))];
+  if (!links.length) return new Map();
+
+  const filenames = links.map(servedFilename).filter(Boolean);
+  const media = await Media.find({
+    $or: [
+      { url: { $in: links } },
+      { 'variants.url': { $in: links } },
+      ...(filenames.length ? [{ filename: { $in: filenames } }] : [])
+    ]
+  }).select('filename url variants.url').lean();
+
+  const used = new Map();
+  for (const item of media) {
+    const uses = linksTo(item);
+    const usedIn = linksByField.filter(([, fieldLinks]) => fieldLinks.some(uses)).map(([field]) => field);
+    if (usedIn.length) used.set(item._id.toString(), usedIn);
+  }
+  return used;
+};
+
+// Bring the usage entries of one document up to date. `doc` is plain and
+// holds `fields`; a null `doc` drops every entry of `referenceId`.
+const syncMediaUsage = async ({ type, referenceType, referenceId, fields, doc }) => {
+  const id = new mongoose.Types.ObjectId(String(referenceId));
+  const used = doc ? await mediaUsedBy(doc, fields) : new Map();
+
+  // What is recorded now, as media id -> fields
+  const recorded = new Map();
+  const current = await Media.find({ 'usage.referenceId': id }).select('usage').lean();
+  for (const item of current) {
+    recorded.set(item._id.toString(), item.usage
+      .filter(entry => entry.referenceId && entry.referenceId.equals(id))
+      .map(entry => entry.field));
+  }
+
+  const operations = [];
+  for (const mediaId of new Set([...recorded.keys(), ...used.keys()])) {
+    const before = recorded.get(mediaId) || [];
+    const after = used.get(mediaId) || [];
+    if (before.length === after.length && before.every(field => after.includes(field))) continue;
+
+    operations.push({ updateOne: { filter: { _id: mediaId }, update: { $pull: { usage: { referenceId: id } } } } });
+    if (after.length) {
+      const entries = after.map(field => ({ type, referenceType, referenceId: id, field }));
+      operations.push({ updateOne: { filter: { _id: mediaId }, update: { $push: { usage: { $each: entries } } } } });
+    }
+  }
+
+  if (operations.length) await Media.bulkWrite(operations, { ordered: true });
+};
+
+// Usage of a file found by querying the documents directly, in the shape of
+// the recorded entries grouped by document
+const directReferences = async (media) => {
+  const urls = [media.url, ...(media.variants || []).map(variant => variant.url)].filter(Boolean);
+  const uses = linksTo(media);
+  const references = [];
+
+  for (const [referenceType, paths] of Object.entries(DIRECT_PATHS)) {
+    const fields = [...new Set(paths.map(path => path.split('.')[0]))];
+    const docs = await mongoose.model(referenceType)
+      .find({ $or: paths.map(path => ({ [path]: { $in: urls } })) })
+      .select(fields.join(' '))
+      .lean();
+
+    for (const doc of docs) {
+      references.push({
+        type: DESCRIBE[referenceType].type,
+        referenceType,
+        referenceId: doc._id.toString(),
+        fields: fields.filter(field => [...linksIn(doc[field])].some(uses))
+      });
+    }
+  }
+  return references;
+};
+
+// The documents using a media file, one per document with the fields using
+// it. Entries whose document no longer exists are left out.
+const whereUsed = async (media) => {
+  const byReference = new Map();
+  for (const entry of media.usage || []) {
+    if (!entry.referenceId || !DESCRIBE[entry.referenceType]) continue;
+
+    const key = `${entry.referenceType}:${entry.referenceId}`;
+    if (!byReference.has(key)) {
+      byReference.set(key, {
+        type: entry.type,
+        referenceType: entry.referenceType,
+        referenceId: entry.referenceId.toString(),
+        fields: []
+      });
+    }
+    if (entry.field && !byReference.get(key).fields.includes(entry.field)) {
+      byReference.get(key).fields.push(entry.field);
+    }
+  }
+
+  // Files not synced yet may be used by documents saved before tracking
+  if (!media.usageSyncedAt) {
+    for (const ref of await directReferences(media)) {
+      const key = `${ref.referenceType}:${ref.referenceId}`;
+      if (!byReference.has(key)) byReference.set(key, ref);
+    }
+  }
+
+  const references = [...byReference.values()];
+  const found = new Map();
+  for (const [referenceType, describe] of Object.entries(DESCRIBE)) {
+    const ids = references.filter(ref => ref.referenceType === referenceType).map(ref => ref.referenceId);
+    if (!ids.length) continue;
+
+    const docs = await mongoose.model(referenceType).find({ _id: { $in: ids } }).select(describe.select).lean();
+    for (const doc of docs) {
+      found.set(`${referenceType}:${doc._id}`, { title: describe.title(doc), slug: doc.slug, status: doc.status });
+    }
+  }
+
+  return references
+    .filter(ref => found.has(`${ref.referenceType}:${ref.referenceId}`))
+    .map(ref => ({ ...ref, ...found.get(`${ref.referenceType}:${ref.referenceId}`) }));
+};
+
+module.exports = {
+  replaceLinks,
+  mediaUsedBy,
+  syncMediaUsage,
+  whereUsed
+};
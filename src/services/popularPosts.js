@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+
+// Popular-posts sections only store which posts to show (`postIds`, or
+// `mode: 'auto'` for the most viewed ones). Public reads resolve them into
+// live cards under `posts` so titles and images never go stale. Posts that
+// are unpublished or deleted are dropped.
+
+const CARD_FIELDS = 'title slug excerpt featuredImage readingTime publishedAt categories';
+
+// Section type and props key per document kind
+const SECTION_KINDS = {
+  post: { type: 'popular-posts', key: 'data', field: 'contentSections' },
+  page: { type: 'popularPosts', key: 'props', field: 'sections' }
+};
+
+const toCard = (post) => {
+  const [category] = post.categories || [];
+  return {
+    id: post._id,
+    title: post.title,
+    slug: post.slug,
+    excerpt: post.excerpt,
+    featuredImage: post.featuredImage,
+    readingTime: post.readingTime,
+    publishedAt: post.publishedAt,
+    category: category ? { name: category.name, slug: category.slug, color: category.color } : null
+  };
+};
+
+const findCards = (query) => query
+  .select(CARD_FIELDS)
+  .populate('categories', 'name slug color')
+  .lean();
+
+const wantsCards = (props) => props.mode === 'auto' || (Array.isArray(props.postIds) && props.postIds.length > 0);
+
+// Copy of `doc` (a plain post or content page) with its popular-posts
+// sections carrying live `posts` cards. `format` is 'post' or 'page'.
+const withPopularPosts = async (doc, format) => {
+  const { type, key, field } = SECTION_KINDS[format];
+  const sections = doc && doc[field];
+  if (!Array.isArray(sections)) return doc;
+
+  const targets = sections.filter(section =>
+    section && section.type === type && section[key] && wantsCards(section[key]));
+  if (!targets.length) return doc;
+
+  // One query for every post picked by hand
+  const ids = [...new Set(targets
+    .filter(section => section[key].mode !== 'auto')
+    .flatMap(section => section[key].postIds)
+    .filter(id => mongoose.isValidObjectId(id))
+    .map(String))];
+  const picked = ids.length
+    ? await findCards(Post.find({ _id: { $in: ids }, status: 'published' }))
+    : [];
+  const byId = new Map(picked.map(post => [String(post._id), post]));
+
+  // A post never lists itself among the popular ones
+  const exclude = format === 'post' && doc._id ? [doc._id] : [];
+
+  const hydrated = await Promise.all(sections.map(async section => {
+    if (!targets.includes(section)) return section;
+
+    const props = section[key];
+    const posts = props.mode === 'auto'
+      ? await findCards(Post.findPopular(props.limit || 4, { exclude }))
+      : props.postIds.map(id => byId.get(String(id))).filter(Boolean);
+
+    return { ...section, [key]: { ...props, posts: posts.map(toCard) } };
+  }));
+
+  return { ...doc, [field]: hydrated };
+};
+
+module.exports = {
+  withPopularPosts
+};
@@ -0,0 +1,114 @@
+// Editorial workflow for post status.
+//
+// TRANSITIONS lists, for each status, the statuses a post may move to and the
+// permission (see User#can) the acting user needs for that move. Every status
+// change made through the API is checked here before it is written.
+const TRANSITIONS = {
+  draft: {
+    review: 'post:edit',
+    scheduled: 'post:schedule',
+    published: 'post:publish',
+    archived: 'post:publish'
+  },
+  review: {
+    draft: 'post:edit',
+    scheduled: 'post:schedule',
+    published: 'post:publish',
+    archived: 'post:publish'
+  },
+  scheduled: {
+    draft: 'post:schedule',
+    published: 'post:publish',
+    archived: 'post:publish'
+  },
+  published: {
+    draft: 'post:publish',
+    archived: 'post:publish'
+  },
+  archived: {
+    draft: 'post:publish'
+  }
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Statuses that put content in front of an editor or reader and therefore need
+// a complete post
+const CONTENT_REQUIRED = ['review', 'scheduled', 'published'];
+
+const reject = (statusCode, code, message) => ({ statusCode, code, message });
+
+// Checks the post must pass before entering a status.
+// `candidate` is the post as it will look after the update is applied.
+const checkRequirements = (to, candidate) => {
+  if (CONTENT_REQUIRED.includes(to)) {
+    if (!candidate.body || candidate.body.trim().length === 0) {
+      return reject(400, 'BODY_REQUIRED', 'Body required for publishing');
+    }
+
+    if (!candidate.tags || candidate.tags.length === 0) {
+      return reject(400, 'TAGS_REQUIRED', 'Select at least one');
+    }
+  }
+
+  if (to === 'scheduled') {
+    const scheduledAt = candidate.scheduledAt ? new Date(candidate.scheduledAt) : null;
+    if (!scheduledAt || isNaN(scheduledAt.getTime()) || scheduledAt.getTime() <= Date.now()) {
+      return reject(400, 'INVALID_SCHEDULE', 'Invalid date');
+    }
+  }
+
+  return null;
+};
+
+// Check whether `user` may move a post from `from` to `to`.
+// Returns null when allowed, otherwise { statusCode, code, message }.
+const checkTransition = (from, to, user, candidate = {}) => {
+  if (!STATUSES.includes(to)) {
+    return reject(400, 'INVALID_STATUS', 'Invalid status');
+  }
+
+  if (from === to) return null;
+
+  const permission = TRANSITIONS[from] && TRANSITIONS[from][to];
+  if (!permission) {
+    return reject(409, 'TRANSITION_NOT_ALLOWED', `Cannot move post from ${from} to ${to}`);
+  }
+
+  if (!user || !user.can(permission)) {
+    return reject(403, 'TRANSITION_FORBIDDEN', `You don't have permission to ${permission}`);
+  }
+
+  return checkRequirements(to, candidate);
+};
+
+// Fields that change together with the status
+const transitionUpdates = (post, to) => {
+  const updates = {};
+
+  if (to === 'published' && !post.publishedAt) {
+    updates.publishedAt = new Date();
+  }
+
+  if (post.status === 'scheduled' && to !== 'scheduled' && to !== 'published') {
+    updates.scheduledAt = null;
+  }
+
+  return updates;
+};
+
+// Statuses `user` may move a post to from `from`
+const allowedTransitions = (from, user) => {
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, permission]) => user && user.can(permission))
+    .map(([to]) => to);
+};
+
+module.exports = {
+  TRANSITIONS,
+  STATUSES,
+  checkTransition,
+  checkRequirements,
+  transitionUpdates,
+  allowedTransitions
+};
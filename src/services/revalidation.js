@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const RevalidationDelivery = require('../models/RevalidationDelivery');
+const { createDeliveryQueue } = require('../utils/deliveryQueue');
+const { signRevalidation } = require('../utils/revalidateSignature');
+
+// Path invalidations for the frontends that cache this API's content.
+//
+// Each frontend is a target; REVALIDATE_TARGETS holds them as a JSON array of
+// { name, url, secret }; targets without a secret use REVALIDATE_SECRET and
+// are skipped when neither is set. A lone REVALIDATE_WEBHOOK_URL still works
+// as the target "default". Requests are signed the way POST /api/revalidate
+// expects (see utils/revalidateSignature), with the target's secret.
+//
+// triggerRevalidation queues one RevalidationDelivery per target and path
+// without waiting for them to be sent; the delivery queue (see
+// utils/deliveryQueue, tuned with REVALIDATE_MAX_ATTEMPTS, _BACKOFF_MS and
+// _TIMEOUT_MS) retries them from the scheduler. Failures are logged and
+// swallowed so they never fail the calling request or job.
+
+// Targets already reported as missing a secret
+const unsigned = new Set();
+
+const withSecret = (target) => {
+  if (target.secret) return true;
+
+  if (!unsigned.has(target.name)) {
+    unsigned.add(target.name);
+    console.error(`Revalidation target ${target.name} has no secret and is skipped`);
+  }
+  return false;
+};
+
+// Configured targets; an invalid REVALIDATE_TARGETS disables revalidation
+const getTargets = () => {
+  if (process.env.REVALIDATE_TARGETS) {
+    let targets;
+    try {
+      targets = JSON.parse(process.env.REVALIDATE_TARGETS);
+    } catch (parseError) {
+      console.error('REVALIDATE_TARGETS is not valid JSON:', parseError.message);
+      return [];
+    }
+
+    return (Array.isArray(targets) ? targets : [])
+      .filter(target => target && target.url)
+      .map((target, index) => ({
+        name: target.name || `target-${index + 1}`,
+        url: target.url,
+        secret: target.secret || process.env.REVALIDATE_SECRET
+      }))
+      .filter(withSecret);
+  }
+
+  if (!process.env.REVALIDATE_WEBHOOK_URL) return [];
+
+  return [{ name: 'default', url: process.env.REVALIDATE_WEBHOOK_URL, secret: process.env.REVALIDATE_SECRET }]
+    .filter(withSecret);
+};
+
+const queue = createDeliveryQueue({
+  Model: RevalidationDelivery,
+  settings: 'REVALIDATE',
+  peer: 'Frontend',
+  unavailable: 'Target is no longer configured',
+  describe: delivery => `Revalidation of ${delivery.path} on ${delivery.target}`,
+  prepare: (delivery) => {
+    const target = getTargets().find(candidate => candidate.name === delivery.target);
+    if (!target) return null;
+
+    delivery.url = target.url;
+    const rawBody = JSON.stringify({ path: delivery.path });
+    const timestamp = String(Date.now());
+    const nonce = crypto.randomBytes(16).toString('hex');
+    return {
+      url: target.url,
+      headers: {
+        'X-Revalidate-Timestamp': timestamp,
+        'X-Revalidate-Nonce': nonce,
+        'X-Revalidate-Signature': signRevalidation(timestamp, nonce, rawBody, target.secret)
+      },
+      body: rawBody
+    };
+  }
+});
+
+// Notify every frontend that one or more paths need to be regenerated.
+// Resolves the queued deliveries, before they are sent.
+const triggerRevalidation = async (paths) => {
+  const targets = getTargets();
+  const unique = [...new Set([].concat(paths))];
+  if (!targets.length || !unique.length) return [];
+
+  try {
+    return await queue.enqueue(unique.flatMap(path => targets.map(target => ({
+      target: target.name,
+      url: target.url,
+      path
+    }))));
+  } catch (error) {
+    console.error('Revalidation failed:', error.message);
+    return [];
+  }
+};
+
+// Retry pending deliveries whose backoff has passed
+const retryDueDeliveries = (now) => queue.retryDue(now);
+
+// Give a failed delivery a fresh set of attempts and send it now.
+// Resolves null unless the delivery exists and has failed.
+const replayDelivery = (id, userId) => queue.replay({ _id: id }, userId);
+
+module.exports = {
+  getTargets,
+  triggerRevalidation,
+  retryDueDeliveries,
+  replayDelivery
+};
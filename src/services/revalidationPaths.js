@@ -0,0 +1,130 @@
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const ContentPage = require('../models/ContentPage');
+const GlobalBlock = require('../models/GlobalBlock');
+const { findBlockUsage } = require('./globalBlocks');
+
+// Frontend paths affected by a change to a post, category or media file.
+// Each resolver gets plain snapshots of the document before and after the
+// write (null when it was created or deleted); see utils/revalidateOnChange.
+
+const HOME_PATH = '/';
+const postPath = (slug) => `/posts/${slug}`;
+const categoryPath = (slug) => `/categories/${slug}`;
+const tagPath = (tag) => `/tags/${encodeURIComponent(tag)}`;
+
+const isLive = (post) => Boolean(post && post.status === 'published');
+
+// Section fields holding image URLs
+const PAGE_IMAGE_FIELDS = ['props.imageUrl', 'props.url', 'props.images.url'];
+const POST_IMAGE_FIELDS = [
+  'data.imageUrl',
+  'data.backgroundImage',
+  'data.images.url',
+  'data.featuredPost.imageUrl',
+  'data.sidePosts.imageUrl'
+];
+
+const anyOf = (fields, values) => ({ $or: fields.map(field => ({ [field]: { $in: values } })) });
+
+// Live sections of a content page: the snapshot, or the sections of a page
+// published before drafts were split out
+const livePageSections = (match) => ({
+  status: 'published',
+  $or: [
+    { 'published.sections': { $elemMatch: match } },
+    { 'published.version': null, sections: { $elemMatch: match } }
+  ]
+});
+
+// Paths of live content pages and posts whose sections match, directly or
+// through a published global block. `post` optionally matches posts by their
+// other fields.
+const referencingPaths = async ({ pageSection, postSection, post }) => {
+  const postMatches = [{ contentSections: { $elemMatch: postSection } }];
+  if (post) postMatches.push(post);
+
+  const pages = await ContentPage.find(livePageSections(pageSection)).select('slug path');
+  const posts = await Post.find({ status: 'published', $or: postMatches }).select('slug').lean();
+  const blocks = await GlobalBlock.find({
+    status: 'published',
+    'published.sections': { $elemMatch: pageSection }
+  }).select('_id').lean();
+
+  const paths = [
+    ...pages.map(page => page.getPath()),
+    ...posts.map(live => postPath(live.slug))
+  ];
+
+  for (const block of blocks) {
+    const usage = await findBlockUsage(block._id);
+    paths.push(...[...usage.contentPages, ...usage.posts]
+      .filter(item => item.live)
+      .map(item => item.path));
+  }
+
+  return paths;
+};
+
+// The post page, its category and tag listings, the homepage while the post
+// is featured, and pages picking the post in a popular-posts section. Only
+// changes to a post that is (or was) live are visible.
+const pathsForPost = async (before, after) => {
+  const states = [before, after].filter(isLive);
+  if (!states.length) return [];
+
+  const paths = [];
+  for (const post of states) {
+    paths.push(postPath(post.slug));
+    paths.push(...(post.tags || []).map(tagPath));
+    if (post.isFeatured) paths.push(HOME_PATH);
+  }
+
+  const categoryIds = states.flatMap(post => post.categories || []);
+  if (categoryIds.length) {
+    const categories = await Category.find({ _id: { $in: categoryIds } }).select('slug').lean();
+    paths.push(...categories.map(category => categoryPath(category.slug)));
+  }
+
+  const ids = [String(states[0]._id)];
+  paths.push(...await referencingPaths({
+    pageSection: { 'props.postIds': { $in: ids } },
+    postSection: { 'data.postIds': { $in: ids } }
+  }));
+
+  return paths;
+};
+
+// The category page under its old and new slug, and the live posts filed
+// under it, which show its name
+const pathsForCategory = async (before, after) => {
+  const states = [before, after].filter(Boolean);
+  const paths = states.map(category => categoryPath(category.slug));
+
+  const posts = await Post.find({ status: 'published', categories: states[0]._id }).select('slug').lean();
+  paths.push(...posts.map(post => postPath(post.slug)));
+
+  return paths;
+};
+
+// Live pages and posts showing the file under its old or new URL
+const pathsForMedia = async (before, after) => {
+  const urls = [...new Set([before, after].filter(Boolean).map(media => media.url).filter(Boolean))];
+  if (!urls.length) return [];
+
+  return referencingPaths({
+    pageSection: anyOf(PAGE_IMAGE_FIELDS, urls),
+    postSection: anyOf(POST_IMAGE_FIELDS, urls),
+    post: { 'featuredImage.url': { $in: urls } }
+  });
+};
+
+module.exports = {
+  HOME_PATH,
+  postPath,
+  categoryPath,
+  tagPath,
+  pathsForPost,
+  pathsForCategory,
+  pathsForMedia
+};
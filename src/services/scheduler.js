@@ -0,0 +1,101 @@
+const os = require('os');
+const crypto = require('crypto');
+const Lease = require('../models/Lease');
+const Post = require('../models/Post');
+const { retryDueDeliveries } = require('./revalidation');
+const { emitPostTransition, retryDueWebhookDeliveries } = require('./webhooks');
+const { propagateToMain } = require('./mainSiteSync');
+const { publishDueContentPages, unpublishExpiredContentPages } = require('./contentPagePublishing');
+
+const LEASE_NAME = 'scheduler';
+const owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const getIntervalMs = () => parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Promote scheduled posts whose time has come. Each post is flipped with a
+// conditional update, so a post is only ever published once even if two
+// ticks (or a tick and a restart) overlap.
+const publishDuePosts = async (now = new Date()) => {
+  const duePosts = await Post.find({
+    status: 'scheduled',
+    scheduledAt: { $lte: now }
+  }).select('_id slug');
+
+  const published = [];
+
+  for (const due of duePosts) {
+    const post = await Post.findOneAndUpdate(
+      { _id: due._id, status: 'scheduled', scheduledAt: { $lte: now } },
+      { status: 'published', publishedAt: now, $inc: { __v: 1 } },
+      { new: true }
+    );
+
+    if (post) {
+      published.push(post);
+      await propagateToMain(post, 'scheduled');
+      await emitPostTransition(post, 'scheduled');
+    }
+  }
+
+  return published;
+};
+
+const jobs = [
+  { name: 'publish-scheduled-posts', run: publishDuePosts },
+  { name: 'publish-scheduled-content-pages', run: publishDueContentPages },
+  { name: 'unpublish-expired-content-pages', run: unpublishExpiredContentPages },
+  { name: 'retry-revalidations', run: retryDueDeliveries },
+  { name: 'retry-webhooks', run: retryDueWebhookDeliveries }
+];
+
+// Run every job once if this instance holds the scheduler lease
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const intervalMs = getIntervalMs();
+    const isLeader = await Lease.acquire(LEASE_NAME, owner, intervalMs * 2);
+    if (!isLeader) return;
+
+    for (const job of jobs) {
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Scheduler job ${job.name} failed:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Scheduler tick failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer) return;
+
+  timer = setInterval(tick, getIntervalMs());
+  timer.unref();
+  tick();
+
+  console.log(`⏰ Scheduler started (every ${getIntervalMs() / 1000}s)`);
+};
+
+const stop = async () => {
+  if (!timer) return;
+
+  clearInterval(timer);
+  timer = null;
+  await Lease.release(LEASE_NAME, owner);
+};
+
+module.exports = {
+  start,
+  stop,
+  tick,
+  publishDuePosts
+};
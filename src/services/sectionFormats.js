@@ -0,0 +1,161 @@
+const { upgradeSection, sectionVersion } = require('./sectionRegistry');
+
+// The canonical section model shared by posts and content pages:
+//
+//   { type, version, props }
+//
+//   hero          imageUrl, title, subtitle, overlay, cta { label, href }
+//   text          html, markdown
+//   image         url, alt, caption, width, height
+//   gallery       images [{ url, alt, caption, width, height }], layout
+//   popularPosts  postIds, layout, title, description
+//   breadcrumb    items [{ label, href }]
+//   ref           blockId, and on public reads block { _id, name, version, sections }
+//
+// Posts and content pages keep storing their own shapes; the converters below
+// map either of them to this one so the frontend needs a single renderer, and
+// map it back so editors can write canonical sections too. Presentation
+// settings only one of the shapes has (hero parallax, text alignment, gallery
+// columns, ...) are carried over under the same names.
+
+const CANONICAL_VERSION = 1;
+
+const SECTION_FORMATS = ['legacy', 'canonical'];
+
+const withoutUndefined = (props) => Object.fromEntries(
+  Object.entries(props).filter(([, value]) => value !== undefined)
+);
+
+const canonicalImage = ({ url, imageUrl, alt, altText, ...rest }) => withoutUndefined({
+  ...rest,
+  url: url ?? imageUrl,
+  alt: alt ?? altText
+});
+
+// Embedded global blocks hold content page sections
+const canonicalRef = ({ block, ...props }) => ['ref', block
+  ? { ...props, block: { ...block, sections: toCanonicalSections('page', block.sections) } }
+  : props];
+
+// Post section -> canonical section, by post section type
+const FROM_POST = {
+  hero: ({ backgroundImage, overlayOpacity, ...data }) => ['hero', withoutUndefined({
+    ...data,
+    imageUrl: backgroundImage,
+    overlay: overlayOpacity === undefined ? undefined : overlayOpacity > 0,
+    overlayOpacity
+  })],
+  text: ({ content, ...data }) => ['text', { ...data, html: content }],
+  image: (data) => ['image', canonicalImage(data)],
+  gallery: ({ images = [], ...data }) => ['gallery', { ...data, images: images.map(canonicalImage) }],
+  'popular-posts': (data) => ['popularPosts', data],
+  breadcrumb: (data) => ['breadcrumb', data],
+  ref: canonicalRef
+};
+
+// Content page section -> canonical section, by content page section type
+const FROM_PAGE = {
+  hero: (props) => ['hero', props],
+  text: (props) => ['text', props],
+  singleImage: (props) => ['image', canonicalImage(props)],
+  imageGallery: ({ images = [], ...props }) => ['gallery', { ...props, images: images.map(canonicalImage) }],
+  popularPosts: (props) => ['popularPosts', props],
+  breadcrumb: (props) => ['breadcrumb', props],
+  ref: canonicalRef
+};
+
+// Canonical section -> post section, by canonical type
+const postImage = ({ url, alt, ...rest }) => withoutUndefined({ ...rest, imageUrl: url, altText: alt });
+const postGalleryImage = ({ alt, ...rest }) => withoutUndefined({ ...rest, altText: alt });
+const storedRef = ({ block, ...props }) => ['ref', props];
+
+const TO_POST = {
+  hero: ({ imageUrl, overlay, overlayOpacity, ...props }) => ['hero', withoutUndefined({
+    ...props,
+    backgroundImage: imageUrl,
+    overlayOpacity: overlayOpacity ?? (overlay === false ? 0 : undefined)
+  })],
+  text: ({ html, ...props }) => ['text', withoutUndefined({ ...props, content: html })],
+  image: (props) => ['image', postImage(props)],
+  gallery: ({ images = [], ...props }) => ['gallery', { ...props, images: images.map(postGalleryImage) }],
+  popularPosts: (props) => ['popular-posts', props],
+  breadcrumb: (props) => ['breadcrumb', props],
+  ref: storedRef
+};
+
+// Canonical section -> content page section, by canonical type
+const TO_PAGE = {
+  hero: (props) => ['hero', props],
+  text: (props) => ['text', props],
+  image: (props) => ['singleImage', props],
+  gallery: (props) => ['imageGallery', props],
+  popularPosts: (props) => ['popularPosts', props],
+  breadcrumb: (props) => ['breadcrumb', props],
+  ref: storedRef
+};
+
+const CONVERTERS = {
+  post: { key: 'data', from: FROM_POST, to: TO_POST },
+  page: { key: 'props', from: FROM_PAGE, to: TO_PAGE }
+};
+
+// Convert one stored post ('post') or content page ('page') section.
+// Sections of unknown types pass through with their props as they are.
+const toCanonical = (format, section) => {
+  const { key, from } = CONVERTERS[format];
+  const upgraded = upgradeSection(format, section);
+  if (!upgraded || typeof upgraded !== 'object') return upgraded;
+
+  const convert = Object.prototype.hasOwnProperty.call(from, upgraded.type) && from[upgraded.type];
+  if (!convert) {
+    return { type: upgraded.type, version: CANONICAL_VERSION, props: upgraded[key] || {} };
+  }
+
+  const [type, props] = convert({ ...upgraded[key] });
+  return { type, version: CANONICAL_VERSION, props };
+};
+
+const toCanonicalSections = (format, sections) =>
+  Array.isArray(sections) ? sections.map(section => toCanonical(format, section)) : sections;
+
+// Convert one canonical section into the shape post ('post') or content page
+// ('page') sections are stored in, at the current version of its type.
+// Sections of unknown types keep their type, which the registry rejects.
+const fromCanonical = (format, section) => {
+  const { key, to } = CONVERTERS[format];
+  if (!section || typeof section !== 'object' || Array.isArray(section)) return section;
+
+  const convert = Object.prototype.hasOwnProperty.call(to, section.type) && to[section.type];
+  if (!convert) return { type: section.type, [key]: section.props };
+
+  const [type, props] = convert({ ...section.props });
+  return { type, version: sectionVersion(format, type), [key]: props };
+};
+
+// Sections of a write in the shape `format` stores. 'canonical' sections are
+// converted; 'legacy' ones are taken as they are.
+const storedSections = (format, sections, requested = 'legacy') =>
+  requested === 'canonical' && Array.isArray(sections)
+    ? sections.map(section => fromCanonical(format, section))
+    : sections;
+
+// Copy of a post or content page with its sections in the requested format.
+// 'legacy' returns the document as stored.
+const formatSections = (doc, format, requested = 'legacy') => {
+  if (requested !== 'canonical' || !doc) return doc;
+
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  if (format === 'post') {
+    return { ...plain, contentSections: toCanonicalSections('post', plain.contentSections) };
+  }
+  return { ...plain, sections: toCanonicalSections('page', plain.sections) };
+};
+
+module.exports = {
+  SECTION_FORMATS,
+  toCanonical,
+  toCanonicalSections,
+  fromCanonical,
+  storedSections,
+  formatSections
+};
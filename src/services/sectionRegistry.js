@@ -0,0 +1,555 @@
+// Registry of the content-builder section types.
+//
+// Posts and content pages store sections in different shapes:
+//
+//   post  { type: 'hero', version, data: { backgroundImage, title, ... } }
+//   page  { type: 'hero', version, props: { imageUrl, title, ... } }
+//
+// Each type declares its fields (mongoose-style: type, required, enum,
+// min/max, default), an optional `check` for rules spanning several fields,
+// its current `version`, and `migrations` that upgrade props saved under an
+// older version. `normalizeSections` runs all of this on every write.
+
+const POPULAR_POSTS_MODES = ['manual', 'auto'];
+
+const ANIMATION = (types, { duration, delay }) => ({
+  type: 'object',
+  fields: {
+    enabled: { type: 'boolean', default: true },
+    type: { type: 'string', enum: types, default: 'fadeIn' },
+    duration: { type: 'number', min: 0.1, max: 3, default: duration },
+    delay: { type: 'number', min: 0, max: 2, default: delay }
+  }
+});
+
+const RESPONSIVE_SIZES = (mobile, tablet, desktop) => ({
+  type: 'object',
+  fields: {
+    mobile: { type: 'string', default: mobile },
+    tablet: { type: 'string', default: tablet },
+    desktop: { type: 'string', default: desktop }
+  }
+});
+
+// Embeds a global block; its published sections are filled in on read
+const REF_SECTION = {
+  version: 1,
+  fields: {
+    blockId: { type: 'objectId', required: true }
+  }
+};
+
+// Sections of a post's contentSections
+const POST_SECTIONS = {
+  hero: {
+    version: 1,
+    fields: {
+      backgroundImage: { type: 'string', required: true },
+      title: { type: 'string', required: true, maxlength: 200 },
+      subtitle: { type: 'string' },
+      author: { type: 'string' },
+      publishDate: { type: 'string' },
+      readTime: { type: 'string' },
+      overlayOpacity: { type: 'number', min: 0, max: 1, default: 0.3 },
+      height: RESPONSIVE_SIZES('70vh', '80vh', '90vh'),
+      titleSize: RESPONSIVE_SIZES('text-3xl', 'text-5xl', 'text-6xl'),
+      parallaxEnabled: { type: 'boolean', default: true },
+      parallaxSpeed: { type: 'number', min: 0, max: 2, default: 0.5 },
+      backgroundPosition: { type: 'string', enum: ['center', 'top', 'bottom', 'left', 'right'], default: 'center' },
+      backgroundSize: { type: 'string', enum: ['cover', 'contain', 'auto'], default: 'cover' },
+      animation: ANIMATION(['fadeIn', 'slideUp', 'scaleIn', 'none'], { duration: 0.8, delay: 0 }),
+      socialSharing: {
+        type: 'object',
+        fields: {
+          enabled: { type: 'boolean', default: true },
+          platforms: { type: 'array', of: { type: 'string', enum: ['facebook', 'twitter', 'linkedin', 'copy', 'share'] } },
+          position: { type: 'string', enum: ['bottom-right', 'bottom-left', 'top-right', 'top-left'], default: 'bottom-right' },
+          style: { type: 'string', enum: ['glass', 'solid', 'outline'], default: 'glass' }
+        }
+      }
+    }
+  },
+  text: {
+    version: 2,
+    fields: {
+      content: { type: 'string', required: true },
+      alignment: { type: 'string', enum: ['left', 'center', 'right', 'justify'], default: 'left' },
+      fontSize: { type: 'string', enum: ['sm', 'base', 'lg', 'xl'], default: 'base' },
+      fontFamily: { type: 'string', enum: ['inter', 'serif', 'sans', 'mono'], default: 'inter' },
+      lineHeight: { type: 'string', enum: ['tight', 'snug', 'normal', 'relaxed', 'loose'], default: 'relaxed' },
+      dropCap: {
+        type: 'object',
+        fields: {
+          enabled: { type: 'boolean', default: false },
+          size: { type: 'string', enum: ['text-4xl', 'text-5xl', 'text-6xl'], default: 'text-4xl' },
+          color: { type: 'string', default: 'text-gray-900' },
+          fontWeight: { type: 'string', enum: ['normal', 'medium', 'semibold', 'bold'], default: 'semibold' },
+          float: { type: 'boolean', default: true }
+        }
+      },
+      animation: ANIMATION(['fadeIn', 'slideUp', 'slideInLeft', 'slideInRight', 'none'], { duration: 0.3, delay: 0.1 })
+    },
+    migrations: {
+      // v1 had a top-level hasDropCap flag next to the dropCap settings
+      2: ({ hasDropCap, ...props }) => {
+        if (hasDropCap === undefined) return props;
+        return { ...props, dropCap: { enabled: hasDropCap, ...props.dropCap } };
+      }
+    }
+  },
+  image: {
+    version: 1,
+    fields: {
+      imageUrl: { type: 'string', required: true },
+      altText: { type: 'string' },
+      caption: { type: 'string' },
+      width: { type: 'number', min: 0 },
+      height: { type: 'number', min: 0 },
+      alignment: { type: 'string', enum: ['left', 'center', 'right'], default: 'center' },
+      rounded: { type: 'boolean', default: true },
+      shadow: { type: 'boolean', default: true }
+    }
+  },
+  gallery: {
+    version: 1,
+    fields: {
+      images: {
+        type: 'array',
+        required: true,
+        min: [1, 'Gallery must have at least one image'],
+        of: {
+          type: 'object',
+          fields: {
+            url: { type: 'string', required: true },
+            altText: { type: 'string' },
+            caption: { type: 'string' },
+            width: { type: 'number', min: 0 },
+            height: { type: 'number', min: 0 }
+          }
+        }
+      },
+      layout: { type: 'string', enum: ['grid', 'masonry', 'carousel', 'postcard', 'complex'], default: 'grid' },
+      columns: { type: 'number', min: 1, max: 6, default: 3 },
+      spacing: { type: 'string', enum: ['sm', 'md', 'lg'], default: 'md' },
+      responsive: {
+        type: 'object',
+        fields: {
+          mobile: {
+            type: 'object',
+            fields: {
+              layout: { type: 'string', enum: ['grid', 'carousel'], default: 'grid' },
+              columns: { type: 'number', min: 1, max: 2, default: 2 }
+            }
+          },
+          desktop: {
+            type: 'object',
+            fields: {
+              layout: { type: 'string', enum: ['grid', 'masonry', 'postcard', 'complex'], default: 'grid' },
+              columns: { type: 'number', min: 1, max: 6, default: 3 }
+            }
+          }
+        }
+      },
+      hoverEffects: {
+        type: 'object',
+        fields: {
+          enabled: { type: 'boolean', default: true },
+          scale: { type: 'number', min: 1, max: 1.2, default: 1.03 },
+          shadow: { type: 'boolean', default: true },
+          overlay: { type: 'boolean', default: true }
+        }
+      },
+      animation: {
+        type: 'object',
+        fields: {
+          enabled: { type: 'boolean', default: true },
+          type: { type: 'string', enum: ['fadeIn', 'slideUp', 'stagger', 'none'], default: 'fadeIn' },
+          duration: { type: 'number', min: 0.1, max: 3, default: 0.5 },
+          stagger: { type: 'number', min: 0, max: 1, default: 0.1 }
+        }
+      }
+    }
+  },
+  'popular-posts': {
+    version: 1,
+    fields: {
+      title: { type: 'string', default: 'Popular Posts' },
+      description: { type: 'string' },
+      // Posts shown as live cards; featuredPost and sidePosts are hand-copied
+      // cards from before and are only used when neither is set
+      postIds: { type: 'array', of: { type: 'string', required: true } },
+      mode: { type: 'string', enum: POPULAR_POSTS_MODES },
+      limit: { type: 'number', min: 1, max: 12, default: 4 },
+      featuredPost: {
+        type: 'object',
+        fields: {
+          title: { type: 'string' },
+          excerpt: { type: 'string' },
+          imageUrl: { type: 'string' },
+          readTime: { type: 'string' },
+          publishDate: { type: 'string' },
+          category: { type: 'string' }
+        }
+      },
+      sidePosts: {
+        type: 'array',
+        of: {
+          type: 'object',
+          fields: {
+            title: { type: 'string' },
+            excerpt: { type: 'string' },
+            imageUrl: { type: 'string' },
+            readTime: { type: 'string' },
+            publishDate: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  breadcrumb: {
+    version: 1,
+    fields: {
+      enabled: { type: 'boolean', default: true },
+      items: {
+        type: 'array',
+        of: {
+          type: 'object',
+          fields: {
+            label: { type: 'string', required: true },
+            href: { type: 'string' }
+          }
+        }
+      },
+      style: {
+        type: 'object',
+        fields: {
+          separator: { type: 'string', enum: ['>', '→', '|', '/'], default: '>' },
+          textSize: { type: 'string', enum: ['sm', 'base', 'lg'], default: 'sm' },
+          showHomeIcon: { type: 'boolean', default: false },
+          color: { type: 'string', enum: ['gray', 'blue', 'black'], default: 'gray' }
+        }
+      }
+    }
+  },
+  ref: REF_SECTION
+};
+
+// Sections of a content page
+const PAGE_SECTIONS = {
+  hero: {
+    version: 1,
+    fields: {
+      imageUrl: { type: 'url', required: true },
+      title: { type: 'string', required: true },
+      subtitle: { type: 'string' },
+      overlay: { type: 'boolean', default: false },
+      cta: {
+        type: 'object',
+        fields: {
+          label: { type: 'string', required: true },
+          href: { type: 'url', required: true }
+        }
+      }
+    }
+  },
+  breadcrumb: {
+    version: 1,
+    fields: {
+      items: {
+        type: 'array',
+        required: true,
+        min: [1, 'Breadcrumb must have at least one item'],
+        of: {
+          type: 'object',
+          fields: {
+            label: { type: 'string', required: true },
+            href: { type: 'string', required: true }
+          }
+        }
+      }
+    }
+  },
+  text: {
+    version: 1,
+    fields: {
+      html: { type: 'string' },
+      markdown: { type: 'string' }
+    },
+    check: (props, path) => (props.html || props.markdown)
+      ? []
+      : [{ path, message: 'Provide html or markdown' }]
+  },
+  singleImage: {
+    version: 1,
+    fields: {
+      url: { type: 'url', required: true },
+      caption: { type: 'string' },
+      alt: { type: 'string' }
+    }
+  },
+  imageGallery: {
+    version: 1,
+    fields: {
+      images: {
+        type: 'array',
+        required: true,
+        min: [1, 'Gallery must have at least one image'],
+        of: {
+          type: 'object',
+          fields: {
+            url: { type: 'url', required: true },
+            alt: { type: 'string' },
+            caption: { type: 'string' }
+          }
+        }
+      },
+      layout: { type: 'string', enum: ['grid', 'masonry'], default: 'grid' }
+    }
+  },
+  popularPosts: {
+    version: 1,
+    fields: {
+      postIds: { type: 'array', of: { type: 'string', required: true } },
+      // auto: filled with the most viewed posts instead of postIds
+      mode: { type: 'string', enum: POPULAR_POSTS_MODES, default: 'manual' },
+      limit: { type: 'number', min: 1, max: 12, default: 4 },
+      layout: { type: 'string', enum: ['grid', 'list'], default: 'grid' }
+    },
+    check: (props, path) => props.mode === 'auto' || (props.postIds && props.postIds.length)
+      ? []
+      : [{ path: `${path}.postIds`, message: 'Select at least one post' }]
+  },
+  ref: REF_SECTION
+};
+
+// Where each kind of document keeps its section types and their props
+const FORMATS = {
+  post: { key: 'data', types: POST_SECTIONS },
+  page: { key: 'props', types: PAGE_SECTIONS }
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+const nameOf = (path) => path.split('.').pop();
+
+// Check one value against its field spec, collecting { path, message } errors
+const checkField = (spec, value, path, errors) => {
+  if (value === undefined || value === null || value === '') {
+    if (spec.required) errors.push({ path, message: `${nameOf(path)} is required` });
+    return;
+  }
+
+  switch (spec.type) {
+    case 'string':
+    case 'url':
+      if (typeof value !== 'string') {
+        errors.push({ path, message: `${nameOf(path)} must be a string` });
+      } else if (spec.type === 'url' && !isUrl(value)) {
+        errors.push({ path, message: `${nameOf(path)} must be a valid URL` });
+      } else if (spec.enum && !spec.enum.includes(value)) {
+        errors.push({ path, message: `${nameOf(path)} must be one of: ${spec.enum.join(', ')}` });
+      } else if (spec.maxlength && value.length > spec.maxlength) {
+        errors.push({ path, message: `${nameOf(path)} cannot exceed ${spec.maxlength} characters` });
+      }
+      break;
+    case 'objectId':
+      if (typeof value !== 'string' || !/^[0-9a-f]{24}$/i.test(value)) {
+        errors.push({ path, message: `${nameOf(path)} must be a valid ID` });
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        errors.push({ path, message: `${nameOf(path)} must be a number` });
+      } else if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        errors.push({ path, message: `${nameOf(path)} must be between ${spec.min ?? '-∞'} and ${spec.max ?? '∞'}` });
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push({ path, message: `${nameOf(path)} must be true or false` });
+      }
+      break;
+    case 'object':
+      if (!isPlainObject(value)) {
+        errors.push({ path, message: `${nameOf(path)} must be an object` });
+      } else {
+        checkFields(spec.fields, value, path, errors);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push({ path, message: `${nameOf(path)} must be an array` });
+        break;
+      }
+      if (spec.min && value.length < spec.min[0]) {
+        errors.push({ path, message: spec.min[1] });
+      }
+      if (spec.of) {
+        value.forEach((item, index) => checkField(spec.of, item, `${path}.${index}`, errors));
+      }
+      break;
+  }
+};
+
+const checkFields = (fields, value, path, errors) => {
+  for (const [name, spec] of Object.entries(fields)) {
+    checkField(spec, value[name], `${path}.${name}`, errors);
+  }
+};
+
+// Fill in defaults for missing fields. Fields the spec does not know about
+// are kept as they are.
+const withDefaults = (spec, value) => {
+  if (spec.type === 'object') {
+    if (value !== undefined && !isPlainObject(value)) return value;
+
+    const result = { ...value };
+    for (const [name, field] of Object.entries(spec.fields)) {
+      const filled = withDefaults(field, result[name]);
+      if (filled !== undefined) result[name] = filled;
+    }
+    return value === undefined && Object.keys(result).length === 0 ? undefined : result;
+  }
+
+  if (spec.type === 'array') {
+    if (!Array.isArray(value)) return value;
+    return spec.of ? value.map(item => withDefaults(spec.of, item)) : value;
+  }
+
+  return value === undefined && spec.default !== undefined ? spec.default : value;
+};
+
+// Upgrade props saved under an older version of their section type
+const migrate = (definition, props, fromVersion) => {
+  let migrated = props;
+  for (let version = fromVersion + 1; version <= definition.version; version++) {
+    const migration = definition.migrations && definition.migrations[version];
+    if (migration) migrated = migration(migrated);
+  }
+  return migrated;
+};
+
+const definitionOf = (format, type) => {
+  const { types } = FORMATS[format];
+  return Object.prototype.hasOwnProperty.call(types, type) ? types[type] : null;
+};
+
+// Older post sections kept their data next to `type` instead of under `data`,
+// or stored the whole section, `type` included, as their data
+const propsOf = (format, section) => {
+  const { key } = FORMATS[format];
+  if (format !== 'post') return section[key];
+
+  if (section[key] === undefined) {
+    const { type, version, _id, ...rest } = section;
+    return rest;
+  }
+  if (isPlainObject(section[key]) && section[key].type === section.type) {
+    const { type, ...rest } = section[key];
+    return rest;
+  }
+  return section[key];
+};
+
+// Validate, migrate and fill defaults for one section
+const normalizeSection = (format, section, path) => {
+  const { key } = FORMATS[format];
+
+  if (!isPlainObject(section)) {
+    return { errors: [{ path, message: 'Section must be an object' }] };
+  }
+
+  const definition = definitionOf(format, section.type);
+  if (!definition) {
+    return { errors: [{ path: `${path}.type`, message: `Unknown section type "${section.type}"` }] };
+  }
+
+  const version = section.version === undefined ? 1 : section.version;
+  if (!Number.isInteger(version) || version < 1 || version > definition.version) {
+    return { errors: [{ path: `${path}.version`, message: `Unsupported ${section.type} section version` }] };
+  }
+
+  let props = propsOf(format, section);
+  if (!isPlainObject(props)) {
+    return { errors: [{ path: `${path}.${key}`, message: `${key} must be an object` }] };
+  }
+
+  const propsPath = `${path}.${key}`;
+  props = migrate(definition, props, version);
+
+  const errors = [];
+  checkFields(definition.fields, props, propsPath, errors);
+  if (!errors.length && definition.check) {
+    errors.push(...definition.check(props, propsPath));
+  }
+  if (errors.length) return { errors };
+
+  return {
+    section: {
+      type: section.type,
+      version: definition.version,
+      [key]: withDefaults({ type: 'object', fields: definition.fields }, props)
+    },
+    errors: []
+  };
+};
+
+// Bring a stored section up to the current version of its type without
+// validating it. Sections of unknown types are returned as they are.
+const upgradeSection = (format, section) => {
+  const { key } = FORMATS[format];
+  if (!isPlainObject(section)) return section;
+
+  const definition = definitionOf(format, section.type);
+  const props = definition && propsOf(format, section);
+  if (!isPlainObject(props)) return section;
+
+  const version = Number.isInteger(section.version) ? section.version : 1;
+  return {
+    type: section.type,
+    version: Math.max(version, definition.version),
+    [key]: withDefaults({ type: 'object', fields: definition.fields }, migrate(definition, props, version))
+  };
+};
+
+// Current version of a section type; undefined for unknown types
+const sectionVersion = (format, type) => {
+  const definition = definitionOf(format, type);
+  return definition ? definition.version : undefined;
+};
+
+// Validate and normalize every section of a write. `path` prefixes error
+// paths with the field the sections came from, e.g. "sections.2.props.url".
+// Resolves { sections, errors }; sections is only set when there are no errors.
+const normalizeSections = (format, sections, path = 'sections') => {
+  if (sections === undefined || sections === null) return { sections, errors: [] };
+  if (!Array.isArray(sections)) {
+    return { errors: [{ path, message: 'Sections must be an array' }] };
+  }
+
+  const normalized = [];
+  const errors = [];
+  sections.forEach((section, index) => {
+    const result = normalizeSection(format, section, `${path}.${index}`);
+    if (result.errors.length) errors.push(...result.errors);
+    else normalized.push(result.section);
+  });
+
+  return errors.length ? { errors } : { sections: normalized, errors };
+};
+
+module.exports = {
+  normalizeSections,
+  upgradeSection,
+  sectionVersion
+};
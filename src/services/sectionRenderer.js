@@ -0,0 +1,230 @@
+const sanitizeHtml = require('sanitize-html');
+const { marked } = require('marked');
+const { toCanonicalSections } = require('./sectionFormats');
+
+// Renders content sections to semantic HTML for consumers that cannot run
+// the frontend's section components (RSS, email, the main website sync).
+// Sections are converted to the canonical model first, so posts and content
+// pages share one renderer. Markup carries `section-*` classes only; styling
+// is left to the consumer.
+
+// Rich text editors produce a small set of tags; everything else is dropped
+const RICH_TEXT_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code',
+    'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'mark', 'small',
+    'ul', 'ol', 'li', 'a', 'img', 'figure', 'figcaption',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height', 'loading', 'decoding'],
+    th: ['colspan', 'rowspan', 'scope'],
+    td: ['colspan', 'rowspan']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer' }),
+    img: sanitizeHtml.simpleTransform('img', { loading: 'lazy', decoding: 'async' })
+  }
+};
+
+const sanitizeRichText = (html) => sanitizeHtml(html || '', RICH_TEXT_OPTIONS);
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Absolute http(s) URLs and site-relative paths; anything else is dropped
+const safeUrl = (url) => {
+  if (typeof url !== 'string' || !url.trim()) return null;
+  if (/^\/(?!\/)/.test(url) || url.startsWith('#')) return url;
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? url : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const attrs = (attributes) => Object.entries(attributes)
+  .filter(([, value]) => value !== undefined && value !== null && value !== false)
+  .map(([name, value]) => value === true ? name : `${name}="${escapeHtml(value)}"`)
+  .join(' ');
+
+const tag = (name, attributes, content = '') => {
+  const attributeString = attrs(attributes);
+  return `<${name}${attributeString ? ' ' + attributeString : ''}>${content}</${name}>`;
+};
+
+// Responsive <img>: intrinsic size to avoid layout shift, lazy loading, and a
+// srcset when the image comes with width variants ({ url, width } pairs).
+// Uploaded images found in `images` (see services/imageVariants) are wrapped
+// in a <picture> with one source per variant format.
+const renderImage = (image, { sizes = '100vw', eager = false, images = {} } = {}) => {
+  const src = safeUrl(image && image.url);
+  if (!src) return '';
+
+  const uploaded = Object.prototype.hasOwnProperty.call(images, src) ? images[src] : {};
+  const srcset = Array.isArray(image.variants)
+    ? image.variants
+      .filter(variant => safeUrl(variant.url) && variant.width)
+      .map(variant => `${variant.url} ${variant.width}w`)
+      .join(', ')
+    : '';
+
+  const img = `<img ${attrs({
+    src,
+    srcset: srcset || undefined,
+    sizes: srcset ? sizes : undefined,
+    alt: image.alt || uploaded.alt || '',
+    width: image.width || uploaded.width,
+    height: image.height || uploaded.height,
+    loading: eager ? undefined : 'lazy',
+    decoding: 'async',
+    fetchpriority: eager ? 'high' : undefined
+  })}>`;
+
+  const sources = (uploaded.sources || [])
+    .map(source => `<source ${attrs({ type: source.type, srcset: source.srcset, sizes })}>`)
+    .join('');
+  return sources ? tag('picture', {}, sources + img) : img;
+};
+
+const renderFigure = (image, options) => {
+  const img = renderImage(image, options);
+  if (!img) return '';
+  const caption = image.caption ? tag('figcaption', {}, escapeHtml(image.caption)) : '';
+  return `<figure>${img}${caption}</figure>`;
+};
+
+// Each renderer gets the section's props and the render context, { images }
+const RENDERERS = {
+  hero: (props, { images }) => {
+    const cta = props.cta && safeUrl(props.cta.href)
+      ? tag('a', { class: 'hero-cta', href: safeUrl(props.cta.href) }, escapeHtml(props.cta.label))
+      : '';
+    const meta = [props.author, props.publishDate, props.readTime]
+      .filter(Boolean)
+      .map(item => tag('span', {}, escapeHtml(item)))
+      .join('');
+
+    return tag('header', { class: `section section-hero${props.overlay ? ' hero-overlay' : ''}` },
+      renderImage({ url: props.imageUrl, alt: '' }, { eager: true, images }) +
+      tag('div', { class: 'hero-content' },
+        tag('h1', {}, escapeHtml(props.title)) +
+        (props.subtitle ? tag('p', { class: 'hero-subtitle' }, escapeHtml(props.subtitle)) : '') +
+        (meta ? tag('p', { class: 'hero-meta' }, meta) : '') +
+        cta));
+  },
+
+  text: (props) => {
+    const html = props.html ? props.html : marked.parse(props.markdown || '');
+    const classes = ['section', 'section-text'];
+    if (props.alignment) classes.push(`text-${props.alignment}`);
+    if (props.dropCap && props.dropCap.enabled) classes.push('has-drop-cap');
+
+    return tag('div', { class: classes.join(' ') }, sanitizeRichText(html));
+  },
+
+  image: (props, { images }) => {
+    const figure = renderFigure(props, { sizes: '(min-width: 768px) 768px, 100vw', images });
+    return figure && tag('div', { class: `section section-image align-${props.alignment || 'center'}` }, figure);
+  },
+
+  gallery: (props, { images }) => {
+    const layout = props.layout || 'grid';
+    const columns = props.columns || 3;
+    const items = (props.images || [])
+      .map(image => renderFigure(image, { sizes: `(min-width: 768px) ${Math.round(100 / columns)}vw, 100vw`, images }))
+      .filter(Boolean)
+      .map(figure => tag('li', {}, figure))
+      .join('');
+    if (!items) return '';
+
+    return tag('section', {
+      class: `section section-gallery gallery-${layout}`,
+      'data-columns': columns,
+      'aria-roledescription': layout === 'carousel' ? 'carousel' : undefined
+    }, tag('ul', {}, items));
+  },
+
+  breadcrumb: (props) => {
+    const items = (props.items || []).filter(item => item && item.label);
+    if (props.enabled === false || !items.length) return '';
+
+    const list = items.map((item, index) => {
+      const last = index === items.length - 1;
+      const href = !last && safeUrl(item.href);
+      return last
+        ? tag('li', { 'aria-current': 'page' }, escapeHtml(item.label))
+        : tag('li', {}, href ? tag('a', { href }, escapeHtml(item.label)) : escapeHtml(item.label));
+    }).join('');
+
+    return tag('nav', { class: 'section section-breadcrumb', 'aria-label': 'Breadcrumb' }, tag('ol', {}, list));
+  },
+
+  popularPosts: (props, { images }) => {
+    // Live cards resolved on read win over hand-copied ones
+    const cards = (Array.isArray(props.posts) ? props.posts : [props.featuredPost, ...(props.sidePosts || [])])
+      .filter(card => card && card.title)
+      .map(card => {
+        const href = safeUrl(card.url || (card.slug && `/posts/${card.slug}`));
+        const image = card.featuredImage || (card.imageUrl && { url: card.imageUrl });
+        const category = typeof card.category === 'string' ? card.category : card.category && card.category.name;
+        const content =
+          (image ? renderImage({ ...image, alt: image.alt || '' }, { sizes: '(min-width: 768px) 33vw, 100vw', images }) : '') +
+          (category ? tag('p', { class: 'post-card-category' }, escapeHtml(category)) : '') +
+          tag('h3', {}, escapeHtml(card.title)) +
+          (card.excerpt ? tag('p', {}, escapeHtml(card.excerpt)) : '');
+        return tag('li', {}, tag('article', { class: 'post-card' }, href ? tag('a', { href }, content) : content));
+      })
+      .join('');
+    if (!cards) return '';
+
+    return tag('section', { class: `section section-popular-posts layout-${props.layout || 'grid'}` },
+      (props.title ? tag('h2', {}, escapeHtml(props.title)) : '') +
+      (props.description ? tag('p', {}, escapeHtml(props.description)) : '') +
+      tag('ul', {}, cards));
+  },
+
+  // Only references expanded with their published block render anything
+  ref: (props, context) => props.block
+    ? tag('div', { class: 'section section-block', 'data-block-id': String(props.block._id) }, renderCanonical(props.block.sections, context))
+    : ''
+};
+
+const renderCanonical = (sections, context) => sections
+  .map(section => {
+    const render = section && Object.prototype.hasOwnProperty.call(RENDERERS, section.type) && RENDERERS[section.type];
+    return render ? render(section.props || {}, context) : '';
+  })
+  .filter(Boolean)
+  .join('\n');
+
+// HTML for a post's ('post') or content page's ('page') sections.
+// `images` holds the variants of uploaded images, keyed by URL, as added by
+// withImageVariants. Unknown section types render nothing.
+const renderSections = (format, sections = [], { images = {} } = {}) =>
+  renderCanonical(toCanonicalSections(format, sections), { images });
+
+// The whole article for a post: its sections, or its body when it has none
+const renderPost = (post, options) => {
+  const content = post.contentSections && post.contentSections.length
+    ? renderSections('post', post.contentSections, options)
+    : tag('div', { class: 'section section-text' }, sanitizeRichText(post.body));
+
+  return tag('article', {}, content);
+};
+
+const renderContentPage = (page, options) => tag('main', {}, renderSections('page', page.sections, options));
+
+module.exports = {
+  sanitizeRichText,
+  renderSections,
+  renderPost,
+  renderContentPage
+};
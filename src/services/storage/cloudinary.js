@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { v2: cloudinary } = require('cloudinary');
+
+// Files kept on Cloudinary and delivered from its CDN. Images and videos are
+// stored as such; everything else as raw files.
+const createCloudinaryStorage = ({ cloudName, apiKey, apiSecret, folder }) => {
+  if (!cloudName || !apiKey || !apiSecret) {
+    throw new Error('CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET must be set');
+  }
+
+  const account = { cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret };
+
+  const resourceTypeOf = (mimeType = '') => {
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('video/') || mimeType.startsWith('audio/')) return 'video';
+    return 'raw';
+  };
+
+  // Cloudinary drops the extension of images and videos from their id, so it
+  // is kept in the name: variants of one size differ only by extension
+  const assetOf = (key, mimeType) => {
+    const resourceType = resourceTypeOf(mimeType);
+    const { name, ext } = path.parse(key);
+    const format = ext.slice(1);
+    const publicId = resourceType === 'raw' || !format ? key : `${name}_${format}`;
+
+    return {
+      publicId: folder ? `${folder}/${publicId}` : publicId,
+      resourceType,
+      format: resourceType === 'raw' ? undefined : format || undefined
+    };
+  };
+
+  const urlOf = (key, { mimeType } = {}) => {
+    const { publicId, resourceType, format } = assetOf(key, mimeType);
+    return cloudinary.url(publicId, {
+      ...account,
+      resource_type: resourceType,
+      format,
+      secure: true,
+      urlAnalytics: false
+    });
+  };
+
+  return {
+    name: 'cloudinary',
+
+    urlOf,
+
+    // Upload a local file as `key`, then delete the local copy; resolves its URL
+    store: async (key, filePath, { mimeType } = {}) => {
+      const { publicId, resourceType } = assetOf(key, mimeType);
+      await cloudinary.uploader.upload(filePath, {
+        ...account,
+        public_id: publicId,
+        resource_type: resourceType,
+        overwrite: true,
+        invalidate: true // replaced files must not stay cached on the CDN
+      });
+      await fs.promises.rm(filePath, { force: true });
+      return urlOf(key, { mimeType });
+    },
+
+    // Save the file stored as `key` to a local path
+    download: async (key, destination, { mimeType } = {}) => {
+      const response = await fetch(urlOf(key, { mimeType }));
+      if (!response.ok) {
+        throw new Error(`Cloudinary responded ${response.status} for ${key}`);
+      }
+      await fs.promises.writeFile(destination, Buffer.from(await response.arrayBuffer()));
+    },
+
+    remove: async (key, { mimeType } = {}) => {
+      const { publicId, resourceType } = assetOf(key, mimeType);
+      await cloudinary.uploader.destroy(publicId, {
+        ...account,
+        resource_type: resourceType,
+        invalidate: true
+      });
+    }
+  };
+};
+
+module.exports = createCloudinaryStorage;
@@ -0,0 +1,68 @@
+const path = require('path');
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+const createCloudinaryStorage = require('./cloudinary');
+
+// Where media files are kept. New uploads go to MEDIA_STORAGE (default
+// local); each Media document records the backend holding its files in
+// `storage`, so files stay readable after the setting changes.
+//
+// Every backend offers the same operations on files named by key (the
+// upload's filename, or a variant's):
+//
+//   store(key, filePath, { mimeType })       move a local file in; resolves its public URL
+//   download(key, destination, { mimeType }) copy the stored file to a local path
+//   remove(key, { mimeType })                delete the stored file
+//   urlOf(key, { mimeType })                 public URL of a stored file
+//
+// Uploads are staged and processed on local disk first, whichever backend
+// they end up in.
+
+const backends = {
+  local: () => createLocalStorage(),
+
+  s3: () => createS3Storage({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || undefined,
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    publicUrl: process.env.S3_PUBLIC_URL
+  }),
+
+  cloudinary: () => createCloudinaryStorage({
+    cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+    apiKey: process.env.CLOUDINARY_API_KEY,
+    apiSecret: process.env.CLOUDINARY_API_SECRET,
+    folder: process.env.CLOUDINARY_FOLDER
+  })
+};
+
+// The backend called `name`, or the one new uploads go to
+const getStorage = (name = process.env.MEDIA_STORAGE || 'local') => {
+  if (!backends[name]) throw new Error(`Unknown media storage: ${name}`);
+  return backends[name]();
+};
+
+// The backend holding a media document's files. Older documents predate
+// the setting and are all on local disk.
+const storageOf = (media) => getStorage((media && media.storage) || 'local');
+
+// Key of a variant; older variants only recorded their URL
+const variantKey = (variant) => variant.key || path.basename(variant.url);
+
+// Delete a stored file without waiting for it; failures are only logged
+const discardFile = (storage, key, options) => {
+  storage.remove(key, options).catch((err) => {
+    console.error(`Error deleting ${key} from ${storage.name} storage:`, err.message || err);
+  });
+};
+
+module.exports = {
+  STORAGE_BACKENDS: Object.keys(backends),
+  getStorage,
+  storageOf,
+  variantKey,
+  discardFile
+};
@@ -0,0 +1,33 @@
+const path = require('path');
+const fs = require('fs');
+
+// Files kept on the API server's disk under uploads/, linked as /uploads/<key>.
+// Uploads are staged in the same directory, so storing one is usually a no-op.
+const createLocalStorage = ({ directory = 'uploads' } = {}) => {
+  const pathOf = (key) => path.join(process.cwd(), directory, key);
+  const urlOf = (key) => `/${directory}/${key}`;
+
+  return {
+    name: 'local',
+
+    pathOf,
+    urlOf,
+
+    // Move a local file in as `key`; resolves its URL
+    store: async (key, filePath) => {
+      const target = pathOf(key);
+      if (path.resolve(filePath) !== target) {
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.rename(filePath, target);
+      }
+      return urlOf(key);
+    },
+
+    // Copy the file stored as `key` to a local path
+    download: (key, destination) => fs.promises.copyFile(pathOf(key), destination),
+
+    remove: (key) => fs.promises.rm(pathOf(key), { force: true })
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+// Files kept in an S3 bucket or any S3-compatible object store (MinIO, R2,
+// Spaces, ...). The bucket must let the public read objects at `publicUrl`,
+// which defaults to the bucket's own address.
+const createS3Storage = ({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  publicUrl
+}) => {
+  if (!bucket) throw new Error('S3_BUCKET is not set');
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    // Plain signed requests; not every S3-compatible store supports the newer checksums
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED'
+  });
+
+  let base = publicUrl;
+  if (!base) {
+    base = endpoint
+      ? `${endpoint}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`;
+  }
+  const urlOf = (key) => `${base.replace(/\/+$/, '')}/${key}`;
+
+  return {
+    name: 's3',
+
+    urlOf,
+
+    // Upload a local file as `key`, then delete the local copy; resolves its URL
+    store: async (key, filePath, { mimeType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: await fs.promises.readFile(filePath),
+        ContentType: mimeType
+      }));
+      await fs.promises.rm(filePath, { force: true });
+      return urlOf(key);
+    },
+
+    // Save the object stored as `key` to a local path
+    download: async (key, destination) => {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      await pipeline(Body, fs.createWriteStream(destination));
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+module.exports = createS3Storage;
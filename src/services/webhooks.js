@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { createDeliveryQueue } = require('../utils/deliveryQueue');
+
+// Outbound event webhooks. emitEvent queues one WebhookDelivery per active
+// webhook subscribed to the event without waiting for it to be sent; the
+// delivery queue (see utils/deliveryQueue, tuned with WEBHOOK_MAX_ATTEMPTS,
+// _BACKOFF_MS and _TIMEOUT_MS) retries it from the scheduler. Failures are
+// logged and swallowed so they never fail the calling request or job.
+//
+// Every request is a POST of { id, event, createdAt, data } with headers:
+//
+//   X-Webhook-Event      the event name
+//   X-Webhook-Delivery   the delivery id, the same on every retry
+//   X-Webhook-Timestamp  when this attempt was signed, ms since the epoch
+//   X-Webhook-Signature  sha256=<HMAC-SHA256 of "<timestamp>.<raw body>">
+//
+// keyed with the webhook's secret.
+
+const refId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Event data for each kind of document
+const postData = (post) => ({
+  id: post._id,
+  title: post.title,
+  slug: post.slug,
+  excerpt: post.excerpt,
+  status: post.status,
+  publishedAt: post.publishedAt,
+  author: refId(post.author),
+  categories: (post.categories || []).map(refId),
+  tags: post.tags || []
+});
+
+const commentData = (comment) => ({
+  id: comment._id,
+  post: refId(comment.post),
+  author: { name: comment.author && comment.author.name },
+  content: comment.content,
+  rating: comment.rating,
+  status: comment.status,
+  createdAt: comment.createdAt
+});
+
+const mediaData = (media) => ({
+  id: media._id,
+  filename: media.filename,
+  originalName: media.originalName,
+  url: media.url,
+  type: media.type,
+  mimeType: media.mimeType,
+  size: media.size
+});
+
+const signWebhookPayload = (timestamp, rawBody, secret) => {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+};
+
+// `webhook` is passed in when the caller has it loaded already
+const queue = createDeliveryQueue({
+  Model: WebhookDelivery,
+  settings: 'WEBHOOK',
+  peer: 'Endpoint',
+  unavailable: 'Webhook is disabled or deleted',
+  describe: delivery => `Webhook ${delivery.event} delivery ${delivery._id}`,
+  prepare: async (delivery, webhook) => {
+    if (!webhook) webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    if (!webhook || !webhook.isActive) return null;
+
+    const rawBody = JSON.stringify(delivery.payload);
+    const timestamp = String(Date.now());
+    return {
+      url: webhook.url,
+      headers: {
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signWebhookPayload(timestamp, rawBody, webhook.secret)
+      },
+      body: rawBody
+    };
+  }
+});
+
+// Notify every webhook subscribed to `event`.
+// Resolves the queued deliveries, before they are sent.
+const emitEvent = async (event, data) => {
+  try {
+    const webhooks = await Webhook.subscribedTo(event);
+    if (!webhooks.length) return [];
+
+    const createdAt = new Date();
+    return await queue.enqueue(webhooks.map(webhook => {
+      const _id = new mongoose.Types.ObjectId();
+      return {
+        _id,
+        webhook: webhook._id,
+        event,
+        payload: JSON.parse(JSON.stringify({ id: _id, event, createdAt, data }))
+      };
+    }), webhooks);
+  } catch (error) {
+    console.error(`Webhook event ${event} failed:`, error.message);
+    return [];
+  }
+};
+
+// Emit post.published or post.unpublished when a post goes live or is taken
+// down. `liveChanged` marks new content published on an already live post.
+const emitPostTransition = async (post, previousStatus, { liveChanged = false } = {}) => {
+  const wasLive = previousStatus === 'published';
+  const isLive = post.status === 'published';
+
+  if (wasLive && !isLive) {
+    await emitEvent('post.unpublished', postData(post));
+  } else if (isLive && (!wasLive || liveChanged)) {
+    await emitEvent('post.published', postData(post));
+  }
+};
+
+const emitPostDeleted = (post) => emitEvent('post.deleted', postData(post));
+
+const emitCommentCreated = (comment) => emitEvent('comment.created', commentData(comment));
+
+const emitMediaUploaded = (media) => emitEvent('media.uploaded', mediaData(media));
+
+const emitMediaDeleted = (media) => emitEvent('media.deleted', mediaData(media));
+
+// Retry pending deliveries whose backoff has passed
+const retryDueWebhookDeliveries = (now) => queue.retryDue(now);
+
+// Give a failed delivery a fresh set of attempts and send it now.
+// Resolves null unless a failed delivery matches `filter`.
+const replayWebhookDelivery = (filter, userId) => queue.replay(filter, userId);
+
+module.exports = {
+  signWebhookPayload,
+  emitEvent,
+  emitPostTransition,
+  emitPostDeleted,
+  emitCommentCreated,
+  emitMediaUploaded,
+  emitMediaDeleted,
+  retryDueWebhookDeliveries,
+  replayWebhookDelivery
+};
@@ -0,0 +1,17 @@
+// Delay before retry number `attempt` (0-based): base * 2^attempt, capped,
+// with up to 20% random jitter so parallel retries spread out
+const backoffDelay = (attempt, baseMs, maxMs = 30 * 1000) => {
+  const delay = Math.min(maxMs, baseMs * Math.pow(2, attempt));
+  return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Responses worth retrying: rate limiting and server-side failures
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+module.exports = {
+  backoffDelay,
+  sleep,
+  isRetryableStatus
+};
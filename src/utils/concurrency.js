@@ -0,0 +1,65 @@
+// Optimistic concurrency helpers. A document's ETag is its version key (__v),
+// which every write through the editing endpoints increments.
+
+const etagFor = (doc) => `"${doc.__v || 0}"`;
+
+const setETag = (res, doc) => {
+  res.set('ETag', etagFor(doc));
+};
+
+// Versions listed in the If-Match header. Null when the header is absent or
+// `*`, i.e. the client does not ask for a version check.
+const requestedVersions = (req) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return null;
+
+  return header.split(',').map(tag => {
+    const match = tag.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+    return match ? parseInt(match[1]) : NaN;
+  });
+};
+
+// True when the client sent If-Match and none of its versions is current
+const isStale = (req, doc) => {
+  const versions = requestedVersions(req);
+  return versions !== null && !versions.includes(doc.__v || 0);
+};
+
+// Fields of `changes` that conflict with the current document.
+// With `base` (the document as the client last saw it) a field conflicts
+// when the server changed it since; without it, when the submitted value
+// differs from the current one.
+const conflictingFields = (current, changes, fields, base = null) => {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  return fields
+    .filter(field => changes[field] !== undefined)
+    .filter(field => base
+      ? !same(base[field], current[field])
+      : !same(changes[field], current[field]))
+    .map(field => ({
+      field,
+      current: current[field]
+    }));
+};
+
+// 409 body for a stale write
+const sendConflict = (res, doc, conflicts) => {
+  setETag(res, doc);
+  res.status(409).json({
+    success: false,
+    code: 'VERSION_CONFLICT',
+    message: 'This document was changed by someone else. Reload it and try again.',
+    currentVersion: doc.__v || 0,
+    conflicts
+  });
+};
+
+module.exports = {
+  etagFor,
+  setETag,
+  requestedVersions,
+  isStale,
+  conflictingFields,
+  sendConflict
+};
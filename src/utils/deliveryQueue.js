@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const { backoffDelay, isRetryableStatus } = require('./backoff');
+
+// Outbound HTTP deliveries kept in MongoDB and retried with backoff, shared by
+// frontend revalidations and event webhooks. The delivery model adds the
+// queue fields with the plugin:
+//
+//   schema.plugin(deliveryQueue)
+//
+// and the subsystem sending it configures a queue:
+//
+//   createDeliveryQueue({ Model, settings: 'WEBHOOK', peer: 'Endpoint', unavailable, prepare, describe })
+//
+// `prepare(delivery, context)` resolves the request to make, { url, headers,
+// body }, or null when its destination is gone, which fails the delivery with
+// the `unavailable` error; `describe(delivery)` names the delivery in logs.
+//
+// New deliveries are saved first and sent once the caller has moved on.
+// Network errors, 429 and 5xx responses are retried until the delivery runs
+// out of attempts; every attempt and response is kept on the delivery.
+// <settings>_MAX_ATTEMPTS, _BACKOFF_MS and _TIMEOUT_MS tune it.
+
+// Retries back off to at most an hour apart
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// Deliveries the retry job sends per run
+const RETRY_BATCH = 100;
+
+// One request made while delivering
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+  statusCode: {
+    type: Number // absent when the destination could not be reached
+  },
+  response: {
+    type: String // start of the response body
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  }
+}, { _id: false });
+
+const deliveryQueue = (schema) => {
+  schema.add({
+    status: {
+      type: String,
+      enum: ['pending', 'delivered', 'failed'],
+      default: 'pending'
+    },
+    attempts: [attemptSchema],
+    remainingAttempts: {
+      type: Number, // reset when an admin replays the delivery
+      required: true
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+    deliveredAt: {
+      type: Date
+    },
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.index({ status: 1, nextAttemptAt: 1 });
+};
+
+const readBody = async (response) => {
+  try {
+    return (await response.text()).slice(0, 500);
+  } catch (readError) {
+    return undefined;
+  }
+};
+
+const createDeliveryQueue = ({ Model, settings, peer, unavailable, prepare, describe }) => {
+  const getMaxAttempts = () => parseInt(process.env[`${settings}_MAX_ATTEMPTS`]) || 5;
+  const getBackoffMs = () => parseInt(process.env[`${settings}_BACKOFF_MS`]) || 30 * 1000;
+  const getTimeoutMs = () => parseInt(process.env[`${settings}_TIMEOUT_MS`]) || 10 * 1000;
+
+  // Hold a delivery for the length of one request so no one else sends it meanwhile
+  const claimedUntil = () => new Date(Date.now() + getTimeoutMs() * 2);
+
+  // Send a delivery once and record the outcome: delivered, queued for another
+  // try, or failed for good
+  const deliver = async (delivery, context) => {
+    const request = await prepare(delivery, context);
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt) };
+
+    if (!request) {
+      attempt.error = unavailable;
+    } else {
+      try {
+        const response = await fetch(request.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...request.headers },
+          body: request.body,
+          signal: AbortSignal.timeout(getTimeoutMs())
+        });
+
+        attempt.statusCode = response.status;
+        attempt.response = await readBody(response);
+        if (!response.ok) attempt.error = `${peer} responded ${response.status}`;
+      } catch (networkError) {
+        attempt.error = `${peer} unreachable: ${networkError.message}`;
+      }
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+    delivery.remainingAttempts = Math.max(0, delivery.remainingAttempts - 1);
+
+    const retryable = request && (!attempt.statusCode || isRetryableStatus(attempt.statusCode));
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = attempt.at;
+      delivery.nextAttemptAt = null;
+    } else if (retryable && delivery.remainingAttempts > 0) {
+      const retry = getMaxAttempts() - delivery.remainingAttempts - 1;
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + backoffDelay(Math.max(0, retry), getBackoffMs(), MAX_BACKOFF_MS));
+    } else {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      console.error(`${describe(delivery)} failed:`, attempt.error);
+    }
+
+    await delivery.save();
+    return delivery;
+  };
+
+  // Queue new deliveries and send each once the caller has moved on, with the
+  // matching entry of `contexts`. Resolves the queued deliveries without
+  // waiting for them to be sent; any this process does not get to are sent
+  // by retryDue once their claim runs out.
+  const enqueue = async (entries, contexts = []) => {
+    const deliveries = await Model.insertMany(entries.map(entry => ({
+      ...entry,
+      remainingAttempts: getMaxAttempts(),
+      nextAttemptAt: claimedUntil()
+    })));
+
+    setImmediate(() => {
+      deliveries.forEach((delivery, index) => {
+        deliver(delivery, contexts[index]).catch(error => {
+          console.error(`${describe(delivery)} could not be sent:`, error.message);
+        });
+      });
+    });
+
+    return deliveries;
+  };
+
+  // Retry pending deliveries whose backoff has passed, each at most once per
+  // run. Each one is claimed with a conditional update first, so it is only
+  // sent once per retry.
+  const retryDue = async (now = new Date()) => {
+    const retried = [];
+
+    while (retried.length < RETRY_BATCH) {
+      const delivery = await Model.findOneAndUpdate(
+        {
+          _id: { $nin: retried.map(done => done._id) },
+          status: 'pending',
+          nextAttemptAt: { $lte: now }
+        },
+        { nextAttemptAt: claimedUntil() },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!delivery) break;
+
+      retried.push(await deliver(delivery));
+    }
+
+    return retried;
+  };
+
+  // Give a failed delivery a fresh set of attempts and send it now.
+  // Resolves null unless a failed delivery matches `filter`.
+  const replay = async (filter, userId) => {
+    const delivery = await Model.findOneAndUpdate(
+      { ...filter, status: 'failed' },
+      {
+        status: 'pending',
+        remainingAttempts: getMaxAttempts(),
+        nextAttemptAt: claimedUntil(),
+        replayedBy: userId
+      },
+      { new: true }
+    );
+
+    return delivery && deliver(delivery);
+  };
+
+  return {
+    enqueue,
+    retryDue,
+    replay
+  };
+};
+
+module.exports = {
+  deliveryQueue,
+  createDeliveryQueue
+};
@@ -0,0 +1,16 @@
+// Compare two plain objects field by field and list the fields that differ
+const diffFields = (from = {}, to = {}, fields) => {
+  const keys = fields || [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+  return keys
+    .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .map(field => ({
+      field,
+      from: from[field],
+      to: to[field]
+    }));
+};
+
+module.exports = {
+  diffFields
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Signed preview links: /preview/:id?t=<issued at, ms>&h=<HMAC of "id-t">
+
+const getSecret = () => process.env.PREVIEW_SECRET || 'preview-secret';
+
+const getTtlMs = () => parseInt(process.env.PREVIEW_TTL_MS) || 60 * 60 * 1000;
+
+// Tolerated clock difference between the instance that issued a link and the one checking it
+const CLOCK_SKEW_MS = 60 * 1000;
+
+const signPreview = (id, timestamp) => {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${id}-${timestamp}`)
+    .digest('hex');
+};
+
+// Check a preview link. Returns null when valid, otherwise { code, message }.
+// Links issued at or before `revokedAt` are no longer accepted.
+const verifyPreview = (id, timestamp, hash, { revokedAt = null, now = Date.now() } = {}) => {
+  const expected = Buffer.from(signPreview(id, timestamp), 'hex');
+  const given = Buffer.from(String(hash || ''), 'hex');
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { code: 'PREVIEW_INVALID', message: 'Invalid preview link' };
+  }
+
+  const issuedAt = parseInt(timestamp);
+  if (issuedAt > now + CLOCK_SKEW_MS || now - issuedAt > getTtlMs()) {
+    return { code: 'PREVIEW_EXPIRED', message: 'Preview link has expired' };
+  }
+
+  if (revokedAt && issuedAt <= new Date(revokedAt).getTime()) {
+    return { code: 'PREVIEW_REVOKED', message: 'Preview link has been revoked' };
+  }
+
+  return null;
+};
+
+module.exports = {
+  signPreview,
+  verifyPreview,
+  getTtlMs
+};
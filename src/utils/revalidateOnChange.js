@@ -0,0 +1,35 @@
+const { getTargets, triggerRevalidation } = require('../services/revalidation');
+const watchChanges = require('./watchChanges');
+
+// Mongoose plugin that revalidates the frontend pages a document shows up on
+// whenever it changes:
+//
+//   schema.plugin(revalidateOnChange, { resolver: 'pathsForPost', fields, select })
+//
+// `fields` are the paths readers can see; writes touching only other paths
+// (view counters, sync state, drafts) are ignored. `select` lists what the
+// resolver (see services/revalidationPaths) needs from the document before
+// and after the write; the writes covered are those of utils/watchChanges.
+// The paths are queued together and sent once the write has returned; nothing
+// is looked up when no frontend is configured.
+
+const revalidateOnChange = (schema, { resolver, fields, select }) => {
+  const revalidate = async (Model, { before, after }) => {
+    try {
+      // Required on first use: the resolvers query the models using this plugin
+      const paths = await require('../services/revalidationPaths')[resolver](before, after);
+      await triggerRevalidation(paths);
+    } catch (error) {
+      console.error('Revalidation after a change failed:', error.message);
+    }
+  };
+
+  schema.plugin(watchChanges, {
+    fields,
+    select,
+    enabled: () => getTargets().length > 0,
+    onChange: revalidate
+  });
+};
+
+module.exports = revalidateOnChange;
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// Signed revalidation requests. The sender adds three headers:
+//
+//   X-Revalidate-Timestamp  when the request was signed, ms since the epoch
+//   X-Revalidate-Nonce      random, unique per request
+//   X-Revalidate-Signature  sha256=<HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>">
+//
+// keyed with REVALIDATE_SECRET. Requests older than REVALIDATE_MAX_AGE_MS are
+// refused, and each nonce is accepted once (see models/RevalidateNonce).
+// Without a secret every request is refused.
+
+const getSecret = () => process.env.REVALIDATE_SECRET;
+
+const getMaxAgeMs = () => parseInt(process.env.REVALIDATE_MAX_AGE_MS) || 5 * 60 * 1000;
+
+// Tolerated clock difference between the sender and this instance
+const CLOCK_SKEW_MS = 60 * 1000;
+
+// Refuse to run in production without a secret
+const assertSecretConfigured = () => {
+  if (process.env.NODE_ENV === 'production' && !process.env.REVALIDATE_SECRET) {
+    throw new Error('REVALIDATE_SECRET must be set in production');
+  }
+};
+
+const signRevalidation = (timestamp, nonce, rawBody, secret = getSecret()) => {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${rawBody || ''}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+};
+
+// Check a signed request. Returns null when valid, otherwise { code, message }.
+// The nonce is not checked here.
+const verifyRevalidation = ({ timestamp, nonce, signature, rawBody }, { now = Date.now() } = {}) => {
+  if (!timestamp || !nonce || !signature) {
+    return { code: 'SIGNATURE_MISSING', message: 'Missing signature headers' };
+  }
+
+  const secret = getSecret();
+  if (!secret) {
+    return { code: 'SIGNATURE_INVALID', message: 'Revalidation secret is not configured' };
+  }
+
+  const expected = Buffer.from(signRevalidation(timestamp, nonce, rawBody, secret));
+  const given = Buffer.from(String(signature));
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { code: 'SIGNATURE_INVALID', message: 'Invalid signature' };
+  }
+
+  const signedAt = Number(timestamp);
+  if (!Number.isFinite(signedAt) || signedAt > now + CLOCK_SKEW_MS || now - signedAt > getMaxAgeMs()) {
+    return { code: 'SIGNATURE_EXPIRED', message: 'Request has expired' };
+  }
+
+  return null;
+};
+
+module.exports = {
+  getMaxAgeMs,
+  assertSecretConfigured,
+  signRevalidation,
+  verifyRevalidation
+};
@@ -0,0 +1,12 @@
+// 301 to the current slug of a renamed post or category. The body carries the
+// same information for clients that do not follow redirects.
+const sendSlugRedirect = (res, slug, location) => {
+  res.set('Location', location);
+  res.status(301).json({
+    success: false,
+    message: 'Moved permanently',
+    redirect: { slug, location }
+  });
+};
+
+module.exports = { sendSlugRedirect };
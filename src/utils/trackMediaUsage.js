@@ -0,0 +1,39 @@
+const watchChanges = require('./watchChanges');
+
+// Mongoose plugin that keeps Media.usage in sync with the media files a
+// document links to:
+//
+//   schema.plugin(trackMediaUsage, { type: 'post', fields: ['featuredImage', 'contentSections'] })
+//
+// `fields` are the top-level paths scanned for media URLs (see
+// services/mediaUsage), after every write utils/watchChanges covers. A failed
+// sync is logged and never fails the write.
+
+const trackMediaUsage = (schema, { type, fields }) => {
+  const select = fields.join(' ');
+
+  const sync = async (Model, { id, after }) => {
+    try {
+      // Required on first use: the service loads the Media model
+      const { syncMediaUsage } = require('../services/mediaUsage');
+      await syncMediaUsage({ type, referenceType: Model.modelName, referenceId: id, fields, doc: after });
+    } catch (error) {
+      console.error('Media usage sync failed:', error.message);
+    }
+  };
+
+  // Static method to recompute the media usage of a stored document
+  schema.statics.syncMediaUsage = async function(id) {
+    const after = await this.findById(id).select(select).lean();
+    await sync(this, { id, after });
+  };
+
+  schema.plugin(watchChanges, {
+    fields,
+    select,
+    snapshotBefore: false,
+    onChange: sync
+  });
+};
+
+module.exports = trackMediaUsage;
@@ -0,0 +1,81 @@
+// Mongoose plugin that calls back whenever a write changes some top-level
+// fields of a document. Shared by the plugins that react to content changes
+// (revalidateOnChange, trackMediaUsage):
+//
+//   schema.plugin(watchChanges, { fields, select, onChange })
+//
+// `onChange(Model, { id, before, after })` gets the document as it was and as
+// it is, each loaded with `select` (null when it did not or no longer exists).
+// Writes touching none of `fields` are ignored. Covers save,
+// findOneAndUpdate, updateOne, findOneAndDelete and deleting a loaded
+// document. Options:
+//
+//   enabled         skip the lookups altogether while it returns false
+//   snapshotBefore  set false when `before` is not needed; only its _id is loaded
+
+// Paths an update document writes, with operators unwrapped
+const updatedPaths = (update) => Object.entries(update || {})
+  .flatMap(([key, value]) => key.startsWith('$') ? Object.keys(value || {}) : [key]);
+
+const watchChanges = (schema, { fields, select, onChange, enabled = () => true, snapshotBefore = true }) => {
+  const selected = ['_id', ...select.split(' ')];
+  const beforeSelect = snapshotBefore ? select : '_id';
+
+  // Before-snapshots of the saves and update queries in flight
+  const pendingSave = Symbol('watchChanges');
+  const pendingUpdates = new WeakMap();
+
+  const snapshotOf = (doc) => {
+    const source = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true, virtuals: false }) : doc;
+    return Object.fromEntries(selected.map(field => [field, source[field]]));
+  };
+
+  const touches = (update) => Array.isArray(update) || updatedPaths(update)
+    .some(path => fields.some(field => path === field || path.startsWith(`${field}.`)));
+
+  schema.pre('save', async function() {
+    if (!enabled()) return;
+
+    if (this.isNew) {
+      this.$locals[pendingSave] = { before: null };
+    } else if (fields.some(field => this.isModified(field))) {
+      this.$locals[pendingSave] = { before: await this.constructor.findById(this._id).select(beforeSelect).lean() };
+    }
+  });
+
+  schema.post('save', async function() {
+    const pending = this.$locals[pendingSave];
+    if (!pending) return;
+
+    delete this.$locals[pendingSave];
+    const after = await this.constructor.findById(this._id).select(select).lean();
+    await onChange(this.constructor, { id: this._id, before: pending.before, after });
+  });
+
+  schema.pre(['findOneAndUpdate', 'updateOne'], async function() {
+    if (!enabled() || !touches(this.getUpdate())) return;
+
+    pendingUpdates.set(this, await this.model.findOne(this.getFilter()).select(beforeSelect).lean());
+  });
+
+  schema.post(['findOneAndUpdate', 'updateOne'], async function() {
+    if (!pendingUpdates.has(this)) return;
+
+    const before = pendingUpdates.get(this);
+    pendingUpdates.delete(this);
+
+    // Upserted documents only exist afterwards
+    const after = await this.model.findOne(before ? { _id: before._id } : this.getFilter()).select(select).lean();
+    if (before || after) await onChange(this.model, { id: (before || after)._id, before, after });
+  });
+
+  schema.post('findOneAndDelete', async function(doc) {
+    if (doc && enabled()) await onChange(this.model, { id: doc._id, before: snapshotOf(doc), after: null });
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    if (enabled()) await onChange(this.constructor, { id: this._id, before: snapshotOf(this), after: null });
+  });
+};
+
+module.exports = watchChanges;
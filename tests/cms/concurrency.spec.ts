@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { as, seedPost, seedSections } from './setup';
+
+describe('CMS Optimistic Concurrency', () => {
+  describe('Posts', () => {
+    it('should return the post version as an ETag', async () => {
+      const post = await seedPost();
+
+      const response = await as('editor').get(`/api/admin/posts/${post._id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBe('"0"');
+    });
+
+    it('should accept a write with the current version and bump it', async () => {
+      const post = await seedPost();
+
+      const response = await as('editor')
+        .patch(`/api/admin/posts/${post._id}`)
+        .set('If-Match', '"0"')
+        .send({ title: 'Fresh Title' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBe('"1"');
+    });
+
+    it('should reject a stale write with the current version and conflicting fields', async () => {
+      const post = await seedPost();
+
+      // Editor A saves first
+      await as('editor')
+        .patch(`/api/admin/posts/${post._id}`)
+        .set('If-Match', '"0"')
+        .send({ title: 'Title From A' });
+
+      // Editor B still holds version 0
+      const response = await as('editor')
+        .patch(`/api/admin/posts/${post._id}`)
+        .set('If-Match', '"0"')
+        .send({ title: 'Title From B', excerpt: 'Excerpt from B' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('VERSION_CONFLICT');
+      expect(response.body.currentVersion).toBe(1);
+      expect(response.body.conflicts).toEqual([
+        { field: 'title', current: 'Title From A' }
+      ]);
+    });
+
+    it('should check If-Match on the v1 update endpoint', async () => {
+      const post = await seedPost();
+
+      await as('editor').put(`/api/v1/posts/${post._id}`).send({ excerpt: 'First edit' });
+
+      const response = await as('editor')
+        .put(`/api/v1/posts/${post._id}`)
+        .set('If-Match', '"0"')
+        .send({ excerpt: 'Second edit' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.conflicts.map((c: any) => c.field)).toContain('excerpt');
+    });
+
+    it('should allow writes without If-Match', async () => {
+      const post = await seedPost();
+
+      await as('editor').patch(`/api/admin/posts/${post._id}`).send({ title: 'One' });
+      const response = await as('editor').patch(`/api/admin/posts/${post._id}`).send({ title: 'Two' });
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('Content page', () => {
+    it('should reject a stale content page save', async () => {
+      await seedSections();
+
+      const loaded = await as('editor').get('/api/admin/content-page');
+      const etag = loaded.headers.etag;
+
+      const first = await as('editor')
+        .post('/api/admin/content-page')
+        .set('If-Match', etag)
+        .send({ sections: [], seo: { title: 'Saved by A' } });
+      expect(first.status).toBe(200);
+
+      const second = await as('editor')
+        .post('/api/admin/content-page')
+        .set('If-Match', etag)
+        .send({ sections: [], seo: { title: 'Saved by B' } });
+
+      expect(second.status).toBe(409);
+      expect(second.body.currentVersion).toBe(first.body.data.__v);
+      expect(second.body.conflicts.map((c: any) => c.field)).toContain('seo');
+    });
+  });
+});
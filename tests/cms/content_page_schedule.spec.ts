@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import { as, seedSections } from './setup';
+import ContentPage from '../../src/models/ContentPage.js';
+import ContentPageVersion from '../../src/models/ContentPageVersion.js';
+import {
+  publishDueContentPages,
+  unpublishExpiredContentPages
+} from '../../src/services/contentPagePublishing.js';
+
+const hero = (title: string) => ({
+  type: 'hero',
+  props: { imageUrl: 'https://example.com/hero.jpg', title }
+});
+
+const inMinutes = (minutes: number) => new Date(Date.now() + minutes * 60000).toISOString();
+
+// Jump past a schedule instead of waiting for it
+const later = (minutes: number) => new Date(Date.now() + minutes * 60000);
+
+describe('CMS Content Page Scheduling', () => {
+  it('should schedule a draft page and publish it once due', async () => {
+    await seedSections({ slug: 'summer', sections: [hero('Summer Sale')] });
+
+    const scheduled = await as('editor')
+      .patch('/api/admin/content-pages/summer/schedule')
+      .send({ scheduledAt: inMinutes(10) });
+
+    expect(scheduled.status).toBe(200);
+    expect(scheduled.body.data.status).toBe('scheduled');
+    expect((await as('anonymous').get('/api/content-pages/summer')).status).toBe(404);
+
+    expect(await publishDueContentPages()).toHaveLength(0);
+    const published = await publishDueContentPages(later(11));
+
+    expect(published).toHaveLength(1);
+    const response = await as('anonymous').get('/api/content-pages/summer');
+    expect(response.status).toBe(200);
+    expect(response.body.data.sections[0].props.title).toBe('Summer Sale');
+
+    const page = await ContentPage.findOne({ slug: 'summer' });
+    expect(page.scheduledAt).toBeNull();
+    expect(page.hasUnpublishedChanges).toBe(false);
+  });
+
+  it('should clear a schedule whose version another publish claimed', async () => {
+    await seedSections({ slug: 'summer', sections: [hero('Summer Sale')] });
+    await as('editor')
+      .patch('/api/admin/content-pages/summer/schedule')
+      .send({ scheduledAt: inMinutes(10) });
+
+    // Version 1 is taken without the page moving on to it
+    const page = await ContentPage.findOne({ slug: 'summer' });
+    await ContentPageVersion.create({ page: page._id, slug: 'summer', version: 1, publishedAt: new Date() });
+
+    expect(await publishDueContentPages(later(11))).toHaveLength(0);
+    expect((await ContentPage.findOne({ slug: 'summer' })).scheduledAt).toBeNull();
+
+    // It is not retried on the next run
+    expect(await publishDueContentPages(later(12))).toHaveLength(0);
+  });
+
+  it('should put the previous homepage back when a takeover expires', async () => {
+    await seedSections({ slug: 'homepage', sections: [hero('Welcome')] });
+    await as('editor').patch('/api/admin/content-pages/homepage/publish');
+    await as('editor')
+      .put('/api/admin/content-pages/homepage')
+      .send({ sections: [hero('Black Friday')] });
+
+    await as('editor')
+      .patch('/api/admin/content-pages/homepage/schedule')
+      .send({ scheduledAt: inMinutes(10), unpublishAt: inMinutes(60) });
+
+    // The current homepage stays live until the takeover starts
+    const before = await as('anonymous').get('/api/content-pages/homepage');
+    expect(before.body.data.sections[0].props.title).toBe('Welcome');
+
+    await publishDueContentPages(later(11));
+    const during = await as('anonymous').get('/api/content-pages/homepage');
+    expect(during.body.data.sections[0].props.title).toBe('Black Friday');
+
+    expect(await unpublishExpiredContentPages(later(30))).toHaveLength(0);
+    const reverted = await unpublishExpiredContentPages(later(61));
+
+    expect(reverted).toHaveLength(1);
+    expect(reverted[0].published.version).toBe(4);
+    const after = await as('anonymous').get('/api/content-pages/homepage');
+    expect(after.body.data.sections[0].props.title).toBe('Welcome');
+
+    // Nothing is left to revert
+    expect(await unpublishExpiredContentPages(later(120))).toHaveLength(0);
+  });
+
+  it('should take a page down at expiry if it was not live before', async () => {
+    await seedSections({ slug: 'flash-sale', sections: [hero('Flash Sale')] });
+    await as('editor')
+      .patch('/api/admin/content-pages/flash-sale/schedule')
+      .send({ scheduledAt: inMinutes(10), unpublishAt: inMinutes(60) });
+
+    await publishDueContentPages(later(11));
+    await unpublishExpiredContentPages(later(61));
+
+    const page = await ContentPage.findOne({ slug: 'flash-sale' });
+    expect(page.status).toBe('draft');
+    expect((await as('anonymous').get('/api/content-pages/flash-sale')).status).toBe(404);
+  });
+
+  it('should reject schedules in the past or ending before they start', async () => {
+    await seedSections({ slug: 'summer' });
+
+    const past = await as('editor')
+      .patch('/api/admin/content-pages/summer/schedule')
+      .send({ scheduledAt: inMinutes(-10) });
+    expect(past.status).toBe(400);
+    expect(past.body.code).toBe('INVALID_SCHEDULE');
+
+    const backwards = await as('editor')
+      .patch('/api/admin/content-pages/summer/schedule')
+      .send({ scheduledAt: inMinutes(60), unpublishAt: inMinutes(10) });
+    expect(backwards.status).toBe(400);
+    expect(backwards.body.message).toBe('Unpublish date must be after the scheduled date');
+  });
+
+  it('should cancel a schedule', async () => {
+    await seedSections({ slug: 'summer' });
+    await as('editor')
+      .patch('/api/admin/content-pages/summer/schedule')
+      .send({ scheduledAt: inMinutes(10) });
+
+    const response = await as('editor').delete('/api/admin/content-pages/summer/schedule');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('draft');
+    expect(await publishDueContentPages(later(11))).toHaveLength(0);
+  });
+
+  it('should not let contributors schedule pages', async () => {
+    await seedSections({ slug: 'summer' });
+
+    const response = await as('contributor')
+      .patch('/api/admin/content-pages/summer/schedule')
+      .send({ scheduledAt: inMinutes(10) });
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect } from 'vitest';
+import { as, seedSections } from './setup';
+import ContentPage from '../../src/models/ContentPage.js';
+
+const heroSection = {
+  type: 'hero',
+  props: {
+    imageUrl: 'https://example.com/hero.jpg',
+    title: 'About Us'
+  }
+};
+
+describe('CMS Content Pages', () => {
+  it('should create and fetch a content page by slug', async () => {
+    const created = await as('editor')
+      .post('/api/admin/content-pages')
+      .send({ slug: 'about', title: 'About', sections: [heroSection] });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.slug).toBe('about');
+    expect(created.body.data.status).toBe('draft');
+
+    const response = await as('editor').get('/api/admin/content-pages/about');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.sections).toHaveLength(1);
+  });
+
+  it('should reject a duplicate slug', async () => {
+    await seedSections({ slug: 'homepage' });
+
+    const response = await as('editor')
+      .post('/api/admin/content-pages')
+      .send({ slug: 'homepage' });
+
+    expect(response.status).toBe(409);
+  });
+
+  it('should list content pages', async () => {
+    await seedSections({ slug: 'homepage' });
+    await seedSections({ slug: 'about' });
+
+    const response = await as('editor').get('/api/admin/content-pages');
+
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBe(2);
+    expect(response.body.rows.map((page: any) => page.slug).sort()).toEqual(['about', 'homepage']);
+  });
+
+  it('should save and publish pages independently', async () => {
+    await seedSections({ slug: 'homepage' });
+    await seedSections({ slug: 'about' });
+
+    const saved = await as('editor')
+      .put('/api/admin/content-pages/about')
+      .send({ sections: [heroSection], seo: { title: 'About' } });
+    expect(saved.status).toBe(200);
+
+    const published = await as('editor').patch('/api/admin/content-pages/about/publish');
+    expect(published.status).toBe(200);
+
+    const about = await as('anonymous').get('/api/content-pages/about');
+    expect(about.status).toBe(200);
+    expect(about.body.data.seo.title).toBe('About');
+
+    const homepage = await as('anonymous').get('/api/content-pages/homepage');
+    expect(homepage.status).toBe(404);
+  });
+
+  it('should duplicate a page as a new draft', async () => {
+    await seedSections({ slug: 'destinations-italy', status: 'published', title: 'Italy' });
+
+    const response = await as('editor')
+      .post('/api/admin/content-pages/destinations-italy/duplicate')
+      .send({ slug: 'destinations-spain' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.status).toBe('draft');
+    expect(response.body.data.title).toBe('Italy (copy)');
+    expect(response.body.data.sections).toHaveLength(1);
+  });
+
+  it('should delete a content page', async () => {
+    await seedSections({ slug: 'old-landing' });
+
+    const response = await as('admin').delete('/api/admin/content-pages/old-landing');
+
+    expect(response.status).toBe(200);
+    expect(await ContentPage.exists({ slug: 'old-landing' })).toBeNull();
+  });
+
+  it('should keep the legacy routes on the content page', async () => {
+    await seedSections({ slug: 'content', status: 'published' });
+    await seedSections({ slug: 'about', status: 'published' });
+
+    const response = await as('anonymous').get('/api/content-page');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.slug).toBe('content');
+  });
+
+  describe('Draft and published versions', () => {
+    const heroWithTitle = (title: string) => ({
+      type: 'hero',
+      props: { imageUrl: 'https://example.com/hero.jpg', title }
+    });
+
+    it('should keep the live page up while the draft is edited', async () => {
+      await seedSections({ slug: 'homepage', sections: [heroWithTitle('Live')] });
+      await as('editor').patch('/api/admin/content-pages/homepage/publish');
+
+      const saved = await as('editor')
+        .put('/api/admin/content-pages/homepage')
+        .send({ sections: [heroWithTitle('Work in progress')] });
+
+      expect(saved.body.data.status).toBe('published');
+      expect(saved.body.data.hasUnpublishedChanges).toBe(true);
+
+      const response = await as('anonymous').get('/api/content-pages/homepage');
+      expect(response.status).toBe(200);
+      expect(response.body.data.sections[0].props.title).toBe('Live');
+    });
+
+    it('should keep serving a page published before drafts were split out', async () => {
+      await seedSections({ slug: 'content', status: 'published', sections: [heroWithTitle('Legacy')] });
+
+      await as('editor')
+        .post('/api/admin/content-page')
+        .send({ sections: [heroWithTitle('Edited')] });
+
+      const response = await as('anonymous').get('/api/content-page');
+      expect(response.status).toBe(200);
+      expect(response.body.data.sections[0].props.title).toBe('Legacy');
+    });
+
+    it('should number published versions monotonically', async () => {
+      await seedSections({ slug: 'homepage', version: 0 });
+
+      await as('editor').patch('/api/admin/content-pages/homepage/publish');
+      await as('editor').put('/api/admin/content-pages/homepage').send({ sections: [] });
+      await as('editor').patch('/api/admin/content-pages/homepage/publish');
+
+      const response = await as('editor').get('/api/admin/content-pages/homepage/versions');
+
+      expect(response.status).toBe(200);
+      expect(response.body.currentVersion).toBe(2);
+      expect(response.body.data.map((v: any) => v.version)).toEqual([2, 1]);
+    });
+
+    it('should roll back to an earlier version as a new version', async () => {
+      await seedSections({ slug: 'homepage', version: 0, sections: [heroWithTitle('First')] });
+      await as('editor').patch('/api/admin/content-pages/homepage/publish');
+      await as('editor')
+        .put('/api/admin/content-pages/homepage')
+        .send({ sections: [heroWithTitle('Second')] });
+      await as('editor').patch('/api/admin/content-pages/homepage/publish');
+
+      const response = await as('editor')
+        .post('/api/admin/content-pages/homepage/versions/1/rollback');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.version).toBe(3);
+
+      const live = await as('anonymous').get('/api/content-pages/homepage');
+      expect(live.body.data.sections[0].props.title).toBe('First');
+      expect(live.body.data.version).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { as, seedPost } from './setup';
+
+describe('CMS Post Drafts', () => {
+  let postId: string;
+
+  beforeEach(async () => {
+    const post = await seedPost({
+      slug: 'live-article',
+      title: 'Live Title',
+      status: 'published'
+    });
+    postId = post._id.toString();
+  });
+
+  it('should stage edits to a published post without changing the live article', async () => {
+    const response = await as('editor')
+      .patch(`/api/admin/posts/${postId}`)
+      .send({ title: 'Half-finished Title' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Draft saved');
+    expect(response.body.data.title).toBe('Half-finished Title');
+    expect(response.body.data.hasPendingDraft).toBe(true);
+
+    const publicResponse = await as('anonymous').get('/api/posts/live-article');
+
+    expect(publicResponse.status).toBe(200);
+    expect(publicResponse.body.data.title).toBe('Live Title');
+    expect(publicResponse.body.data.draft).toBeUndefined();
+  });
+
+  it('should show the pending draft to editors and the live copy on request', async () => {
+    await as('editor')
+      .patch(`/api/admin/posts/${postId}`)
+      .send({ title: 'Pending Title' });
+
+    const working = await as('editor').get(`/api/admin/posts/${postId}`);
+    expect(working.body.data.title).toBe('Pending Title');
+
+    const live = await as('editor')
+      .get(`/api/admin/posts/${postId}`)
+      .query({ version: 'live' });
+    expect(live.body.data.title).toBe('Live Title');
+  });
+
+  it('should replace the live copy on explicit publish', async () => {
+    await as('editor')
+      .patch(`/api/admin/posts/${postId}`)
+      .send({ title: 'New Live Title' });
+
+    const response = await as('editor')
+      .post(`/api/admin/posts/${postId}/publish`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Published');
+    expect(response.body.data.hasPendingDraft).toBe(false);
+
+    const publicResponse = await as('anonymous').get('/api/posts/live-article');
+    expect(publicResponse.body.data.title).toBe('New Live Title');
+  });
+
+  it('should return 400 when there is nothing to publish', async () => {
+    const response = await as('editor')
+      .post(`/api/admin/posts/${postId}/publish`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('NO_PENDING_DRAFT');
+  });
+
+  it('should discard a pending draft', async () => {
+    await as('editor')
+      .patch(`/api/admin/posts/${postId}`)
+      .send({ title: 'Unwanted Title' });
+
+    const response = await as('editor')
+      .delete(`/api/admin/posts/${postId}/draft`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.title).toBe('Live Title');
+    expect(response.body.data.hasPendingDraft).toBe(false);
+  });
+
+  it('should not leave a stale draft behind bulk status changes', async () => {
+    await as('editor')
+      .patch(`/api/admin/posts/${postId}`)
+      .send({ title: 'Reworked Title' });
+
+    for (const status of ['draft', 'published']) {
+      const response = await as('editor')
+        .patch('/api/v1/posts/bulk')
+        .send({ postIds: [postId], action: 'changeStatus', status });
+      expect(response.body.results).toMatchObject({ success: 1, failed: 0 });
+    }
+
+    const working = await as('editor').get(`/api/admin/posts/${postId}`);
+    expect(working.body.data.title).toBe('Reworked Title');
+    expect(working.body.data.hasPendingDraft).toBe(false);
+
+    const publicResponse = await as('anonymous').get('/api/posts/live-article');
+    expect(publicResponse.body.data.title).toBe('Reworked Title');
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import mongoose from 'mongoose';
+import { as, seedPost } from './setup';
+import GlobalBlock from '../../src/models/GlobalBlock.js';
+
+const newsletter = [{ type: 'text', props: { html: '<p>Join our newsletter</p>' } }];
+
+describe('CMS Global Blocks', () => {
+  let blockId: string;
+
+  beforeEach(async () => {
+    await GlobalBlock.deleteMany({});
+
+    const response = await as('editor')
+      .post('/api/admin/global-blocks')
+      .send({ name: 'Newsletter CTA', sections: newsletter });
+    blockId = response.body.data._id;
+  });
+
+  const publishPageWithBlock = async () => {
+    await as('editor')
+      .put('/api/admin/content-pages/about')
+      .send({ sections: [{ type: 'ref', props: { blockId } }] });
+    await as('editor').patch('/api/admin/content-pages/about/publish');
+  };
+
+  it('should expand published blocks on public reads', async () => {
+    await as('editor').patch(`/api/admin/global-blocks/${blockId}/publish`);
+    await publishPageWithBlock();
+
+    const response = await as('anonymous').get('/api/content-pages/about');
+
+    expect(response.status).toBe(200);
+    const [ref] = response.body.data.sections;
+    expect(ref.type).toBe('ref');
+    expect(ref.props.block.name).toBe('Newsletter CTA');
+    expect(ref.props.block.sections[0].props.html).toBe('<p>Join our newsletter</p>');
+  });
+
+  it('should keep showing the published block while its draft changes', async () => {
+    await as('editor').patch(`/api/admin/global-blocks/${blockId}/publish`);
+    await publishPageWithBlock();
+    await as('editor')
+      .put(`/api/admin/global-blocks/${blockId}`)
+      .send({ sections: [{ type: 'text', props: { html: '<p>Draft copy</p>' } }] });
+
+    const response = await as('anonymous').get('/api/content-pages/about');
+
+    expect(response.body.data.sections[0].props.block.sections[0].props.html).toBe('<p>Join our newsletter</p>');
+  });
+
+  it('should leave out blocks that were never published', async () => {
+    await publishPageWithBlock();
+
+    const response = await as('anonymous').get('/api/content-pages/about');
+
+    expect(response.body.data.sections).toHaveLength(0);
+  });
+
+  it('should reject references to missing blocks', async () => {
+    const response = await as('editor')
+      .put('/api/admin/content-pages/about')
+      .send({ sections: [{ type: 'ref', props: { blockId: new mongoose.Types.ObjectId().toString() } }] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([
+      { path: 'sections.0.props.blockId', message: 'Global block not found' }
+    ]);
+  });
+
+  it('should list where a block is used and refuse to delete it', async () => {
+    await publishPageWithBlock();
+    await seedPost({
+      slug: 'block-post',
+      contentSections: [{ type: 'ref', data: { blockId } }]
+    });
+
+    const usage = await as('editor').get(`/api/admin/global-blocks/${blockId}/usage`);
+
+    expect(usage.status).toBe(200);
+    expect(usage.body.data.contentPages).toEqual([
+      expect.objectContaining({ slug: 'about', path: '/about', live: true, draft: true })
+    ]);
+    expect(usage.body.data.posts).toEqual([
+      expect.objectContaining({ slug: 'block-post', live: false, draft: true })
+    ]);
+
+    const response = await as('admin').delete(`/api/admin/global-blocks/${blockId}`);
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('BLOCK_IN_USE');
+  });
+
+  it('should not let a block embed another block', async () => {
+    const response = await as('editor')
+      .put(`/api/admin/global-blocks/${blockId}`)
+      .send({ sections: [{ type: 'ref', props: { blockId } }] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('A global block cannot contain another block');
+  });
+});
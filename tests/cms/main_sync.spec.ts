@@ -0,0 +1,235 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import http from 'http';
+import { as, seedPost } from './setup';
+import Post from '../../src/models/Post.js';
+import Webhook from '../../src/models/Webhook.js';
+import WebhookDelivery from '../../src/models/WebhookDelivery.js';
+import {
+  createMainSiteClient,
+  pushPost,
+  unpublishPost
+} from '../../src/services/mainSiteSync.js';
+
+// Stub of the main website API. `failures` makes the next N requests fail
+// with `failureStatus`; every request is recorded.
+const stub = {
+  server: null as http.Server | null,
+  url: '',
+  requests: [] as { method: string; url: string; key: string; body: any }[],
+  failures: 0,
+  failureStatus: 503
+};
+
+describe('CMS Main Website Sync', () => {
+  let client: any;
+
+  beforeAll(async () => {
+    stub.server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        stub.requests.push({
+          method: req.method!,
+          url: req.url!,
+          key: req.headers['idempotency-key'] as string,
+          body: raw ? JSON.parse(raw) : null
+        });
+
+        if (stub.failures > 0) {
+          stub.failures--;
+          res.writeHead(stub.failureStatus, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify({ message: 'Unavailable' }));
+        }
+
+        res.writeHead(req.method === 'POST' && req.url === '/api/posts' ? 201 : 200, {
+          'Content-Type': 'application/json'
+        });
+        res.end(JSON.stringify({ id: 'main-123' }));
+      });
+    });
+
+    await new Promise<void>(resolve => stub.server!.listen(0, resolve));
+    const { port } = stub.server!.address() as any;
+    stub.url = `http://127.0.0.1:${port}`;
+
+    process.env.MAIN_WEBSITE_API_URL = stub.url;
+    process.env.MAIN_SYNC_BACKOFF_MS = '1';
+    client = createMainSiteClient({ baseUrl: stub.url, apiKey: 'test-key', retries: 2, backoffMs: 1 });
+  });
+
+  afterAll(async () => {
+    delete process.env.MAIN_WEBSITE_API_URL;
+    delete process.env.MAIN_SYNC_BACKOFF_MS;
+    await new Promise(resolve => stub.server!.close(resolve));
+  });
+
+  beforeEach(() => {
+    stub.requests = [];
+    stub.failures = 0;
+    stub.failureStatus = 503;
+  });
+
+  it('should create a post on first upload and store the main website ID', async () => {
+    const post = await seedPost({ status: 'published' });
+
+    const mainWebsiteId = await pushPost(post, { client });
+
+    expect(mainWebsiteId).toBe('main-123');
+    expect(stub.requests[0].method).toBe('POST');
+    expect(stub.requests[0].url).toBe('/api/posts');
+    expect(stub.requests[0].body.slug).toBe('test-post');
+
+    const updated = await Post.findById(post._id);
+    expect(updated.mainWebsiteId).toBe('main-123');
+    expect(updated.mainSync.status).toBe('synced');
+    expect(updated.mainSync.action).toBe('create');
+  });
+
+  it('should update by main website ID once uploaded', async () => {
+    const post = await seedPost({ status: 'published', mainWebsiteId: 'main-123' });
+
+    await pushPost(post, { client });
+
+    expect(stub.requests[0].method).toBe('PUT');
+    expect(stub.requests[0].url).toBe('/api/posts/main-123');
+  });
+
+  it('should retry with the same idempotency key', async () => {
+    const post = await seedPost({ status: 'published' });
+    stub.failures = 2;
+
+    await pushPost(post, { client });
+
+    expect(stub.requests).toHaveLength(3);
+    expect(new Set(stub.requests.map(r => r.key)).size).toBe(1);
+
+    const updated = await Post.findById(post._id);
+    expect(updated.mainSync.attempts).toBe(3);
+  });
+
+  it('should record the error once retries are exhausted', async () => {
+    const post = await seedPost({ status: 'published' });
+    stub.failures = 10;
+
+    await expect(pushPost(post, { client })).rejects.toThrow('Main website responded 503');
+
+    const updated = await Post.findById(post._id);
+    expect(updated.mainSync.status).toBe('failed');
+    expect(updated.mainSync.error).toContain('503');
+    expect(updated.mainWebsiteId).toBeUndefined();
+  });
+
+  it('should not retry client errors', async () => {
+    const post = await seedPost({ status: 'published' });
+    stub.failures = 1;
+    stub.failureStatus = 422;
+
+    await expect(pushPost(post, { client })).rejects.toThrow('422');
+    expect(stub.requests).toHaveLength(1);
+  });
+
+  it('should not store an ID the main website did not return', async () => {
+    const post = await seedPost({ status: 'published' });
+    const silentClient = createMainSiteClient({
+      baseUrl: stub.url,
+      apiKey: 'test-key',
+      fetch: async () => new Response('{}', { status: 201 })
+    });
+
+    await expect(pushPost(post, { client: silentClient })).rejects.toThrow('Main website returned no id');
+
+    const updated = await Post.findById(post._id);
+    expect(updated.mainWebsiteId).toBeUndefined();
+    expect(updated.mainSync.status).toBe('failed');
+  });
+
+  it('should fall back to the default retries for an invalid setting', async () => {
+    process.env.MAIN_SYNC_RETRIES = '';
+    const post = await seedPost({ status: 'published' });
+    stub.failures = 1;
+
+    try {
+      await expect(pushPost(post)).resolves.toBe('main-123');
+      expect(stub.requests).toHaveLength(2);
+    } finally {
+      delete process.env.MAIN_SYNC_RETRIES;
+    }
+  });
+
+  it('should unpublish on the main website', async () => {
+    const post = await seedPost({ status: 'draft', mainWebsiteId: 'main-123' });
+
+    await unpublishPost(post, { client });
+
+    expect(stub.requests[0].method).toBe('POST');
+    expect(stub.requests[0].url).toBe('/api/posts/main-123/unpublish');
+
+    const updated = await Post.findById(post._id);
+    expect(updated.mainSync.status).toBe('unpublished');
+  });
+
+  it('should upload through the API and publish the post', async () => {
+    const post = await seedPost({ status: 'review' });
+
+    const response = await as('editor')
+      .post(`/api/v1/posts/${post._id}/upload-to-main`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.post.status).toBe('published');
+    expect(response.body.data.post.mainWebsiteId).toBe('main-123');
+  });
+
+  it('should emit post.published once the upload is accepted', async () => {
+    await Webhook.create({ name: 'Search index', url: `${stub.url}/hooks`, events: ['post.published'] });
+    const post = await seedPost({ status: 'review' });
+
+    try {
+      await as('editor').post(`/api/v1/posts/${post._id}/upload-to-main`);
+
+      await vi.waitFor(async () => {
+        expect((await WebhookDelivery.findOne({}))?.status).toBe('delivered');
+      });
+      const hook = stub.requests.find(r => r.url === '/hooks')!;
+      expect(hook.body.event).toBe('post.published');
+      expect(hook.body.data.status).toBe('published');
+    } finally {
+      await Webhook.deleteMany({});
+      await WebhookDelivery.deleteMany({});
+    }
+  });
+
+  it('should leave the post unpublished when the upload fails', async () => {
+    const post = await seedPost({ status: 'review' });
+    stub.failures = 10;
+
+    const response = await as('editor')
+      .post(`/api/v1/posts/${post._id}/upload-to-main`);
+
+    expect(response.status).toBe(502);
+    expect(response.body.code).toBe('MAIN_SYNC_FAILED');
+
+    const updated = await Post.findById(post._id);
+    expect(updated.status).toBe('review');
+    expect(updated.mainSync.status).toBe('failed');
+  });
+
+  it('should propagate unpublish when a live post goes back to draft', async () => {
+    const post = await seedPost({ status: 'published', mainWebsiteId: 'main-123' });
+
+    await as('editor')
+      .patch(`/api/admin/posts/${post._id}`)
+      .send({ status: 'draft' });
+
+    expect(stub.requests.map(r => `${r.method} ${r.url}`)).toContain('POST /api/posts/main-123/unpublish');
+  });
+
+  it('should propagate deletes to the main website', async () => {
+    const post = await seedPost({ status: 'published', mainWebsiteId: 'main-123' });
+
+    const response = await as('admin').delete(`/api/v1/posts/${post._id}`);
+
+    expect(response.status).toBe(200);
+    expect(stub.requests[0].method).toBe('DELETE');
+    expect(stub.requests[0].url).toBe('/api/posts/main-123');
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import exifReader from 'exif-reader';
+import { as } from './setup';
+import Media from '../../src/models/Media.js';
+import { removeVariants } from '../../src/services/imageVariants.js';
+
+// A photo taken in Sydney on a Canon
+const photo = (latitude = '33/1 51/1 5400/100') => sharp({
+  create: { width: 600, height: 400, channels: 3, background: '#e9c46a' }
+}).jpeg().withExif({
+  IFD0: { Make: 'Canon', Model: 'Canon EOS R5', Software: 'Lightroom' },
+  IFD2: { DateTimeOriginal: '2024:05:01 10:20:30' },
+  IFD3: { GPSLatitudeRef: 'S', GPSLatitude: latitude, GPSLongitudeRef: 'E', GPSLongitude: '151/1 12/1 3600/100' }
+}).toBuffer();
+
+// The same photo cut short: its EXIF still reads, but it cannot be re-encoded
+const truncatedPhoto = async () => {
+  const full = await photo();
+  return full.subarray(0, Math.floor(full.length * 0.6));
+};
+
+const upload = async (fields: Record<string, string> = {}, file?: Buffer) => {
+  const request = as('contributor').post('/api/v1/media/upload');
+  for (const [name, value] of Object.entries(fields)) request.field(name, value);
+  return request.attach('file', file || await photo(), 'opera-house.jpg');
+};
+
+const uploadsDir = path.join(process.cwd(), 'uploads');
+const uploadedFiles = () => (fs.existsSync(uploadsDir) ? fs.readdirSync(uploadsDir) : []);
+
+// EXIF of the file as served
+const servedExif = async (media: any) => {
+  const { exif } = await sharp(path.join(process.cwd(), media.url)).metadata();
+  return exif ? exifReader(exif) : undefined;
+};
+
+const restoreEnv = (name: string, value?: string) => {
+  if (value === undefined) delete process.env[name];
+  else process.env[name] = value;
+};
+
+describe('CMS Media EXIF', () => {
+  const originalPolicy = process.env.MEDIA_EXIF_POLICY;
+
+  beforeEach(async () => {
+    delete process.env.MEDIA_EXIF_POLICY;
+    await Media.deleteMany({});
+  });
+
+  afterEach(async () => {
+    restoreEnv('MEDIA_EXIF_POLICY', originalPolicy);
+
+    for (const media of await Media.find({})) {
+      removeVariants(media);
+      fs.rmSync(path.join(process.cwd(), media.url), { force: true });
+    }
+    await Media.deleteMany({});
+  });
+
+  it('should record the camera, capture date and position on upload', async () => {
+    const response = await upload();
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.metadata).toMatchObject({
+      camera: 'Canon EOS R5',
+      software: 'Lightroom',
+      dateTaken: '2024-05-01T10:20:30.000Z',
+      latitude: -33.865,
+      longitude: 151.21,
+      location: '-33.865, 151.21'
+    });
+  });
+
+  it('should strip the GPS position from the served file by default', async () => {
+    const response = await upload();
+    const media = await Media.findById(response.body.data._id);
+
+    expect(media.exifPolicy).toBe('strip-gps');
+    const exif = (await servedExif(media))!;
+    expect(exif.GPSInfo).toBeUndefined();
+    expect(exif.Image!.Model).toBe('Canon EOS R5');
+    expect(exif.Photo!.DateTimeOriginal!.toISOString()).toBe('2024-05-01T10:20:30.000Z');
+    expect(media.size).toBe(fs.statSync(path.join(process.cwd(), media.url)).size);
+  });
+
+  it('should follow the policy asked for by the upload', async () => {
+    const kept = await upload({ exif: 'keep' });
+    expect((await servedExif(kept.body.data))!.GPSInfo!.GPSLatitudeRef).toBe('S');
+
+    const stripped = await upload({ exif: 'strip-all' });
+    expect(await servedExif(stripped.body.data)).toBeUndefined();
+    expect(stripped.body.data.metadata.camera).toBe('Canon EOS R5');
+
+    const invalid = await upload({ exif: 'blur' });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('should fall back to the MEDIA_EXIF_POLICY setting', async () => {
+    process.env.MEDIA_EXIF_POLICY = 'strip-all';
+
+    const response = await upload();
+
+    expect(response.body.data.exifPolicy).toBe('strip-all');
+    expect(await servedExif(response.body.data)).toBeUndefined();
+  });
+
+  it('should keep the policy of the media when its file is replaced', async () => {
+    const uploaded = await upload({ exif: 'strip-all' });
+
+    const replaced = await as('admin')
+      .put(`/api/v1/media/${uploaded.body.data._id}/file`)
+      .attach('file', await photo('40/1 42/1 4600/100'), 'opera-house-2.jpg');
+
+    expect(replaced.status).toBe(200);
+    expect(replaced.body.data.exifPolicy).toBe('strip-all');
+    expect(replaced.body.data.metadata.latitude).toBe(-40.712778);
+    expect(await servedExif(replaced.body.data)).toBeUndefined();
+  });
+
+  it('should reject an upload whose GPS position cannot be stripped', async () => {
+    const before = uploadedFiles();
+
+    const response = await upload({}, await truncatedPhoto());
+
+    expect(response.status).toBe(422);
+    expect(response.body.code).toBe('EXIF_POLICY_FAILED');
+    expect(await Media.countDocuments()).toBe(0);
+
+    // Let the staged file be removed
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(uploadedFiles()).toEqual(before);
+  });
+
+  it('should keep the current file when the replacement cannot be stripped', async () => {
+    const uploaded = await upload();
+    const before = uploadedFiles();
+
+    const replaced = await as('admin')
+      .put(`/api/v1/media/${uploaded.body.data._id}/file`)
+      .attach('file', await truncatedPhoto(), 'opera-house-2.jpg');
+
+    expect(replaced.status).toBe(422);
+    expect(replaced.body.code).toBe('EXIF_POLICY_FAILED');
+
+    const media = await Media.findById(uploaded.body.data._id);
+    expect(media.size).toBe(uploaded.body.data.size);
+    expect((await servedExif(media))!.GPSInfo).toBeUndefined();
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(uploadedFiles()).toEqual(before);
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { as } from './setup';
+import Media from '../../src/models/Media.js';
+import { removeVariants } from '../../src/services/imageVariants.js';
+
+const image = (width: number, height: number, background = '#457b9d') => sharp({
+  create: { width, height, channels: 3, background }
+}).jpeg().toBuffer();
+
+// Just enough of the S3 API for the storage backend, like a local MinIO
+const objects = new Map<string, { body: Buffer, type: string }>();
+const objectStore = http.createServer((req, res) => {
+  const chunks: Buffer[] = [];
+  req.on('data', (chunk: Buffer) => chunks.push(chunk));
+  req.on('end', () => {
+    const key = decodeURIComponent(req.url!.split('?')[0]);
+    const object = objects.get(key);
+
+    if (!req.headers.authorization) {
+      res.writeHead(403);
+    } else if (req.method === 'PUT') {
+      objects.set(key, { body: Buffer.concat(chunks), type: req.headers['content-type'] as string });
+      res.writeHead(200, { ETag: '"etag"' });
+    } else if (req.method === 'DELETE') {
+      objects.delete(key);
+      res.writeHead(204);
+    } else if (req.method === 'GET' && object) {
+      res.writeHead(200, { 'Content-Type': object.type, 'Content-Length': object.body.length });
+      return res.end(object.body);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/xml' });
+      return res.end('<Error><Code>NoSuchKey</Code></Error>');
+    }
+    res.end();
+  });
+});
+
+// Read a binary response body
+const binary = (res: any, callback: any) => {
+  const chunks: Buffer[] = [];
+  res.on('data', (chunk: Buffer) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const upload = async () => as('contributor')
+  .post('/api/v1/media/upload')
+  .attach('file', await image(900, 600), 'lighthouse.jpg');
+
+const STORAGE_ENV = ['MEDIA_STORAGE', 'S3_BUCKET', 'S3_ENDPOINT', 'S3_FORCE_PATH_STYLE', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY', 'MEDIA_VARIANT_SIZES', 'MEDIA_VARIANT_FORMATS'];
+
+const restoreEnv = (name: string, value?: string) => {
+  if (value === undefined) delete process.env[name];
+  else process.env[name] = value;
+};
+
+describe('CMS Media Storage', () => {
+  const originalEnv = Object.fromEntries(STORAGE_ENV.map(name => [name, process.env[name]]));
+  let endpoint: string;
+
+  beforeAll(async () => {
+    await new Promise<void>(resolve => objectStore.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${(objectStore.address() as any).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => objectStore.close(resolve));
+  });
+
+  beforeEach(async () => {
+    Object.assign(process.env, {
+      MEDIA_STORAGE: 's3',
+      S3_BUCKET: 'media',
+      S3_ENDPOINT: endpoint,
+      S3_FORCE_PATH_STYLE: 'true',
+      S3_ACCESS_KEY_ID: 'minio',
+      S3_SECRET_ACCESS_KEY: 'minio-secret',
+      MEDIA_VARIANT_SIZES: JSON.stringify({ thumbnail: 160, card: 400 }),
+      MEDIA_VARIANT_FORMATS: 'webp'
+    });
+    objects.clear();
+    await Media.deleteMany({});
+  });
+
+  afterEach(async () => {
+    for (const item of await Media.find({ storage: 'local' })) {
+      removeVariants(item);
+      fs.rmSync(path.join(process.cwd(), item.url), { force: true });
+    }
+    for (const item of await Media.find({})) {
+      fs.rmSync(path.join(process.cwd(), 'uploads', 'cache', item.filename), { recursive: true, force: true });
+    }
+    STORAGE_ENV.forEach(name => restoreEnv(name, originalEnv[name]));
+    await Media.deleteMany({});
+  });
+
+  it('should keep uploads and their variants in the configured object store', async () => {
+    const response = await upload();
+
+    expect(response.status).toBe(201);
+    const media = await Media.findById(response.body.data._id);
+    expect(media.storage).toBe('s3');
+    expect(media.url).toBe(`${endpoint}/media/${media.filename}`);
+    expect(media.variants.map((v: any) => v.url)).toEqual(media.variants.map((v: any) => `${endpoint}/media/${v.key}`));
+
+    expect([...objects.keys()].sort()).toEqual([
+      `/media/${media.filename}`,
+      ...media.variants.map((v: any) => `/media/${v.key}`)
+    ].sort());
+    expect(objects.get(`/media/${media.filename}`)!.type).toBe('image/jpeg');
+
+    // Nothing is left behind on local disk
+    expect(fs.existsSync(path.join(process.cwd(), 'uploads', media.filename))).toBe(false);
+    for (const variant of media.variants) {
+      expect(fs.existsSync(path.join(process.cwd(), 'uploads', variant.key))).toBe(false);
+    }
+  });
+
+  it('should redirect to stored files and transform from a local copy', async () => {
+    const { body } = await upload();
+
+    const original = await as('anonymous').get(`/api/v1/media/serve/${body.data.filename}`);
+    expect(original.status).toBe(302);
+    expect(original.headers.location).toBe(body.data.url);
+
+    const resized = await as('anonymous')
+      .get(`/api/v1/media/serve/${body.data.filename}?preset=thumbnail&format=webp`)
+      .buffer(true)
+      .parse(binary);
+    expect(resized.status).toBe(200);
+    expect(resized.headers['content-type']).toBe('image/webp');
+    expect((await sharp(resized.body).metadata()).width).toBe(320);
+  });
+
+  it('should overwrite stored files when the file is replaced', async () => {
+    const { body } = await upload();
+    const before = objects.get(`/media/${body.data.filename}`)!.body;
+
+    const replaced = await as('admin')
+      .put(`/api/v1/media/${body.data._id}/file`)
+      .attach('file', await image(600, 600, '#e63946'), 'lighthouse-2.jpg');
+
+    expect(replaced.status).toBe(200);
+    expect(replaced.body.data.url).toBe(body.data.url);
+    expect(Buffer.compare(objects.get(`/media/${body.data.filename}`)!.body, before)).not.toBe(0);
+  });
+
+  it('should delete stored files with the media', async () => {
+    const { body } = await upload();
+
+    const response = await as('admin').delete(`/api/v1/media/${body.data._id}`);
+    expect(response.status).toBe(200);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(objects.size).toBe(0);
+  });
+
+  it('should keep serving files from the storage they were uploaded to', async () => {
+    process.env.MEDIA_STORAGE = 'local';
+    const { body } = await upload();
+    expect(body.data.storage).toBe('local');
+    expect(body.data.url).toBe(`/uploads/${body.data.filename}`);
+
+    process.env.MEDIA_STORAGE = 's3';
+    const served = await as('anonymous').get(`/api/v1/media/serve/${body.data.filename}`);
+
+    expect(served.status).toBe(200);
+    expect(objects.size).toBe(0);
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { as } from './setup';
+import Media from '../../src/models/Media.js';
+import { removeVariants } from '../../src/services/imageVariants.js';
+
+const image = (width: number, height: number, background = '#264653') => sharp({
+  create: { width, height, channels: 3, background }
+}).jpeg().toBuffer();
+
+// Read a binary response body
+const binary = (res: any, callback: any) => {
+  const chunks: Buffer[] = [];
+  res.on('data', (chunk: Buffer) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const serve = (query: string) => as('anonymous')
+  .get(`/api/v1/media/serve/${query}`)
+  .buffer(true)
+  .parse(binary);
+
+const cacheDir = (filename: string) => path.join(process.cwd(), 'uploads', 'cache', filename);
+
+const restoreEnv = (name: string, value?: string) => {
+  if (value === undefined) delete process.env[name];
+  else process.env[name] = value;
+};
+
+describe('CMS Media Transforms', () => {
+  const originalPresets = process.env.MEDIA_TRANSFORM_PRESETS;
+  let media: any;
+
+  beforeEach(async () => {
+    process.env.MEDIA_TRANSFORM_PRESETS = JSON.stringify({
+      card: { width: 400, height: 300, fit: 'cover' },
+      square: { width: 200, height: 200, fit: 'contain', quality: 60 }
+    });
+    await Media.deleteMany({});
+
+    const uploaded = await as('contributor')
+      .post('/api/v1/media/upload')
+      .attach('file', await image(1200, 800), 'harbour.jpg');
+    media = await Media.findById(uploaded.body.data._id);
+  });
+
+  afterEach(async () => {
+    restoreEnv('MEDIA_TRANSFORM_PRESETS', originalPresets);
+
+    for (const item of await Media.find({})) {
+      removeVariants(item);
+      fs.rmSync(path.join(process.cwd(), item.url), { force: true });
+      fs.rmSync(cacheDir(item.filename), { recursive: true, force: true });
+    }
+    await Media.deleteMany({});
+  });
+
+  it('should serve the original with its own content type', async () => {
+    const response = await serve(media.filename);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/jpeg');
+  });
+
+  it('should resize to a preset and convert the format', async () => {
+    const response = await serve(`${media.filename}?preset=card&format=webp`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/webp');
+
+    const metadata = await sharp(response.body).metadata();
+    expect(metadata.format).toBe('webp');
+    expect([metadata.width, metadata.height]).toEqual([400, 300]);
+  });
+
+  it('should accept explicit parameters matching a preset', async () => {
+    const response = await serve(`${media.filename}?width=200&height=200&fit=contain&quality=60&format=avif`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/avif');
+  });
+
+  it('should refuse sizes outside the preset allow-list', async () => {
+    const unlisted = await serve(`${media.filename}?width=401&height=300`);
+    expect(unlisted.status).toBe(400);
+    expect(JSON.parse(unlisted.body.toString()).code).toBe('TRANSFORM_NOT_ALLOWED');
+
+    const unknown = await serve(`${media.filename}?preset=poster`);
+    expect(unknown.status).toBe(400);
+    expect(JSON.parse(unknown.body.toString()).code).toBe('UNKNOWN_PRESET');
+
+    const invalid = await serve(`${media.filename}?fit=stretch`);
+    expect(invalid.status).toBe(400);
+  });
+
+  it('should cache each transform on disk once', async () => {
+    await serve(`${media.filename}?preset=card`);
+    await serve(`${media.filename}?preset=card`);
+    await serve(`${media.filename}?preset=card&format=webp`);
+
+    expect(fs.readdirSync(cacheDir(media.filename))).toHaveLength(2);
+  });
+
+  it('should purge cached transforms when the media is deleted', async () => {
+    await serve(`${media.filename}?preset=card`);
+    expect(fs.existsSync(cacheDir(media.filename))).toBe(true);
+
+    const response = await as('admin').delete(`/api/v1/media/${media._id}`);
+    expect(response.status).toBe(200);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(fs.existsSync(cacheDir(media.filename))).toBe(false);
+  });
+
+  it('should purge cached transforms when the file is replaced', async () => {
+    const before = await serve(`${media.filename}?preset=card`);
+
+    const replaced = await as('admin')
+      .put(`/api/v1/media/${media._id}/file`)
+      .attach('file', await image(900, 900, '#e76f51'), 'harbour-new.jpg');
+
+    expect(replaced.status).toBe(200);
+    expect(replaced.body.data.url).toBe(media.url);
+    expect(replaced.body.data.dimensions).toEqual({ width: 900, height: 900 });
+
+    const after = await serve(`${media.filename}?preset=card`);
+    expect(after.status).toBe(200);
+    expect(Buffer.compare(before.body, after.body)).not.toBe(0);
+  });
+
+  it('should only accept a replacement of the same type', async () => {
+    const response = await as('admin')
+      .put(`/api/v1/media/${media._id}/file`)
+      .attach('file', Buffer.from('plain text'), { filename: 'notes.txt', contentType: 'text/plain' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Replacement must have the same type as the original (image/jpeg)');
+  });
+});
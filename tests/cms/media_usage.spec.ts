@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import mongoose from 'mongoose';
+import { as, seedPost, seedSections } from './setup';
+import Media from '../../src/models/Media.js';
+import Post from '../../src/models/Post.js';
+import Category from '../../src/models/Category.js';
+import User from '../../src/models/User.js';
+
+const seedMedia = (filename: string) => Media.create({
+  filename,
+  originalName: filename,
+  url: `/uploads/${filename}`,
+  variants: [{ name: 'card', format: 'webp', key: filename.replace('.jpg', '-card.webp'), url: `/uploads/${filename.replace('.jpg', '-card.webp')}` }],
+  type: 'image',
+  mimeType: 'image/jpeg',
+  size: 1024,
+  uploadedBy: new mongoose.Types.ObjectId()
+});
+
+const usageOf = async (media: any) => {
+  const { usage } = await Media.findById(media._id).lean();
+  return usage.map((entry: any) => `${entry.type}:${entry.field}`).sort();
+};
+
+describe('CMS Media Usage', () => {
+  let beach: any;
+  let harbour: any;
+
+  beforeEach(async () => {
+    await Media.deleteMany({});
+    await Category.deleteMany({});
+    beach = await seedMedia('beach.jpg');
+    harbour = await seedMedia('harbour.jpg');
+  });
+
+  afterEach(async () => {
+    await Media.deleteMany({});
+    await Category.deleteMany({});
+  });
+
+  it('should record posts using a file as featured image or in sections', async () => {
+    const post = await seedPost({
+      featuredImage: { url: beach.url, alt: 'Beach' },
+      contentSections: [
+        { type: 'gallery', data: { images: [{ url: '/uploads/harbour-card.webp' }] } },
+        { type: 'text', data: { content: `<p>Back at <img src="/api/v1/media/serve/beach.jpg?preset=card"></p>` } }
+      ]
+    });
+
+    expect(await usageOf(beach)).toEqual(['post:contentSections', 'post:featuredImage']);
+    expect(await usageOf(harbour)).toEqual(['post:contentSections']);
+
+    // Saving again without the gallery drops that usage
+    post.contentSections = [];
+    await post.save();
+
+    expect(await usageOf(beach)).toEqual(['post:featuredImage']);
+    expect(await usageOf(harbour)).toEqual([]);
+  });
+
+  it('should record content pages, categories and avatars', async () => {
+    await seedSections({
+      slug: 'islands',
+      sections: [{ type: 'hero', props: { imageUrl: beach.url, title: 'Islands' } }]
+    });
+    await Category.create({ name: 'Harbours', slug: 'harbours', image: { url: harbour.url } });
+    const user = await User.create({
+      firstName: 'Ana',
+      lastName: 'Silva',
+      email: 'ana@example.com',
+      password: 'password123'
+    });
+    await User.findByIdAndUpdate(user._id, { avatar: { url: harbour.url } });
+
+    expect(await usageOf(beach)).toEqual(['page:sections']);
+    expect(await usageOf(harbour)).toEqual(['avatar:avatar', 'category:image']);
+  });
+
+  it('should drop the usage of deleted documents', async () => {
+    const post = await seedPost({ featuredImage: { url: beach.url } });
+
+    await Post.findByIdAndDelete(post._id);
+
+    expect(await usageOf(beach)).toEqual([]);
+  });
+
+  it('should list where a file is used', async () => {
+    const post = await seedPost({ title: 'Beach Days', slug: 'beach-days', featuredImage: { url: beach.url } });
+
+    const response = await as('contributor').get(`/api/v1/media/${beach._id}/usage`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(1);
+    expect(response.body.data[0]).toMatchObject({
+      type: 'post',
+      referenceType: 'Post',
+      referenceId: post._id.toString(),
+      fields: ['featuredImage'],
+      title: 'Beach Days',
+      slug: 'beach-days'
+    });
+  });
+
+  it('should refuse to delete a file in use unless forced', async () => {
+    await seedPost({ featuredImage: { url: beach.url } });
+
+    const refused = await as('admin').delete(`/api/v1/media/${beach._id}`);
+    expect(refused.status).toBe(409);
+    expect(refused.body.code).toBe('MEDIA_IN_USE');
+    expect(refused.body.usedIn).toHaveLength(1);
+    expect(await Media.findById(beach._id)).not.toBeNull();
+
+    const bulk = await as('admin').delete('/api/v1/media/bulk').send({ mediaIds: [beach._id, harbour._id] });
+    expect(bulk.status).toBe(409);
+    expect(bulk.body.code).toBe('MEDIA_IN_USE');
+    expect(bulk.body.inUse).toEqual([
+      expect.objectContaining({ id: beach._id.toString(), usedIn: [expect.objectContaining({ type: 'post' })] })
+    ]);
+    expect(await Media.findById(harbour._id)).not.toBeNull();
+
+    const forced = await as('admin').delete(`/api/v1/media/${beach._id}?force=true`);
+    expect(forced.status).toBe(200);
+    expect(await Media.findById(beach._id)).toBeNull();
+  });
+
+  it('should protect files uploaded before tracking until usage is synced', async () => {
+    // Written straight to the collections, as before usage tracking existed
+    const { insertedId: mediaId } = await Media.collection.insertOne({
+      filename: 'lagoon.jpg',
+      originalName: 'lagoon.jpg',
+      url: '/uploads/lagoon.jpg',
+      variants: [],
+      type: 'image',
+      mimeType: 'image/jpeg',
+      size: 1024,
+      usage: []
+    });
+    const { insertedId: postId } = await Post.collection.insertOne({
+      title: 'Lagoon Days',
+      slug: 'lagoon-days',
+      status: 'published',
+      featuredImage: { url: '/uploads/lagoon.jpg' },
+      contentSections: []
+    });
+
+    const refused = await as('admin').delete(`/api/v1/media/${mediaId}`);
+    expect(refused.status).toBe(409);
+    expect(refused.body.code).toBe('MEDIA_IN_USE');
+    expect(refused.body.usedIn[0]).toMatchObject({
+      type: 'post',
+      referenceId: postId.toString(),
+      fields: ['featuredImage'],
+      title: 'Lagoon Days'
+    });
+
+    // What npm run sync:media-usage does
+    await Post.syncMediaUsage(postId);
+    await Media.updateMany({ usageSyncedAt: { $exists: false } }, { usageSyncedAt: new Date() });
+
+    const usage = await as('contributor').get(`/api/v1/media/${mediaId}/usage`);
+    expect(usage.body.count).toBe(1);
+    expect(await usageOf({ _id: mediaId })).toEqual(['post:featuredImage']);
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { as, seedPost, seedSections } from './setup';
+import Media from '../../src/models/Media.js';
+import { removeVariants } from '../../src/services/imageVariants.js';
+
+const image = (width: number, height: number) => sharp({
+  create: { width, height, channels: 3, background: '#2a9d8f' }
+}).jpeg().toBuffer();
+
+const upload = async (width = 800, height = 600) => as('contributor')
+  .post('/api/v1/media/upload')
+  .attach('file', await image(width, height), 'beach.jpg');
+
+const restoreEnv = (name: string, value?: string) => {
+  if (value === undefined) delete process.env[name];
+  else process.env[name] = value;
+};
+
+describe('CMS Media Variants', () => {
+  const originalSizes = process.env.MEDIA_VARIANT_SIZES;
+  const originalFormats = process.env.MEDIA_VARIANT_FORMATS;
+
+  beforeEach(async () => {
+    process.env.MEDIA_VARIANT_SIZES = JSON.stringify({ thumbnail: 160, card: 400, hero: 1200 });
+    delete process.env.MEDIA_VARIANT_FORMATS;
+    await Media.deleteMany({});
+  });
+
+  afterEach(async () => {
+    restoreEnv('MEDIA_VARIANT_SIZES', originalSizes);
+    restoreEnv('MEDIA_VARIANT_FORMATS', originalFormats);
+
+    // Remove the files the uploads wrote
+    for (const media of await Media.find({})) {
+      removeVariants(media);
+      fs.rmSync(path.join(process.cwd(), media.url), { force: true });
+    }
+    await Media.deleteMany({});
+  });
+
+  it('should record resized AVIF, WebP and original-format variants on upload', async () => {
+    const response = await upload();
+
+    expect(response.status).toBe(201);
+    const media = await Media.findById(response.body.data._id);
+
+    expect(media.variants.map((v: any) => `${v.name}:${v.format}:${v.width}x${v.height}`)).toEqual([
+      'thumbnail:avif:160x120', 'thumbnail:webp:160x120', 'thumbnail:jpeg:160x120',
+      'card:avif:400x300', 'card:webp:400x300', 'card:jpeg:400x300',
+      'hero:avif:800x600', 'hero:webp:800x600', 'hero:jpeg:800x600'
+    ]);
+    for (const variant of media.variants) {
+      expect(variant.size).toBeGreaterThan(0);
+      expect(fs.existsSync(path.join(process.cwd(), variant.url))).toBe(true);
+    }
+    expect(media.thumbnailUrl).toMatch(/-thumbnail\.jpg$/);
+  });
+
+  it('should never enlarge small images', async () => {
+    process.env.MEDIA_VARIANT_FORMATS = 'webp';
+
+    const response = await upload(300, 200);
+
+    const media = await Media.findById(response.body.data._id);
+    expect(media.variants.map((v: any) => `${v.name}:${v.width}`)).toEqual(['thumbnail:160', 'card:300']);
+  });
+
+  it('should remove variant files when the media is deleted', async () => {
+    const response = await upload();
+    const media = await Media.findById(response.body.data._id);
+
+    const deleted = await as('admin').delete(`/api/v1/media/${media._id}`);
+    expect(deleted.status).toBe(200);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    for (const variant of media.variants) {
+      expect(fs.existsSync(path.join(process.cwd(), variant.url))).toBe(false);
+    }
+  });
+
+  it('should include srcset-ready variants in post responses on request', async () => {
+    const uploaded = await upload();
+    const url = uploaded.body.data.url;
+    await seedPost({ slug: 'beach-post', status: 'published', featuredImage: { url, alt: 'Beach' } });
+
+    const plain = await as('anonymous').get('/api/posts/beach-post');
+    expect(plain.body.data.images).toBeUndefined();
+
+    const response = await as('anonymous').get('/api/posts/beach-post?include=variants');
+
+    expect(response.status).toBe(200);
+    const entry = response.body.data.images[url];
+    expect(entry.width).toBe(800);
+    expect(entry.sources.map((source: any) => source.type)).toEqual(['image/avif', 'image/webp', 'image/jpeg']);
+    expect(entry.sources[1].srcset).toMatch(/-thumbnail\.webp 160w, .*-card\.webp 400w, .*-hero\.webp 800w$/);
+  });
+
+  it('should include variants of section images in content page responses', async () => {
+    const uploaded = await upload();
+    const url = uploaded.body.data.url;
+    await seedSections({
+      slug: 'islands',
+      status: 'published',
+      sections: [{ type: 'hero', props: { imageUrl: url, title: 'Islands' } }]
+    });
+
+    const response = await as('anonymous').get('/api/content-pages/islands?include=variants');
+
+    expect(response.status).toBe(200);
+    expect(Object.keys(response.body.data.images)).toEqual([url]);
+  });
+
+  it('should render section images with their variants', async () => {
+    const uploaded = await upload();
+    const url = uploaded.body.data.url;
+    await seedPost({
+      slug: 'beach-post',
+      status: 'published',
+      contentSections: [{ type: 'image', data: { imageUrl: url, altText: 'Beach' } }]
+    });
+
+    const response = await as('anonymous').get('/api/posts/beach-post?format=html');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.images).toBeUndefined();
+    expect(response.body.data.html).toContain('<picture><source type="image/avif" srcset="');
+    expect(response.body.data.html).toMatch(/<source type="image\/webp" srcset="[^"]*-card\.webp 400w/);
+    expect(response.body.data.html).toContain(`src="${url}" alt="Beach" width="800" height="600"`);
+  });
+
+  it('should reject unknown includes', async () => {
+    await seedPost({ slug: 'beach-post', status: 'published' });
+
+    const response = await as('anonymous').get('/api/posts/beach-post?include=everything');
+
+    expect(response.status).toBe(400);
+  });
+});
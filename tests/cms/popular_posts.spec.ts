@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import mongoose from 'mongoose';
+import { as, seedPost, seedSections } from './setup';
+import Category from '../../src/models/Category.js';
+
+describe('CMS Popular Posts Sections', () => {
+  let live: any;
+  let hidden: any;
+
+  beforeEach(async () => {
+    await Category.deleteMany({});
+    const category = await Category.create({ name: 'Beaches', slug: 'beaches', color: '#FFAA00' });
+
+    live = await seedPost({
+      slug: 'live-post',
+      title: 'Live Post',
+      excerpt: 'Sun and sand',
+      status: 'published',
+      featuredImage: { url: 'https://example.com/live.jpg', alt: 'Beach' },
+      categories: [category._id],
+      stats: { views: 10 }
+    });
+    hidden = await seedPost({ slug: 'hidden-post', title: 'Hidden Post', status: 'draft' });
+  });
+
+  const publishPage = async (props: any) => {
+    await seedSections({ sections: [{ type: 'popularPosts', props }] });
+    await as('editor').patch('/api/admin/content-page/publish');
+    return as('anonymous').get('/api/content-page');
+  };
+
+  it('should resolve post ids into live cards and drop unpublished or deleted posts', async () => {
+    const response = await publishPage({
+      postIds: [hidden._id.toString(), live._id.toString(), new mongoose.Types.ObjectId().toString()]
+    });
+
+    expect(response.status).toBe(200);
+    const { posts } = response.body.data.sections[0].props;
+    expect(posts).toHaveLength(1);
+    expect(posts[0]).toMatchObject({
+      title: 'Live Post',
+      slug: 'live-post',
+      excerpt: 'Sun and sand',
+      featuredImage: { url: 'https://example.com/live.jpg', alt: 'Beach' },
+      category: { name: 'Beaches', slug: 'beaches', color: '#FFAA00' }
+    });
+    expect(posts[0].readingTime).toBeGreaterThan(0);
+  });
+
+  it('should fill auto sections with the most viewed posts', async () => {
+    await seedPost({ slug: 'quiet-post', title: 'Quiet Post', status: 'published', stats: { views: 1 } });
+
+    const response = await publishPage({ mode: 'auto', limit: 2 });
+
+    const { posts } = response.body.data.sections[0].props;
+    expect(posts.map((p: any) => p.slug)).toEqual(['live-post', 'quiet-post']);
+  });
+
+  it('should leave the post itself out of its own auto section', async () => {
+    await seedPost({
+      slug: 'reader-post',
+      title: 'Reader Post',
+      status: 'published',
+      stats: { views: 100 },
+      contentSections: [{ type: 'popular-posts', data: { mode: 'auto', limit: 3 } }]
+    });
+
+    const response = await as('anonymous').get('/api/posts/reader-post');
+
+    const { posts } = response.body.data.contentSections[0].data;
+    expect(posts.map((p: any) => p.slug)).toEqual(['live-post']);
+  });
+
+  it('should require post ids unless the section is in auto mode', async () => {
+    const response = await as('editor')
+      .post('/api/admin/content-page')
+      .send({ sections: [{ type: 'popularPosts', props: { postIds: [] } }] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Select at least one post');
+    expect(response.body.errors[0].path).toBe('sections.0.props.postIds');
+  });
+});
@@ -104,6 +104,7 @@ describe('CMS Posts API', () => {
         .patch(`/api/admin/posts/${postId}`)
         .send({
           status: 'published',
+          body: '',
           tags: ['test']
         });
 
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { as, seedPost, seedSections } from './setup';
 import { PreviewResponseSchema, ApiResponseSchema } from './contracts';
+import RevalidationDelivery from '../../src/models/RevalidationDelivery.js';
 
 // Mock fetch for webhook testing
 global.fetch = vi.fn();
@@ -52,6 +53,71 @@ describe('CMS Preview and Publish', () => {
     });
   });
 
+  describe('GET /api/preview/:id', () => {
+    const previewPath = async (postId: string) => {
+      const response = await as('admin').get(`/api/admin/posts/${postId}/preview`);
+      return `/api${response.body.previewUrl}`;
+    };
+
+    it('should return the unpublished post for a valid link', async () => {
+      const post = await seedPost({
+        title: 'Unpublished Post',
+        contentSections: [{ type: 'text', data: { content: 'Draft section' } }]
+      });
+
+      const response = await as('anonymous').get(await previewPath(post._id.toString()));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.title).toBe('Unpublished Post');
+      expect(response.body.data.contentSections).toHaveLength(1);
+      expect(response.headers['cache-control']).toContain('no-store');
+    });
+
+    it('should reject a tampered link', async () => {
+      const post = await seedPost();
+      const path = await previewPath(post._id.toString());
+
+      const tampered = path.slice(0, -1) + (path.endsWith('0') ? '1' : '0');
+
+      const response = await as('anonymous').get(tampered);
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('PREVIEW_INVALID');
+    });
+
+    it('should reject an expired link', async () => {
+      const post = await seedPost();
+      const path = await previewPath(post._id.toString());
+
+      vi.useFakeTimers({ now: Date.now() + 2 * 60 * 60 * 1000, toFake: ['Date'] });
+      try {
+        const response = await as('anonymous').get(path);
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('PREVIEW_EXPIRED');
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should reject links issued before they were revoked', async () => {
+      const post = await seedPost();
+      const path = await previewPath(post._id.toString());
+
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const revoke = await as('editor').delete(`/api/admin/posts/${post._id}/preview`);
+      expect(revoke.status).toBe(200);
+
+      const response = await as('anonymous').get(path);
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('PREVIEW_REVOKED');
+
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const fresh = await as('anonymous').get(await previewPath(post._id.toString()));
+      expect(fresh.status).toBe(200);
+    });
+  });
+
   describe('PATCH /api/admin/content-page/publish', () => {
     beforeEach(() => {
       vi.clearAllMocks();
@@ -148,18 +214,18 @@ describe('CMS Preview and Publish', () => {
 
       expect(response.status).toBe(200);
 
-      // Verify webhook was called
-      expect(global.fetch).toHaveBeenCalledWith(
+      // Verify webhook was called; it is sent after the response
+      await vi.waitFor(() => expect(global.fetch).toHaveBeenCalledWith(
         'https://example.com/revalidate',
-        {
+        expect.objectContaining({
           method: 'POST',
-          headers: {
+          headers: expect.objectContaining({
             'Content-Type': 'application/json',
-            'X-Revalidate-Secret': 'test-secret'
-          },
+            'X-Revalidate-Signature': expect.stringMatching(/^sha256=[0-9a-f]{64}$/)
+          }),
           body: JSON.stringify({ path: '/content-page' })
-        }
-      );
+        })
+      ));
 
       // Restore environment variables
       process.env.REVALIDATE_WEBHOOK_URL = originalWebhookUrl;
@@ -184,6 +250,12 @@ describe('CMS Preview and Publish', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
 
+      // The failure is recorded on the delivery for a retry
+      await vi.waitFor(async () => {
+        const delivery = await RevalidationDelivery.findOne({ path: '/content-page' }).sort({ createdAt: -1 });
+        expect(delivery.attempts[0].error).toBe('Frontend unreachable: Network error');
+      });
+
       // Restore environment variables
       process.env.REVALIDATE_WEBHOOK_URL = originalWebhookUrl;
     });
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { as, seedPost } from './setup';
+import Redirect from '../../src/models/Redirect.js';
+import Category from '../../src/models/Category.js';
+
+describe('CMS Slug Redirects', () => {
+  beforeEach(async () => {
+    await Redirect.deleteMany({});
+    await Category.deleteMany({});
+  });
+
+  describe('Posts', () => {
+    it('should redirect the old slug of a published post', async () => {
+      const post = await seedPost({
+        slug: 'old-slug',
+        status: 'published',
+        publishedAt: new Date()
+      });
+
+      await as('editor')
+        .patch(`/api/admin/posts/${post._id}`)
+        .send({ slug: 'new-slug' });
+
+      const response = await as('anonymous').get('/api/posts/old-slug');
+
+      expect(response.status).toBe(301);
+      expect(response.headers.location).toBe('/api/posts/new-slug');
+      expect(response.body.redirect.slug).toBe('new-slug');
+    });
+
+    it('should collapse chains of slug changes', async () => {
+      const post = await seedPost({
+        slug: 'first-slug',
+        status: 'published',
+        publishedAt: new Date()
+      });
+
+      await as('editor').patch(`/api/admin/posts/${post._id}`).send({ slug: 'second-slug' });
+      await as('editor').patch(`/api/admin/posts/${post._id}`).send({ slug: 'third-slug' });
+
+      const redirect = await Redirect.findOne({ type: 'post', fromSlug: 'first-slug' });
+      expect(redirect.toSlug).toBe('third-slug');
+    });
+
+    it('should drop the redirect when a post takes its old slug back', async () => {
+      const post = await seedPost({
+        slug: 'original',
+        status: 'published',
+        publishedAt: new Date()
+      });
+
+      await as('editor').patch(`/api/admin/posts/${post._id}`).send({ slug: 'renamed' });
+      await as('editor').patch(`/api/admin/posts/${post._id}`).send({ slug: 'original' });
+
+      const response = await as('anonymous').get('/api/posts/original');
+      expect(response.status).toBe(200);
+      expect(await Redirect.exists({ type: 'post', fromSlug: 'original' })).toBeNull();
+    });
+
+    it('should not record redirects for posts that were never public', async () => {
+      const post = await seedPost({ slug: 'draft-slug' });
+
+      await as('editor').patch(`/api/admin/posts/${post._id}`).send({ slug: 'other-slug' });
+
+      expect(await Redirect.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Categories', () => {
+    it('should redirect the old slug of a category', async () => {
+      const category = await Category.create({ name: 'Beaches', slug: 'beaches' });
+      await Redirect.recordSlugChange('category', category, 'sandy-beaches', 'beaches');
+
+      const response = await as('anonymous').get('/api/categories/sandy-beaches');
+
+      expect(response.status).toBe(301);
+      expect(response.headers.location).toBe('/api/categories/beaches');
+    });
+  });
+
+  describe('Admin', () => {
+    it('should create and list redirects', async () => {
+      const created = await as('admin')
+        .post('/api/admin/redirects')
+        .send({ type: 'post', fromSlug: 'legacy-url', toSlug: 'current-url' });
+
+      expect(created.status).toBe(201);
+
+      const list = await as('admin').get('/api/admin/redirects');
+      expect(list.body.total).toBe(1);
+      expect(list.body.rows[0].fromSlug).toBe('legacy-url');
+    });
+
+    it('should reject redirects that would loop', async () => {
+      await Redirect.create({ type: 'post', fromSlug: 'a', toSlug: 'b' });
+      await Redirect.create({ type: 'post', fromSlug: 'b', toSlug: 'c' });
+
+      const response = await as('admin')
+        .post('/api/admin/redirects')
+        .send({ type: 'post', fromSlug: 'c', toSlug: 'a' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('REDIRECT_LOOP');
+    });
+
+    it('should reject redirects from a slug that is in use', async () => {
+      await seedPost({ slug: 'taken', status: 'published' });
+
+      const response = await as('admin')
+        .post('/api/admin/redirects')
+        .send({ type: 'post', fromSlug: 'taken', toSlug: 'elsewhere' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('SLUG_IN_USE');
+    });
+
+    it('should reject duplicate redirects', async () => {
+      await Redirect.create({ type: 'post', fromSlug: 'legacy-url', toSlug: 'one' });
+
+      const response = await as('admin')
+        .post('/api/admin/redirects')
+        .send({ type: 'post', fromSlug: 'legacy-url', toSlug: 'two' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('REDIRECT_EXISTS');
+    });
+
+    it('should not let editors manage redirects', async () => {
+      const response = await as('editor').get('/api/admin/redirects');
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -1,69 +1,147 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach } from 'vitest';
 import { as } from './setup';
 import { ApiResponseSchema, ErrorResponseSchema } from './contracts';
+import RevalidateNonce from '../../src/models/RevalidateNonce.js';
+import { signRevalidation } from '../../src/utils/revalidateSignature.js';
+
+let counter = 0;
+
+// Send `body` as a signed revalidation request; `headers` overrides the signed ones
+const signedRequest = (body: any, headers: Record<string, string> = {}) => {
+  const raw = JSON.stringify(body);
+  const timestamp = String(Date.now());
+  const nonce = `nonce-${Date.now()}-${counter++}`;
+
+  const request = as('anonymous')
+    .post('/api/revalidate')
+    .set('Content-Type', 'application/json')
+    .set('X-Revalidate-Timestamp', timestamp)
+    .set('X-Revalidate-Nonce', nonce)
+    .set('X-Revalidate-Signature', signRevalidation(timestamp, nonce, raw, 'test-revalidate-secret'));
+
+  for (const [name, value] of Object.entries(headers)) {
+    request.set(name, value);
+  }
+
+  return request.send(raw);
+};
 
 describe('CMS Revalidation Webhook', () => {
   describe('POST /api/revalidate', () => {
-    it('should revalidate path with correct secret', async () => {
-      const response = await as('anonymous')
-        .post('/api/revalidate')
-        .set('X-Revalidate-Secret', 'test-revalidate-secret')
-        .send({ path: '/content-page' });
+    beforeEach(async () => {
+      await RevalidateNonce.deleteMany({});
+    });
+
+    it('should revalidate a batch of paths and tags with a valid signature', async () => {
+      const response = await signedRequest({ paths: ['/content-page', '/posts/hello'], tags: ['posts'] });
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.message).toBe('Path revalidated successfully');
-      expect(response.body.path).toBe('/content-page');
+      expect(response.body.message).toBe('Revalidated successfully');
+      expect(response.body.paths).toEqual(['/content-page', '/posts/hello']);
+      expect(response.body.tags).toEqual(['posts']);
 
       // Validate response structure
       const validation = ApiResponseSchema.safeParse(response.body);
       expect(validation.success).toBe(true);
     });
 
-    it('should return 401 with invalid secret', async () => {
-      const response = await as('anonymous')
-        .post('/api/revalidate')
-        .set('X-Revalidate-Secret', 'wrong-secret')
-        .send({ path: '/content-page' });
+    it('should still accept a single path', async () => {
+      const response = await signedRequest({ path: '/content-page' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.paths).toEqual(['/content-page']);
+    });
+
+    it('should default to the homepage when nothing is listed', async () => {
+      const response = await signedRequest({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.paths).toEqual(['/']);
+    });
+
+    it('should return 401 with an invalid signature', async () => {
+      const response = await signedRequest({ paths: ['/content-page'] }, {
+        'X-Revalidate-Signature': signRevalidation(String(Date.now()), 'nonce', '{}', 'wrong-secret')
+      });
 
       expect(response.status).toBe(401);
       expect(response.body.success).toBe(false);
-      expect(response.body.message).toBe('Invalid secret');
+      expect(response.body.code).toBe('SIGNATURE_INVALID');
+      expect(response.body.message).toBe('Invalid signature');
 
       const validation = ErrorResponseSchema.safeParse(response.body);
       expect(validation.success).toBe(true);
     });
 
-    it('should return 401 without secret header', async () => {
+    it('should return 401 for a body changed after signing', async () => {
+      const timestamp = String(Date.now());
+      const signature = signRevalidation(timestamp, 'tampered', JSON.stringify({ paths: ['/'] }), 'test-revalidate-secret');
+
       const response = await as('anonymous')
         .post('/api/revalidate')
-        .send({ path: '/content-page' });
+        .set('X-Revalidate-Timestamp', timestamp)
+        .set('X-Revalidate-Nonce', 'tampered')
+        .set('X-Revalidate-Signature', signature)
+        .send({ paths: ['/admin'] });
 
       expect(response.status).toBe(401);
-      expect(response.body.success).toBe(false);
-      expect(response.body.message).toBe('Invalid secret');
+      expect(response.body.code).toBe('SIGNATURE_INVALID');
     });
 
-    it('should handle missing path parameter', async () => {
+    it('should return 401 without signature headers', async () => {
       const response = await as('anonymous')
         .post('/api/revalidate')
         .set('X-Revalidate-Secret', 'test-revalidate-secret')
-        .send({});
+        .send({ path: '/content-page' });
 
-      expect(response.status).toBe(200);
-      expect(response.body.success).toBe(true);
-      expect(response.body.path).toBe('/'); // Default path
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('SIGNATURE_MISSING');
     });
 
-    it('should validate path parameter format', async () => {
+    it('should return 401 for requests signed too long ago', async () => {
+      const timestamp = String(Date.now() - 10 * 60 * 1000);
+      const raw = JSON.stringify({ paths: ['/'] });
+
       const response = await as('anonymous')
         .post('/api/revalidate')
-        .set('X-Revalidate-Secret', 'test-revalidate-secret')
-        .send({ path: 123 }); // Invalid path type
+        .set('Content-Type', 'application/json')
+        .set('X-Revalidate-Timestamp', timestamp)
+        .set('X-Revalidate-Nonce', 'old')
+        .set('X-Revalidate-Signature', signRevalidation(timestamp, 'old', raw, 'test-revalidate-secret'))
+        .send(raw);
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('SIGNATURE_EXPIRED');
+    });
+
+    it('should refuse a replayed request', async () => {
+      const raw = JSON.stringify({ paths: ['/'] });
+      const timestamp = String(Date.now());
+      const send = () => as('anonymous')
+        .post('/api/revalidate')
+        .set('Content-Type', 'application/json')
+        .set('X-Revalidate-Timestamp', timestamp)
+        .set('X-Revalidate-Nonce', 'once')
+        .set('X-Revalidate-Signature', signRevalidation(timestamp, 'once', raw, 'test-revalidate-secret'))
+        .send(raw);
+
+      expect((await send()).status).toBe(200);
+
+      const replayed = await send();
+      expect(replayed.status).toBe(401);
+      expect(replayed.body.code).toBe('SIGNATURE_REPLAYED');
+    });
+
+    it('should validate paths', async () => {
+      const response = await signedRequest({ paths: ['no-leading-slash'] });
 
       expect(response.status).toBe(400);
       expect(response.body.success).toBe(false);
       expect(response.body.message).toBe('Invalid request');
+
+      const single = await signedRequest({ path: 'no-leading-slash' });
+      expect(single.status).toBe(400);
     });
   });
 });
@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { as } from './setup';
+import RevalidationDelivery from '../../src/models/RevalidationDelivery.js';
+import { triggerRevalidation, retryDueDeliveries } from '../../src/services/revalidation.js';
+import { signRevalidation } from '../../src/utils/revalidateSignature.js';
+
+// Mock fetch for webhook testing
+global.fetch = vi.fn();
+
+const respond = (status: number, body = '') => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => body
+});
+
+// Jump past the retry backoff instead of waiting for it
+const later = () => new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+// Deliveries are sent after triggerRevalidation resolves; wait for their
+// first attempt and resolve them in the order they were queued
+const firstAttempts = () => vi.waitFor(async () => {
+  const deliveries = await RevalidationDelivery.find({}).sort({ _id: 1 });
+  expect(deliveries.every((delivery: any) => delivery.attempts.length > 0)).toBe(true);
+  return deliveries;
+});
+
+describe('CMS Revalidation Deliveries', () => {
+  const originalTargets = process.env.REVALIDATE_TARGETS;
+
+  beforeEach(async () => {
+    await RevalidationDelivery.deleteMany({});
+    (global.fetch as any).mockReset();
+    process.env.REVALIDATE_TARGETS = JSON.stringify([
+      { name: 'web', url: 'https://web.example.com/api/revalidate', secret: 'web-secret' },
+      { name: 'app', url: 'https://app.example.com/api/revalidate', secret: 'app-secret' }
+    ]);
+  });
+
+  afterEach(() => {
+    process.env.REVALIDATE_TARGETS = originalTargets;
+  });
+
+  it('should deliver a path to every configured frontend and log the response', async () => {
+    (global.fetch as any).mockResolvedValue(respond(200, '{"revalidated":true}'));
+
+    const queued = await triggerRevalidation('/about');
+    expect(queued.map((d: any) => d.status)).toEqual(['pending', 'pending']);
+
+    const deliveries = await firstAttempts();
+    expect(deliveries.map((d: any) => d.status)).toEqual(['delivered', 'delivered']);
+
+    const [, init] = (global.fetch as any).mock.calls
+      .find(([url]: any) => url === 'https://app.example.com/api/revalidate');
+    const { 'X-Revalidate-Timestamp': timestamp, 'X-Revalidate-Nonce': nonce } = init.headers;
+    expect(init.body).toBe(JSON.stringify({ path: '/about' }));
+    expect(init.headers['X-Revalidate-Signature']).toBe(signRevalidation(timestamp, nonce, init.body, 'app-secret'));
+    expect(init.headers['X-Revalidate-Secret']).toBeUndefined();
+
+    const logged = await RevalidationDelivery.findOne({ target: 'web' });
+    expect(logged.attempts).toHaveLength(1);
+    expect(logged.attempts[0].statusCode).toBe(200);
+    expect(logged.attempts[0].response).toBe('{"revalidated":true}');
+  });
+
+  it('should retry server errors with backoff until delivered', async () => {
+    (global.fetch as any)
+      .mockResolvedValueOnce(respond(503))
+      .mockRejectedValueOnce(new Error('Network error'))
+      .mockResolvedValueOnce(respond(200));
+    process.env.REVALIDATE_TARGETS = JSON.stringify([{ name: 'web', url: 'https://web.example.com/api/revalidate' }]);
+
+    await triggerRevalidation('/about');
+    const [delivery] = await firstAttempts();
+    expect(delivery.status).toBe('pending');
+    expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Not due yet
+    expect(await retryDueDeliveries()).toHaveLength(0);
+
+    await retryDueDeliveries(later());
+    await retryDueDeliveries(later());
+
+    const updated = await RevalidationDelivery.findById(delivery._id);
+    expect(updated.status).toBe('delivered');
+    expect(updated.attempts.map((a: any) => a.error || a.statusCode)).toEqual([
+      'Frontend responded 503',
+      'Frontend unreachable: Network error',
+      200
+    ]);
+  });
+
+  it('should skip frontends it has no secret to sign for', async () => {
+    const originalSecret = process.env.REVALIDATE_SECRET;
+    delete process.env.REVALIDATE_SECRET;
+    process.env.REVALIDATE_TARGETS = JSON.stringify([{ name: 'unsigned', url: 'https://web.example.com/api/revalidate' }]);
+
+    try {
+      expect(await triggerRevalidation('/about')).toEqual([]);
+      expect(await RevalidationDelivery.countDocuments({})).toBe(0);
+    } finally {
+      process.env.REVALIDATE_SECRET = originalSecret;
+    }
+  });
+
+  it('should fail client errors straight away and let an admin replay them', async () => {
+    (global.fetch as any).mockResolvedValue(respond(401, 'Invalid secret'));
+
+    await triggerRevalidation('/about');
+    await firstAttempts();
+
+    const failed = await as('admin').get('/api/admin/revalidations?status=failed');
+    expect(failed.status).toBe(200);
+    expect(failed.body.total).toBe(2);
+    expect(failed.body.targets.map((t: any) => t.name)).toEqual(['web', 'app']);
+
+    (global.fetch as any).mockResolvedValue(respond(200));
+    const id = failed.body.rows[0]._id;
+    const replayed = await as('admin').post(`/api/admin/revalidations/${id}/replay`);
+
+    expect(replayed.status).toBe(200);
+    expect(replayed.body.data.status).toBe('delivered');
+    expect(replayed.body.data.attempts).toHaveLength(2);
+
+    const again = await as('admin').post(`/api/admin/revalidations/${id}/replay`);
+    expect(again.status).toBe(409);
+  });
+
+  it('should replay every failed delivery at once', async () => {
+    (global.fetch as any).mockResolvedValue(respond(400));
+    await triggerRevalidation(['/about', '/posts/hello', '/about']);
+    expect(await firstAttempts()).toHaveLength(4);
+
+    (global.fetch as any).mockResolvedValue(respond(200));
+    const response = await as('admin')
+      .post('/api/admin/revalidations/replay')
+      .send({ target: 'web' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(2);
+    expect(await RevalidationDelivery.countDocuments({ status: 'failed' })).toBe(2);
+  });
+
+  it('should keep the delivery log to admins', async () => {
+    const response = await as('editor').get('/api/admin/revalidations');
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import mongoose from 'mongoose';
+import { seedPost, seedSections } from './setup';
+import Post from '../../src/models/Post.js';
+import Category from '../../src/models/Category.js';
+import Media from '../../src/models/Media.js';
+import RevalidationDelivery from '../../src/models/RevalidationDelivery.js';
+
+// Mock fetch for webhook testing
+global.fetch = vi.fn();
+
+const revalidatedPaths = async () => {
+  const deliveries = await RevalidationDelivery.find({}).lean();
+  return [...new Set(deliveries.map((delivery: any) => delivery.path))].sort();
+};
+
+describe('CMS Automatic Revalidation', () => {
+  const originalTargets = process.env.REVALIDATE_TARGETS;
+  let category: any;
+
+  beforeEach(async () => {
+    process.env.REVALIDATE_TARGETS = JSON.stringify([{ name: 'web', url: 'https://web.example.com/api/revalidate' }]);
+    (global.fetch as any).mockReset();
+    (global.fetch as any).mockResolvedValue({ ok: true, status: 200, text: async () => '' });
+
+    await Category.deleteMany({});
+    await Media.deleteMany({});
+    category = await Category.create({ name: 'Beaches', slug: 'beaches' });
+    await RevalidationDelivery.deleteMany({});
+  });
+
+  afterEach(() => {
+    process.env.REVALIDATE_TARGETS = originalTargets;
+  });
+
+  it('should revalidate the post, its listings and the homepage when a featured post is published', async () => {
+    const post = await seedPost({
+      slug: 'island-guide',
+      tags: ['islands'],
+      categories: [category._id],
+      isFeatured: true
+    });
+    expect(await revalidatedPaths()).toEqual([]);
+
+    post.status = 'published';
+    await post.save();
+
+    expect(await revalidatedPaths()).toEqual(['/', '/categories/beaches', '/posts/island-guide', '/tags/islands']);
+  });
+
+  it('should revalidate the old and new slug of a live post', async () => {
+    const post = await seedPost({ slug: 'old-slug', status: 'published' });
+    await RevalidationDelivery.deleteMany({});
+
+    await Post.findByIdAndUpdate(post._id, { slug: 'new-slug' });
+
+    expect(await revalidatedPaths()).toEqual(['/posts/new-slug', '/posts/old-slug', '/tags/example', '/tags/test']);
+  });
+
+  it('should ignore view counts and drafts of unpublished posts', async () => {
+    const live = await seedPost({ slug: 'live-post', status: 'published' });
+    const draft = await seedPost({ slug: 'draft-post' });
+    await RevalidationDelivery.deleteMany({});
+
+    await Post.findByIdAndUpdate(live._id, { $inc: { 'stats.views': 1 } });
+    await Post.findByIdAndUpdate(draft._id, { title: 'Still a draft' });
+
+    expect(await revalidatedPaths()).toEqual([]);
+  });
+
+  it('should revalidate content pages picking the post', async () => {
+    const post = await seedPost({ slug: 'picked-post', status: 'published' });
+    await seedSections({
+      slug: 'homepage',
+      status: 'published',
+      sections: [{ type: 'popularPosts', props: { postIds: [post._id.toString()] } }]
+    });
+    await RevalidationDelivery.deleteMany({});
+
+    await Post.findByIdAndUpdate(post._id, { title: 'Renamed Post' });
+
+    expect(await revalidatedPaths()).toContain('/homepage');
+  });
+
+  it('should revalidate the category page and its posts when a category is renamed', async () => {
+    await seedPost({ slug: 'beach-post', status: 'published', categories: [category._id] });
+    await RevalidationDelivery.deleteMany({});
+
+    await Category.findByIdAndUpdate(category._id, { name: 'Beaches & Coasts', slug: 'coasts' });
+
+    expect(await revalidatedPaths()).toEqual(['/categories/beaches', '/categories/coasts', '/posts/beach-post']);
+  });
+
+  it('should revalidate pages showing a replaced image', async () => {
+    const media = await Media.create({
+      filename: 'beach.jpg',
+      originalName: 'beach.jpg',
+      url: 'https://cdn.example.com/beach.jpg',
+      type: 'image',
+      mimeType: 'image/jpeg',
+      size: 1024,
+      uploadedBy: new mongoose.Types.ObjectId()
+    });
+    await seedPost({
+      slug: 'beach-post',
+      status: 'published',
+      featuredImage: { url: 'https://cdn.example.com/beach.jpg', alt: 'Beach' }
+    });
+    await RevalidationDelivery.deleteMany({});
+
+    await Media.findByIdAndUpdate(media._id, { url: 'https://cdn.example.com/beach-v2.jpg' });
+
+    expect(await revalidatedPaths()).toEqual(['/posts/beach-post']);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { as, seedPost } from './setup';
+import PostRevision from '../../src/models/PostRevision.js';
+
+describe('CMS Post Revisions', () => {
+  let postId: string;
+
+  beforeEach(async () => {
+    await PostRevision.deleteMany({});
+    const post = await seedPost({ title: 'Original Title' });
+    postId = post._id.toString();
+  });
+
+  describe('GET /api/admin/posts/:id/revisions', () => {
+    it('should record a baseline and a revision for each save', async () => {
+      await as('editor')
+        .patch(`/api/admin/posts/${postId}`)
+        .send({ title: 'Second Title' });
+
+      await as('editor')
+        .patch(`/api/admin/posts/${postId}`)
+        .send({ title: 'Third Title' });
+
+      const response = await as('editor')
+        .get(`/api/admin/posts/${postId}/revisions`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveLength(3);
+      expect(response.body.data[0].revision).toBe(3);
+      expect(response.body.data[0].snapshot).toBeUndefined();
+    });
+
+    it('should return 404 for non-existent post', async () => {
+      const response = await as('editor')
+        .get('/api/admin/posts/507f1f77bcf86cd799439011/revisions');
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe('Post not found');
+    });
+  });
+
+  describe('GET /api/admin/posts/:id/revisions/diff', () => {
+    it('should list changed fields between two revisions', async () => {
+      await as('editor')
+        .patch(`/api/admin/posts/${postId}`)
+        .send({ title: 'Changed Title' });
+
+      const response = await as('editor')
+        .get(`/api/admin/posts/${postId}/revisions/diff`)
+        .query({ from: 1, to: 2 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.changes).toEqual([
+        { field: 'title', from: 'Original Title', to: 'Changed Title' }
+      ]);
+    });
+  });
+
+  describe('POST /api/admin/posts/:id/revisions/:rev/restore', () => {
+    it('should restore content from an earlier revision', async () => {
+      await as('editor')
+        .patch(`/api/admin/posts/${postId}`)
+        .send({ title: 'Bad Edit' });
+
+      const response = await as('editor')
+        .post(`/api/admin/posts/${postId}/revisions/1/restore`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.title).toBe('Original Title');
+      expect(response.body.revision).toBe(3);
+
+      const restored = await PostRevision.findOne({ post: postId, revision: 3 });
+      expect(restored.restoredFrom).toBe(1);
+    });
+
+    it('should return 404 for unknown revision', async () => {
+      const response = await as('editor')
+        .post(`/api/admin/posts/${postId}/revisions/42/restore`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe('Revision not found');
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { seedPost } from './setup';
+import Post from '../../src/models/Post.js';
+import Lease from '../../src/models/Lease.js';
+import { publishDuePosts } from '../../src/services/scheduler.js';
+
+describe('CMS Scheduler', () => {
+  describe('publishDuePosts', () => {
+    it('should publish scheduled posts that are due', async () => {
+      const post = await seedPost({
+        status: 'scheduled',
+        scheduledAt: new Date(Date.now() - 60000)
+      });
+
+      const published = await publishDuePosts();
+
+      expect(published).toHaveLength(1);
+      const updated = await Post.findById(post._id);
+      expect(updated.status).toBe('published');
+      expect(updated.publishedAt).toBeDefined();
+    });
+
+    it('should leave future scheduled posts alone', async () => {
+      const post = await seedPost({
+        status: 'scheduled',
+        scheduledAt: new Date(Date.now() + 86400000)
+      });
+
+      const published = await publishDuePosts();
+
+      expect(published).toHaveLength(0);
+      const updated = await Post.findById(post._id);
+      expect(updated.status).toBe('scheduled');
+    });
+
+    it('should not publish the same post twice', async () => {
+      await seedPost({
+        status: 'scheduled',
+        scheduledAt: new Date(Date.now() - 60000)
+      });
+
+      const [first, second] = await Promise.all([publishDuePosts(), publishDuePosts()]);
+
+      expect(first.length + second.length).toBe(1);
+    });
+  });
+
+  describe('Lease', () => {
+    it('should only grant the lease to one owner at a time', async () => {
+      await Lease.deleteMany({});
+
+      expect(await Lease.acquire('test-lease', 'instance-a', 60000)).toBe(true);
+      expect(await Lease.acquire('test-lease', 'instance-b', 60000)).toBe(false);
+      expect(await Lease.acquire('test-lease', 'instance-a', 60000)).toBe(true);
+    });
+
+    it('should hand over an expired lease', async () => {
+      await Lease.deleteMany({});
+
+      await Lease.acquire('test-lease', 'instance-a', -1);
+      expect(await Lease.acquire('test-lease', 'instance-b', 60000)).toBe(true);
+    });
+  });
+});
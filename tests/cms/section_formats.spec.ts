@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { as, seedPost, seedSections } from './setup';
+import Post from '../../src/models/Post.js';
+
+describe('CMS Canonical Section Format', () => {
+  it('should return post sections in the canonical form on request', async () => {
+    await seedPost({
+      slug: 'canonical-post',
+      status: 'published',
+      contentSections: [
+        { type: 'hero', data: { backgroundImage: 'https://example.com/bg.jpg', title: 'Hero' } },
+        { type: 'gallery', data: { images: [{ url: 'https://example.com/1.jpg', altText: 'One' }] } },
+        { type: 'popular-posts', data: { title: 'Read next' } }
+      ]
+    });
+
+    const response = await as('anonymous')
+      .get('/api/posts/canonical-post')
+      .query({ format: 'canonical' });
+
+    expect(response.status).toBe(200);
+    const [hero, gallery, popular] = response.body.data.contentSections;
+    expect(hero.type).toBe('hero');
+    expect(hero.props.imageUrl).toBe('https://example.com/bg.jpg');
+    expect(gallery.type).toBe('gallery');
+    expect(gallery.props.images[0]).toEqual({ url: 'https://example.com/1.jpg', alt: 'One' });
+    expect(popular.type).toBe('popularPosts');
+    expect(popular.props.title).toBe('Read next');
+  });
+
+  it('should return content page sections in the canonical form on request', async () => {
+    await seedSections({
+      sections: [
+        { type: 'singleImage', props: { url: 'https://example.com/a.jpg', alt: 'A' } },
+        { type: 'imageGallery', props: { images: [{ url: 'https://example.com/b.jpg' }] } }
+      ]
+    });
+
+    const response = await as('editor')
+      .get('/api/admin/content-page')
+      .query({ format: 'canonical' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.sections.map((s: any) => s.type)).toEqual(['image', 'gallery']);
+    expect(response.body.data.sections[0]).toEqual({
+      type: 'image',
+      version: 1,
+      props: { url: 'https://example.com/a.jpg', alt: 'A' }
+    });
+  });
+
+  it('should store canonical post sections in the post shape', async () => {
+    const post = await seedPost({ slug: 'canonical-write' });
+
+    const response = await as('editor')
+      .patch(`/api/admin/posts/${post._id}`)
+      .query({ format: 'canonical' })
+      .send({
+        contentSections: [
+          { type: 'hero', version: 1, props: { imageUrl: 'https://example.com/bg.jpg', title: 'Hero' } },
+          { type: 'image', version: 1, props: { url: 'https://example.com/a.jpg', alt: 'A' } },
+          { type: 'popularPosts', version: 1, props: { title: 'Read next' } }
+        ]
+      });
+
+    expect(response.status).toBe(200);
+    const { contentSections } = await Post.findById(post._id).lean();
+    expect(contentSections.map((s: any) => s.type)).toEqual(['hero', 'image', 'popular-posts']);
+    expect(contentSections[0].data.backgroundImage).toBe('https://example.com/bg.jpg');
+    expect(contentSections[1].data).toMatchObject({ imageUrl: 'https://example.com/a.jpg', altText: 'A' });
+  });
+
+  it('should store canonical content page sections in the page shape', async () => {
+    const sections = [
+      { type: 'image', version: 1, props: { url: 'https://example.com/a.jpg', alt: 'A' } },
+      { type: 'gallery', version: 1, props: { images: [{ url: 'https://example.com/b.jpg' }], layout: 'grid' } }
+    ];
+
+    const saved = await as('editor')
+      .post('/api/admin/content-page')
+      .query({ format: 'canonical' })
+      .send({ sections });
+    expect(saved.status).toBe(200);
+
+    const stored = await as('editor').get('/api/admin/content-page');
+    expect(stored.body.data.sections.map((s: any) => s.type)).toEqual(['singleImage', 'imageGallery']);
+
+    const canonical = await as('editor')
+      .get('/api/admin/content-page')
+      .query({ format: 'canonical' });
+    expect(canonical.body.data.sections).toEqual(sections);
+  });
+
+  it('should report canonical sections the stored shape rejects', async () => {
+    const response = await as('editor')
+      .post('/api/admin/content-page')
+      .query({ format: 'canonical' })
+      .send({ sections: [{ type: 'image', version: 1, props: { alt: 'No URL' } }] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].path).toBe('sections.0.props.url');
+  });
+
+  it('should keep the stored format by default', async () => {
+    await seedSections();
+
+    const response = await as('editor').get('/api/admin/content-page');
+
+    expect(response.body.data.sections[0].type).toBe('hero');
+    expect(response.body.data.sections[0].props.imageUrl).toBe('https://example.com/hero.jpg');
+  });
+
+  it('should reject unknown formats', async () => {
+    await seedSections();
+
+    const response = await as('editor')
+      .get('/api/admin/content-page')
+      .query({ format: 'xml' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Invalid section format');
+  });
+});
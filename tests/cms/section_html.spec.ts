@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { as, seedPost, seedSections } from './setup';
+
+describe('CMS Section HTML Rendering', () => {
+  it('should render a post\'s sections to sanitized HTML', async () => {
+    await seedPost({
+      slug: 'rendered-post',
+      status: 'published',
+      contentSections: [
+        { type: 'hero', data: { backgroundImage: 'https://example.com/bg.jpg', title: 'Into the Alps' } },
+        {
+          type: 'text',
+          version: 2,
+          data: { content: '<p onclick="steal()">Day one<script>alert(1)</script></p>', dropCap: { enabled: true } }
+        },
+        { type: 'image', data: { imageUrl: 'https://example.com/peak.jpg', altText: 'Peak', width: 1200, height: 800 } }
+      ]
+    });
+
+    const response = await as('anonymous')
+      .get('/api/posts/rendered-post')
+      .query({ format: 'html' });
+
+    expect(response.status).toBe(200);
+    const { html } = response.body.data;
+    expect(html).toContain('<h1>Into the Alps</h1>');
+    expect(html).toContain('class="section section-text text-left has-drop-cap"');
+    expect(html).toContain('<p>Day one</p>');
+    expect(html).not.toContain('script');
+    expect(html).not.toContain('onclick');
+    expect(html).toContain('alt="Peak" width="1200" height="800" loading="lazy"');
+    expect(response.body.data.contentSections).toHaveLength(3);
+  });
+
+  it('should fall back to the post body when there are no sections', async () => {
+    await seedPost({
+      slug: 'plain-post',
+      status: 'published',
+      body: '<p>Just a body, long enough to be a valid post body for the model.</p><iframe src="x"></iframe>'
+    });
+
+    const response = await as('anonymous')
+      .get('/api/posts/plain-post')
+      .query({ format: 'html' });
+
+    expect(response.body.data.html).toBe(
+      '<article><div class="section section-text"><p>Just a body, long enough to be a valid post body for the model.</p></div></article>'
+    );
+  });
+
+  it('should render a published content page', async () => {
+    await seedSections({
+      sections: [
+        { type: 'breadcrumb', props: { items: [{ label: 'Home', href: '/' }, { label: 'About', href: '/about' }] } },
+        { type: 'text', props: { markdown: '## Who we are' } }
+      ]
+    });
+    await as('editor').patch('/api/admin/content-page/publish');
+
+    const response = await as('anonymous')
+      .get('/api/content-page')
+      .query({ format: 'html' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.html).toContain('<nav class="section section-breadcrumb" aria-label="Breadcrumb">');
+    expect(response.body.data.html).toContain('<li aria-current="page">About</li>');
+    expect(response.body.data.html).toContain('<h2>Who we are</h2>');
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { as } from './setup';
+import { ErrorResponseSchema } from './contracts';
+
+describe('CMS Section Registry', () => {
+  describe('Content page sections', () => {
+    it('should reject unknown section types with the field path', async () => {
+      const response = await as('editor')
+        .post('/api/admin/content-page')
+        .send({
+          sections: [
+            { type: 'text', props: { html: '<p>Intro</p>' } },
+            { type: 'video', props: { url: 'https://example.com/v.mp4' } }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Unknown section type "video"');
+      expect(response.body.errors).toEqual([
+        { path: 'sections.1.type', message: 'Unknown section type "video"' }
+      ]);
+      expect(ErrorResponseSchema.safeParse(response.body).success).toBe(true);
+    });
+
+    it('should report every malformed prop', async () => {
+      const response = await as('editor')
+        .post('/api/admin/content-page')
+        .send({
+          sections: [
+            {
+              type: 'hero',
+              props: {
+                imageUrl: 'not-a-url',
+                cta: { label: 'Go', href: 'https://example.com' }
+              }
+            },
+            { type: 'text', props: {} }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map((e: any) => e.path)).toEqual([
+        'sections.0.props.imageUrl',
+        'sections.0.props.title',
+        'sections.1.props'
+      ]);
+      expect(response.body.errors[2].message).toBe('Provide html or markdown');
+    });
+
+    it('should store sections with defaults and the type version', async () => {
+      const response = await as('editor')
+        .post('/api/admin/content-page')
+        .send({
+          sections: [
+            { type: 'imageGallery', props: { images: [{ url: 'https://example.com/1.jpg' }] } }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.sections[0].version).toBe(1);
+      expect(response.body.data.sections[0].props.layout).toBe('grid');
+    });
+  });
+
+  describe('Post sections', () => {
+    it('should reject malformed post sections', async () => {
+      const response = await as('editor')
+        .post('/api/admin/posts')
+        .send({
+          title: 'Sectioned Post',
+          slug: 'sectioned-post',
+          body: 'A post body long enough to pass the minimum length check.',
+          contentSections: [{ type: 'image', data: { altText: 'No image' } }]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        { path: 'contentSections.0.data.imageUrl', message: 'imageUrl is required' }
+      ]);
+    });
+
+    it('should migrate text sections saved in the old drop cap format', async () => {
+      const response = await as('editor')
+        .post('/api/admin/posts')
+        .send({
+          title: 'Drop Cap Post',
+          slug: 'drop-cap-post',
+          body: 'A post body long enough to pass the minimum length check.',
+          contentSections: [{ type: 'text', data: { content: 'Once upon a time', hasDropCap: true } }]
+        });
+
+      expect(response.status).toBe(201);
+      const [section] = response.body.data.contentSections;
+      expect(section.version).toBe(2);
+      expect(section.data.hasDropCap).toBeUndefined();
+      expect(section.data.dropCap.enabled).toBe(true);
+      expect(section.data.alignment).toBe('left');
+    });
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { as, seedPost } from './setup';
+import Webhook from '../../src/models/Webhook.js';
+import WebhookDelivery from '../../src/models/WebhookDelivery.js';
+import Comment from '../../src/models/Comment.js';
+import {
+  signWebhookPayload,
+  emitEvent,
+  emitPostTransition,
+  retryDueWebhookDeliveries
+} from '../../src/services/webhooks.js';
+
+// Mock fetch for webhook testing
+global.fetch = vi.fn();
+
+const respond = (status: number, body = '') => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => body
+});
+
+// Jump past the retry backoff instead of waiting for it
+const later = () => new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+// Deliveries are sent after emitEvent resolves; wait for their first attempt
+// and resolve them in the order they were queued
+const firstAttempts = () => vi.waitFor(async () => {
+  const deliveries = await WebhookDelivery.find({}).sort({ _id: 1 });
+  expect(deliveries.every((delivery: any) => delivery.attempts.length > 0)).toBe(true);
+  return deliveries;
+});
+
+const createHook = (overrides: any = {}) => Webhook.create({
+  name: 'Search index',
+  url: 'https://hooks.example.com/cms',
+  events: ['post.published'],
+  secret: 'whsec_test_secret_value',
+  ...overrides
+});
+
+describe('CMS Webhooks', () => {
+  beforeEach(async () => {
+    await Webhook.deleteMany({});
+    await WebhookDelivery.deleteMany({});
+    await Comment.deleteMany({});
+    (global.fetch as any).mockReset();
+    (global.fetch as any).mockResolvedValue(respond(200));
+  });
+
+  describe('/api/admin/webhooks', () => {
+    it('should create a webhook and show its secret only once', async () => {
+      const created = await as('admin')
+        .post('/api/admin/webhooks')
+        .send({ name: 'Search index', url: 'https://hooks.example.com/cms', events: ['post.published', 'media.deleted'] });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.secret).toMatch(/^whsec_/);
+      expect(created.body.data.isActive).toBe(true);
+
+      const listed = await as('admin').get('/api/admin/webhooks');
+      expect(listed.status).toBe(200);
+      expect(listed.body.total).toBe(1);
+      expect(listed.body.rows[0].secret).toBeUndefined();
+      expect(listed.body.events).toContain('comment.created');
+
+      const fetched = await as('admin').get(`/api/admin/webhooks/${created.body.data._id}`);
+      expect(fetched.body.data.secret).toBeUndefined();
+    });
+
+    it('should reject unknown events and invalid URLs', async () => {
+      const unknownEvent = await as('admin')
+        .post('/api/admin/webhooks')
+        .send({ name: 'Hook', url: 'https://hooks.example.com/cms', events: ['post.exploded'] });
+      expect(unknownEvent.status).toBe(400);
+      expect(unknownEvent.body.message).toBe('Unknown webhook event');
+
+      const badUrl = await as('admin')
+        .post('/api/admin/webhooks')
+        .send({ name: 'Hook', url: 'not a url', events: ['post.published'] });
+      expect(badUrl.status).toBe(400);
+    });
+
+    it('should update and delete a webhook with its deliveries', async () => {
+      const hook = await createHook();
+      await emitEvent('post.published', { id: 'post-1' });
+      await firstAttempts();
+
+      const updated = await as('admin')
+        .patch(`/api/admin/webhooks/${hook._id}`)
+        .send({ isActive: false });
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.isActive).toBe(false);
+
+      const deleted = await as('admin').delete(`/api/admin/webhooks/${hook._id}`);
+      expect(deleted.status).toBe(200);
+      expect(await WebhookDelivery.countDocuments({})).toBe(0);
+    });
+
+    it('should keep webhooks to admins', async () => {
+      const response = await as('editor').get('/api/admin/webhooks');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('deliveries', () => {
+    it('should send signed payloads to subscribed webhooks only', async () => {
+      const subscribed = await createHook();
+      await createHook({ name: 'Media only', events: ['media.deleted'] });
+      const post = await seedPost({ slug: 'island-guide', status: 'published' });
+
+      await emitPostTransition(post, 'review');
+      await firstAttempts();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      const [url, init] = (global.fetch as any).mock.calls[0];
+      expect(url).toBe(subscribed.url);
+      expect(init.headers['X-Webhook-Event']).toBe('post.published');
+      expect(init.headers['X-Webhook-Signature']).toBe(
+        signWebhookPayload(init.headers['X-Webhook-Timestamp'], init.body, 'whsec_test_secret_value')
+      );
+
+      const body = JSON.parse(init.body);
+      expect(body.event).toBe('post.published');
+      expect(body.id).toBe(init.headers['X-Webhook-Delivery']);
+      expect(body.data.slug).toBe('island-guide');
+    });
+
+    it('should emit post.unpublished when a live post is taken down', async () => {
+      await createHook({ events: ['*'] });
+      const post = await seedPost({ status: 'archived' });
+
+      await emitPostTransition(post, 'published');
+      await firstAttempts();
+
+      const [, init] = (global.fetch as any).mock.calls[0];
+      expect(init.headers['X-Webhook-Event']).toBe('post.unpublished');
+    });
+
+    it('should emit comment.created when a comment is submitted', async () => {
+      await createHook({ events: ['comment.created'] });
+      const post = await seedPost({ status: 'published' });
+
+      const response = await as('anonymous')
+        .post('/api/v1/comments')
+        .send({ post: post._id.toString(), author: { name: 'Ana', email: 'ana@example.com' }, content: 'Lovely trip!' });
+
+      expect(response.status).toBe(201);
+      await firstAttempts();
+      const [, init] = (global.fetch as any).mock.calls[0];
+      const body = JSON.parse(init.body);
+      expect(body.event).toBe('comment.created');
+      expect(body.data.content).toBe('Lovely trip!');
+      expect(body.data.author).toEqual({ name: 'Ana' });
+    });
+
+    it('should retry server errors and record every attempt', async () => {
+      const hook = await createHook();
+      (global.fetch as any)
+        .mockResolvedValueOnce(respond(503))
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValueOnce(respond(200, 'ok'));
+
+      await emitEvent('post.published', { id: 'post-1' });
+      const [delivery] = await firstAttempts();
+      expect(delivery.status).toBe('pending');
+
+      // Not due yet
+      expect(await retryDueWebhookDeliveries()).toHaveLength(0);
+
+      await retryDueWebhookDeliveries(later());
+      await retryDueWebhookDeliveries(later());
+
+      const history = await as('admin').get(`/api/admin/webhooks/${hook._id}/deliveries`);
+      expect(history.status).toBe(200);
+      expect(history.body.total).toBe(1);
+      expect(history.body.rows[0].status).toBe('delivered');
+      expect(history.body.rows[0].attempts.map((a: any) => a.error || a.statusCode)).toEqual([
+        'Endpoint responded 503',
+        'Endpoint unreachable: Network error',
+        200
+      ]);
+
+      // Retries carry the same delivery id and body
+      const bodies = (global.fetch as any).mock.calls.map(([, init]: any) => init.body);
+      expect(new Set(bodies).size).toBe(1);
+    });
+
+    it('should fail client errors straight away and let an admin replay them', async () => {
+      const hook = await createHook();
+      (global.fetch as any).mockResolvedValue(respond(410, 'Gone'));
+
+      await emitEvent('post.published', { id: 'post-1' });
+      const [delivery] = await firstAttempts();
+      expect(delivery.status).toBe('failed');
+
+      (global.fetch as any).mockResolvedValue(respond(200));
+      const replayed = await as('admin')
+        .post(`/api/admin/webhooks/${hook._id}/deliveries/${delivery._id}/replay`);
+
+      expect(replayed.status).toBe(200);
+      expect(replayed.body.message).toBe('Delivery replayed');
+      expect(replayed.body.data.attempts).toHaveLength(2);
+
+      const again = await as('admin')
+        .post(`/api/admin/webhooks/${hook._id}/deliveries/${delivery._id}/replay`);
+      expect(again.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { as, seedPost } from './setup';
+import { ErrorResponseSchema } from './contracts';
+
+describe('CMS Editorial Workflow', () => {
+  describe('PATCH /api/admin/posts/:id', () => {
+    it('should not let a contributor publish a post', async () => {
+      const post = await seedPost();
+
+      const response = await as('contributor')
+        .patch(`/api/admin/posts/${post._id}`)
+        .send({ status: 'published' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.success).toBe(false);
+      expect(response.body.code).toBe('TRANSITION_FORBIDDEN');
+
+      const validation = ErrorResponseSchema.safeParse(response.body);
+      expect(validation.success).toBe(true);
+    });
+
+    it('should not let a contributor schedule a post', async () => {
+      const post = await seedPost();
+
+      const response = await as('contributor')
+        .patch(`/api/admin/posts/${post._id}`)
+        .send({
+          status: 'scheduled',
+          scheduledAt: new Date(Date.now() + 86400000).toISOString()
+        });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('TRANSITION_FORBIDDEN');
+    });
+
+    it('should reject transitions that are not in the workflow', async () => {
+      const post = await seedPost({ status: 'archived' });
+
+      const response = await as('admin')
+        .patch(`/api/admin/posts/${post._id}`)
+        .send({ status: 'published' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('TRANSITION_NOT_ALLOWED');
+      expect(response.body.message).toBe('Cannot move post from archived to published');
+    });
+
+    it('should allow archiving a published post', async () => {
+      const post = await seedPost({ status: 'published' });
+
+      const response = await as('editor')
+        .patch(`/api/admin/posts/${post._id}`)
+        .send({ status: 'archived' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Archived');
+      expect(response.body.data.status).toBe('archived');
+    });
+
+    it('should let an editor publish a complete post in review by status alone', async () => {
+      const post = await seedPost({ status: 'review' });
+
+      const response = await as('editor')
+        .patch(`/api/admin/posts/${post._id}`)
+        .send({ status: 'published' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Published');
+      expect(response.body.data.status).toBe('published');
+    });
+  });
+
+  describe('PATCH /api/v1/posts/:id', () => {
+    it('should not let a contributor publish through the v1 API', async () => {
+      const post = await seedPost();
+
+      const response = await as('contributor')
+        .patch(`/api/v1/posts/${post._id}`)
+        .send({ status: 'published' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('TRANSITION_FORBIDDEN');
+    });
+
+    it('should require tags before sending for review', async () => {
+      const post = await seedPost({ tags: [] });
+
+      const response = await as('contributor')
+        .patch(`/api/v1/posts/${post._id}`)
+        .send({ status: 'review' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('TAGS_REQUIRED');
+      expect(response.body.message).toBe('Select at least one');
+    });
+  });
+
+  describe('POST /api/admin/posts', () => {
+    it('should not let a contributor create a published post', async () => {
+      const response = await as('contributor')
+        .post('/api/admin/posts')
+        .send({
+          title: 'Sneaky Post',
+          slug: 'sneaky-post',
+          status: 'published'
+        });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('TRANSITION_FORBIDDEN');
+    });
+  });
+});